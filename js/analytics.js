@@ -11,6 +11,10 @@ class AnalyticsManager {
     constructor() {
         this.charts = {};        // Object chứa Chart.js instances
         this.data = null;        // Analytics data
+        this.syncedAt = null;    // Thời điểm dữ liệu của this.data được tải từ server (ISO string)
+        
+        // Cached analytics đã hết hạn được render ngay, render lại khi có data mới
+        this.reloadRevalidated = debounce(() => this.loadAnalytics(), 300);
         
         this.bindEvents();
     }
@@ -23,12 +27,24 @@ class AnalyticsManager {
         document.getElementById('refreshAnalytics').addEventListener('click', () => {
             this.loadAnalytics();
         });
+
+        // Hết session (đăng xuất, hết hạn, đổi máy chủ...) -> không giữ dữ liệu phân tích trên thiết bị
+        window.addEventListener('authStateChanged', (e) => {
+            if (!e.detail.authenticated) {
+                this.syncedAt = null;
+                localDatabase.deleteByPrefix('snapshots', 'analytics:').catch(() => {});
+                this.renderSyncStatus();
+            }
+        });
     }
 
     /**
      * Load analytics data và render charts
+     * Lần đầu mở: render ngay bản phân tích đã lưu trên thiết bị, tải lại ở nền
      */
     async loadAnalytics() {
+        let isLoadingShown = false;
+        
         try {
             // Chỉ load nếu analytics section đang active
             const analyticsSection = document.getElementById('analytics-section');
@@ -36,36 +52,152 @@ class AnalyticsManager {
                 return;
             }
 
-            loading.show();
+            const restored = !this.data && await this.restoreSnapshot();
+            if (!restored) {
+                loading.show();
+                isLoadingShown = true;
+            }
+            this.renderSyncStatus(true);
             
             // Lấy data từ StudentsManager nếu có (client-side analysis)
-            if (window.studentsManager && window.studentsManager.allStudents) {
+            // Server mode không có toàn bộ list ở client nên phải lấy từ API
+            if (window.studentsManager && !window.studentsManager.isServerMode()) {
+                // Students chưa tải xong -> giữ bản đã lưu
+                if (restored && window.studentsManager.allStudents.length === 0) return;
+                
                 this.data = this.analyzeLocalData(window.studentsManager.allStudents);
+                this.syncedAt = window.studentsManager.lastSyncedAt;
             } else {
-                // Fallback: Lấy từ API
+                // Fallback: Lấy từ API (lần load mới hủy lần load cũ đang chạy)
+                const options = {
+                    signal: api.startRequestGroup('analytics'),
+                    onRevalidate: this.reloadRevalidated
+                };
                 const [summary, scoreComparison, hometownAnalysis] = await Promise.all([
-                    api.getAnalyticsSummary(),
-                    api.getScoreComparison(),
-                    api.getHometownAnalysis()
+                    api.getAnalyticsSummary(options),
+                    api.getScoreComparison(options),
+                    api.getHometownAnalysis(options)
                 ]);
 
-                this.data = {
-                    summary,
-                    scoreComparison,
-                    hometownAnalysis
-                };
+                // Top performers: lấy 5 students điểm TB cao nhất từ server
+                const topResponse = await api.getStudents({ page: 1, page_size: 5, sort_by: 'average_score', order: 'desc' }, options)
+                    .catch(error => {
+                        if (error.isCancelled) throw error;
+                        return { items: [] };
+                    });
+
+                this.data = this.buildApiData(summary, scoreComparison, hometownAnalysis, topResponse.items);
+                this.syncedAt = api.offlineDataSince || new Date().toISOString();
             }
 
             // Render UI
             this.renderOverview();
             this.renderCharts();
+            this.saveSnapshot();
 
         } catch (error) {
+            if (error.isCancelled) return;
+            
             console.error('Error loading analytics:', error);
             notifications.error(error.message || 'Không thể tải dữ liệu phân tích');
         } finally {
-            loading.hide();
+            if (isLoadingShown) {
+                loading.hide();
+            }
+            this.renderSyncStatus();
+        }
+    }
+
+    // =====================================================
+    // LOCAL SNAPSHOT
+    // =====================================================
+
+    /**
+     * Render bản phân tích đã lưu trên thiết bị (cùng user, cùng backend)
+     * @returns {Promise<boolean>} true nếu đã render
+     */
+    async restoreSnapshot() {
+        let snapshot;
+        try {
+            snapshot = await localDatabase.get('snapshots', getSnapshotKey('analytics'));
+        } catch (error) {
+            console.warn('Could not read analytics snapshot:', error);
+            return false;
         }
+        if (!snapshot) return false;
+
+        this.data = snapshot.data;
+        this.syncedAt = snapshot.syncedAt;
+        this.renderOverview();
+        this.renderCharts();
+        return true;
+    }
+
+    /**
+     * Lưu bản phân tích hiện tại lên thiết bị
+     * Dữ liệu đang lấy từ offline cache của service worker thì không ghi đè bản đã lưu
+     */
+    async saveSnapshot() {
+        if (!this.data || !this.syncedAt || api.offlineDataSince) return;
+
+        try {
+            await localDatabase.put('snapshots', {
+                key: getSnapshotKey('analytics'),
+                syncedAt: this.syncedAt,
+                data: this.data
+            });
+        } catch (error) {
+            console.warn('Could not save analytics snapshot:', error);
+        }
+    }
+
+    /**
+     * Render "Đồng bộ lần cuối"
+     * @param {boolean} isSyncing - Đang tải lại từ server
+     */
+    renderSyncStatus(isSyncing = false) {
+        renderLastSynced(document.getElementById('analyticsSyncStatus'), this.syncedAt, isSyncing);
+    }
+
+    /**
+     * Gộp responses của các analytics endpoints thành cùng cấu trúc với analyzeLocalData()
+     * @param {Object} summary - GET /analytics/summary
+     * @param {Object} scoreComparison - GET /analytics/score-comparison
+     * @param {Object} hometownAnalysis - GET /analytics/hometown-analysis
+     * @param {Array<Object>} topPerformers - Students điểm TB cao nhất
+     * @returns {Object} Analytics data
+     */
+    buildApiData(summary = {}, scoreComparison = {}, hometownAnalysis = {}, topPerformers = []) {
+        const overview = summary?.overview || summary?.summary || {};
+        const performance = summary?.academic_performance || summary || {};
+        const bySubject = performance.average_scores || scoreComparison?.by_subject || null;
+
+        // Hometown analysis: [{ name, count, avg_score }] -> { hometown: count }
+        let hometownCount = hometownAnalysis?.by_hometown || {};
+        if (Array.isArray(hometownCount)) {
+            hometownCount = Object.fromEntries(hometownCount.map(item => [item.name ?? item.hometown, item.count]));
+        }
+
+        return {
+            summary: {
+                overview: {
+                    total_students: overview.total_students || 0,
+                    average_age: overview.average_age ?? null,
+                    students_with_scores: overview.students_with_scores ?? 0
+                },
+                academic_performance: {
+                    grade_distribution: performance.grade_distribution || {},
+                    average_scores: bySubject,
+                    score_ranges: performance.score_ranges || null
+                }
+            },
+            hometownAnalysis: hometownCount,
+            scoreComparison: {
+                by_subject: bySubject,
+                by_hometown: scoreComparison?.by_hometown || {}
+            },
+            topPerformers
+        };
     }
 
     analyzeLocalData(students) {
@@ -255,9 +387,10 @@ class AnalyticsManager {
     }
 
     renderTopPerformers() {
-        if (!window.studentsManager?.allStudents) return;
+        const source = this.data?.topPerformers || window.studentsManager?.allStudents;
+        if (!source) return;
 
-        const students = window.studentsManager.allStudents
+        const students = source
             .filter(s => s.average_score !== null && s.average_score !== undefined)
             .sort((a, b) => b.average_score - a.average_score)
             .slice(0, 5);
@@ -6,10 +6,21 @@
  * Provides methods for CRUD operations, analytics, import/export
  * 
  * Features:
- * - Automatic timeout handling
+ * - Automatic timeout handling (per-request override via options.timeout)
+ * - Cancellation via options.signal (AbortSignal)
+ * - In-flight deduplication of identical GET requests (method + URL)
+ * - "Latest wins" request groups: starting a group aborts its previous requests
+ * - Response cache with TTL and stale-while-revalidate for read endpoints (API_CONFIG.CACHE)
+ * - Automatic retries with jittered backoff for idempotent requests (API_CONFIG.RETRY)
+ * - Interceptor pipeline (api.use) to modify requests, responses and errors
+ * - Login/refresh/logout endpoints (bearer tokens are attached by AuthManager, js/auth.js)
  * - Error handling with custom ApiError class
  * - Support for all HTTP methods (GET, POST, PUT, DELETE)
+ * - XML or JSON wire format: Accept header (API_CONFIG.RESPONSE_FORMAT) and request body
+ *   encoding (API_CONFIG.REQUEST_FORMAT) are configured separately
  * - XML and JSON response parsing
+ * - Mock/offline mode (API_CONFIG.USE_MOCK_DATA) served by MockBackend (via an interceptor)
+ * - Backend can be switched at runtime (configure(), see BackendSettingsManager)
  * =====================================================
  */
 class ApiService {
@@ -18,16 +29,213 @@ class ApiService {
      */
     constructor() {
         this.baseURL = API_CONFIG.BASE_URL;    // API base URL (e.g., http://localhost:8000/api/v1)
-        this.headers = API_CONFIG.HEADERS;     // Default headers for requests
+        this.healthURL = API_CONFIG.HEALTH_URL; // Health check URL (e.g., http://localhost:8000/health)
+        this.format = API_CONFIG.RESPONSE_FORMAT; // Response format: 'xml' or 'json'
+        this.requestFormat = API_CONFIG.REQUEST_FORMAT; // Request body format: 'json' or 'xml'
+        this.idempotencyKeys = API_CONFIG.RETRY.IDEMPOTENCY_KEYS; // Backend honours Idempotency-Key
+        this.headers = this.buildHeaders(this.format, this.requestFormat); // Default headers for requests
         this.timeout = API_CONFIG.TIMEOUT;     // Timeout for each request (ms)
+        this.inFlight = new Map();             // 'GET url' -> { promise, controller, subscribers }
+        this.requestGroups = new Map();        // group name -> AbortController of the latest request
+        this.cache = new Map();                // 'GET url' -> { data, storedAt }
+        this.cacheGeneration = 0;              // Incremented on invalidation (drop responses of older requests)
+        this.lastHealthCheck = 0;              // Time of the last successful health check
+        this.offlineDataSince = null;          // Storage time of the data the service worker served offline (null = live)
+        this.retrying = new Map();             // retry ID -> { endpoint, attempt, delay } of requests waiting to retry
+        this.retrySequence = 0;
+        this.interceptors = [];                // Sorted by order, then registration (see use())
+        this.interceptorSequence = 0;
     }
 
     /**
-     * Parse XML response to JavaScript object
+     * Switch to another backend (profile from the settings screen)
+     * Cached data and the last health check belong to the old backend and are dropped
+     * @param {Object} profile - { baseURL, healthURL, format, requestFormat, idempotencyKeys }
+     */
+    configure({
+        baseURL,
+        healthURL,
+        format = API_CONFIG.RESPONSE_FORMAT,
+        requestFormat = API_CONFIG.REQUEST_FORMAT,
+        idempotencyKeys = API_CONFIG.RETRY.IDEMPOTENCY_KEYS
+    }) {
+        this.baseURL = baseURL.replace(/\/+$/, '');
+        this.healthURL = healthURL;
+        this.format = API_CONFIG.FORMATS[format] ? format : 'json';
+        this.requestFormat = API_CONFIG.FORMATS[requestFormat] ? requestFormat : 'json';
+        this.idempotencyKeys = Boolean(idempotencyKeys);
+        this.headers = this.buildHeaders(this.format, this.requestFormat);
+        this.lastHealthCheck = 0;
+        this.invalidateCache();
+    }
+
+    // =====================================================
+    // INTERCEPTORS
+    // =====================================================
+
+    /**
+     * Register an interceptor
+     * Hooks run for every request sent over the network (cache hits skip them; retries run them again):
+     * - request(request): before sending. request = { url, method, headers, body, signal, meta, adapter };
+     *   modify it in place or return a new object. Set request.adapter = (url, init) => Promise<Response>
+     *   to replace window.fetch (e.g. mock backend). meta comes from options.meta of the caller.
+     *   Request hooks may wait (e.g. for login): the request timeout only starts once they are done
+     * - response(data, context): after parsing; return a value to replace data
+     * - error(error, context): on failure; return a value to recover (used as response data),
+     *   throw to replace the error, or return undefined to pass it on
+     * context = { endpoint, request, response, resent, resend(overrides) } - resend() runs the
+     * whole pipeline again (e.g. after refreshing a token), resent counts how often that happened
+     * Request hooks run by ascending order; response/error hooks run in reverse, so the first
+     * interceptor to see a request is the last to see its result
+     * @param {Object} interceptor - { name, order = 0, request, response, error }
+     * @returns {Function} Unregister function
+     */
+    use(interceptor) {
+        const entry = { order: 0, ...interceptor, sequence: this.interceptorSequence++ };
+        this.interceptors.push(entry);
+        this.interceptors.sort((a, b) => a.order - b.order || a.sequence - b.sequence);
+
+        return () => {
+            this.interceptors = this.interceptors.filter(item => item !== entry);
+        };
+    }
+
+    /**
+     * Chạy request hooks theo thứ tự
+     * @param {Object} request - Request object
+     * @returns {Promise<Object>} Request sau khi qua các interceptors
+     */
+    async runRequestInterceptors(request) {
+        for (const interceptor of this.interceptors) {
+            if (interceptor.request) {
+                request = (await interceptor.request(request)) || request;
+            }
+        }
+        return request;
+    }
+
+    /**
+     * Chạy response hooks theo thứ tự ngược
+     * @param {*} data - Parsed response data
+     * @param {Object} context - Request context
+     * @returns {Promise<*>} Data sau khi qua các interceptors
+     */
+    async runResponseInterceptors(data, context) {
+        for (const interceptor of [...this.interceptors].reverse()) {
+            if (interceptor.response) {
+                const result = await interceptor.response(data, context);
+                if (result !== undefined) {
+                    data = result;
+                }
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Chạy error hooks theo thứ tự ngược, dừng khi 1 hook trả về data (recover)
+     * @param {Error} error - Error của request
+     * @param {Object} context - Request context
+     * @returns {Promise<*>} Data nếu có interceptor recover
+     * @throws {Error} Error sau khi qua các interceptors
+     */
+    async runErrorInterceptors(error, context) {
+        for (const interceptor of [...this.interceptors].reverse()) {
+            if (!interceptor.error) continue;
+
+            try {
+                const result = await interceptor.error(error, context);
+                if (result !== undefined) {
+                    return result;
+                }
+            } catch (thrown) {
+                error = thrown;
+            }
+        }
+        throw error;
+    }
+
+    /**
+     * Gửi request (đã qua request hooks) qua adapter, mặc định window.fetch
+     * @param {Object} request - { url, method, headers, body, signal, meta, adapter }
+     * @returns {Promise<Response>}
+     */
+    transmit(request) {
+        const { url, adapter, meta, ...init } = request;
+        return adapter ? adapter(url, init) : fetch(url, init);
+    }
+
+    // =====================================================
+    // WIRE FORMAT
+    // =====================================================
+
+    /**
+     * Default headers: Accept from the response format, Content-Type from the request format
+     * @param {string} format - Response format, 'xml' or 'json'
+     * @param {string} requestFormat - Request body format, 'json' or 'xml'
+     * @returns {Object} Headers
+     */
+    buildHeaders(format, requestFormat) {
+        const { ACCEPT } = API_CONFIG.FORMATS[format] || API_CONFIG.FORMATS.json;
+        const { CONTENT_TYPE } = API_CONFIG.FORMATS[requestFormat] || API_CONFIG.FORMATS.json;
+        return {
+            ...API_CONFIG.HEADERS,
+            'Accept': ACCEPT,
+            'Content-Type': CONTENT_TYPE
+        };
+    }
+
+    /**
+     * Encode a request body in the request format (API_CONFIG.REQUEST_FORMAT / profile)
+     * @param {Object} data - Body data
+     * @param {string} rootTag - Root element name when encoding as XML (e.g. 'student')
+     * @returns {string} JSON or XML document
+     */
+    encodeBody(data, rootTag) {
+        if (this.requestFormat !== 'xml') {
+            return JSON.stringify(data);
+        }
+        return `<?xml version="1.0" encoding="UTF-8"?>${this.toXMLElement(rootTag, data)}`;
+    }
+
+    /**
+     * Serialize a value to an XML element
+     * - Objects: one child element per field (undefined fields are skipped)
+     * - Arrays: one <item> child per entry
+     * - null: empty element (e.g. <math_score/> clears a score, same as null in JSON)
+     * @param {string} tagName - Element name
+     * @param {*} value - Value
+     * @returns {string} XML string
+     */
+    toXMLElement(tagName, value) {
+        if (value === null || value === '') {
+            return `<${tagName}/>`;
+        }
+
+        let content;
+        if (Array.isArray(value)) {
+            content = value.map(item => this.toXMLElement('item', item)).join('');
+        } else if (typeof value === 'object') {
+            content = Object.entries(value)
+                .filter(([, fieldValue]) => fieldValue !== undefined)
+                .map(([key, fieldValue]) => this.toXMLElement(key, fieldValue))
+                .join('');
+        } else {
+            content = String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;');
+        }
+        return `<${tagName}>${content}</${tagName}>`;
+    }
+
+    /**
+     * Parse XML text to a document
      * @param {string} xmlText - XML text to parse
-     * @returns {Object} Parsed data object
+     * @returns {Document} XML document
+     * @throws {Error} If the XML is malformed
      */
-    parseXMLResponse(xmlText) {
+    parseXMLDocument(xmlText) {
         const parser = new DOMParser();
         const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
         
@@ -36,6 +244,22 @@ class ApiService {
         if (parserError) {
             throw new Error('XML parsing error: ' + parserError.textContent);
         }
+        return xmlDoc;
+    }
+
+    /**
+     * Parse XML response to JavaScript object
+     * @param {string} xmlText - XML text to parse
+     * @returns {Object} Parsed data object
+     */
+    parseXMLResponse(xmlText) {
+        const xmlDoc = this.parseXMLDocument(xmlText);
+        
+        // Parse error response (<error>, <errors>)
+        const rootName = xmlDoc.documentElement.tagName;
+        if (rootName === 'error' || rootName === 'errors') {
+            return this.parseXMLError(xmlDoc);
+        }
         
         // Parse student list response
         const studentsEl = xmlDoc.querySelector('students');
@@ -113,79 +337,342 @@ class ApiService {
             literature_score: getNumberContent('literature_score'),
             english_score: getNumberContent('english_score'),
             average_score: getNumberContent('average_score'),
-            grade: getTextContent('grade')
+            grade: getTextContent('grade'),
+            created_at: getTextContent('created_at'),
+            updated_at: getTextContent('updated_at')
         };
     }
 
     /**
      * Parse analytics XML to object
+     * Shapes of the analytics endpoints (decoded by decodeXMLElement):
+     * - /analytics/summary: { summary: { total_students, average_score, highest_score, lowest_score,
+     *   students_with_scores, average_age }, grade_distribution: { A: n, ... }, score_ranges: { '0-5': n, ... } }
+     * - /analytics/score-comparison: { by_subject: { math, literature, english }, by_hometown: { hometown: avg } }
+     * - /analytics/hometown-analysis: { by_hometown: [{ name, count, avg_score }] }
      * @param {Document} xmlDoc - XML document
      * @returns {Object} Analytics data
      */
     parseAnalytics(xmlDoc) {
-        // Implementation depends on analytics XML structure
-        const result = {};
-        
-        // Parse summary
-        const summaryEl = xmlDoc.querySelector('summary');
-        if (summaryEl) {
-            result.summary = {
-                total_students: parseInt(summaryEl.querySelector('total_students')?.textContent) || 0,
-                average_score: parseFloat(summaryEl.querySelector('average_score')?.textContent) || 0,
-                highest_score: parseFloat(summaryEl.querySelector('highest_score')?.textContent) || 0,
-                lowest_score: parseFloat(summaryEl.querySelector('lowest_score')?.textContent) || 0
-            };
+        const result = this.decodeXMLElement(xmlDoc.documentElement);
+        return result && typeof result === 'object' ? result : {};
+    }
+
+    /**
+     * Parse XML error response
+     * - <error><detail>message</detail></error> -> { detail: 'message' }
+     * - Validation errors, as a list in <detail> or in an <errors> root:
+     *   <error field="email" type="value_error">message</error> or
+     *   <error><loc><item>body</item><item>email</item></loc><msg>message</msg><type>...</type></error>
+     *   -> { detail: [{ loc: ['body', 'email'], msg, type }] } (same shape as FastAPI JSON errors)
+     * @param {Document} xmlDoc - XML document
+     * @returns {Object} Error data
+     */
+    parseXMLError(xmlDoc) {
+        const root = xmlDoc.documentElement;
+        const detailEl = root.tagName === 'errors'
+            ? root
+            : Array.from(root.children).find(child => child.tagName === 'detail');
+
+        if (!detailEl || detailEl.children.length === 0) {
+            const result = this.decodeXMLElement(root);
+            return result && typeof result === 'object' ? result : { detail: result };
         }
-        
-        return result;
+
+        return {
+            detail: Array.from(detailEl.children).map(errorEl => {
+                const error = this.decodeXMLElement(errorEl);
+                if (!error || typeof error !== 'object') {
+                    return { loc: [], msg: error === null ? '' : String(error), type: null };
+                }
+
+                let loc = [];
+                if (Array.isArray(error.loc)) {
+                    loc = error.loc;
+                } else if (error.loc !== undefined && error.loc !== null) {
+                    loc = [error.loc];
+                } else if (error.field !== undefined && error.field !== null) {
+                    loc = ['body', ...String(error.field).split('.')];
+                }
+                return {
+                    loc,
+                    msg: String(error.msg ?? error.message ?? error.value ?? ''),
+                    type: error.type ?? null
+                };
+            })
+        };
     }
 
     /**
-     * Parse generic XML response
+     * Parse generic XML response (token, job, report, health...)
      * @param {Document} xmlDoc - XML document
      * @returns {Object} Parsed object
      */
     parseGenericXML(xmlDoc) {
-        const root = xmlDoc.documentElement;
+        const result = this.decodeXMLElement(xmlDoc.documentElement);
+        return result && typeof result === 'object' ? result : { value: result };
+    }
+
+    /**
+     * Decode an XML element to a JavaScript value
+     * - Element without attributes/children: typed text (see parseXMLValue)
+     * - Attributes and child elements become fields; repeated child elements become arrays
+     * - List elements: repeated children of one name, or a single <item>, a single child with
+     *   attributes or <students><student> (plural parent) -> array
+     * - Children with only a name attribute and text (<grade name="A">12</grade>) -> map { A: 12 }
+     * - Text of an element that also has attributes -> field 'value'
+     * - xsi:nil="true" -> null
+     * @param {Element} element - XML element
+     * @returns {*} Decoded value
+     */
+    decodeXMLElement(element) {
+        if (element.getAttribute('xsi:nil') === 'true' || element.getAttribute('nil') === 'true') {
+            return null;
+        }
+
+        const attributes = Array.from(element.attributes)
+            .filter(attr => !attr.name.startsWith('xmlns') && !attr.name.startsWith('xsi:'));
+        const children = Array.from(element.children);
+
+        if (children.length === 0 && attributes.length === 0) {
+            return this.parseXMLValue(element.textContent);
+        }
+
+        if (attributes.length === 0 && children.length > 0) {
+            const isNamedValue = (child) => child.children.length === 0
+                && child.attributes.length === 1
+                && child.hasAttribute('name');
+            if (children.every(isNamedValue)) {
+                return Object.fromEntries(children.map(child =>
+                    [child.getAttribute('name'), this.parseXMLValue(child.textContent)]
+                ));
+            }
+
+            const tagName = children[0].tagName;
+            const sameTag = children.every(child => child.tagName === tagName);
+            const isList = sameTag && (
+                children.length > 1
+                || tagName === 'item'
+                || element.tagName === `${tagName}s`
+                || children[0].attributes.length > 0
+            );
+            if (isList) {
+                return children.map(child => this.decodeXMLElement(child));
+            }
+        }
+
         const result = {};
-        
-        Array.from(root.children).forEach(child => {
-            const tagName = child.tagName;
-            const textContent = child.textContent;
-            
-            // Try to parse as number
-            if (!isNaN(textContent) && textContent.trim() !== '') {
-                result[tagName] = parseFloat(textContent);
+        attributes.forEach(attr => {
+            result[attr.name] = this.parseXMLValue(attr.value);
+        });
+
+        const counts = {};
+        children.forEach(child => {
+            counts[child.tagName] = (counts[child.tagName] || 0) + 1;
+        });
+        children.forEach(child => {
+            const value = this.decodeXMLElement(child);
+            if (counts[child.tagName] > 1) {
+                (result[child.tagName] = result[child.tagName] || []).push(value);
             } else {
-                result[tagName] = textContent;
+                result[child.tagName] = value;
             }
         });
-        
+
+        if (children.length === 0 && element.textContent.trim() !== '') {
+            result.value = this.parseXMLValue(element.textContent);
+        }
         return result;
     }
 
     /**
-     * Generic fetch method with error handling and timeout
+     * Convert XML text to a typed value
+     * '' -> null, 'true'/'false' -> boolean, numbers -> number (codes with leading zeros stay strings)
+     * @param {string} text - Text content or attribute value
+     * @returns {string|number|boolean|null}
+     */
+    parseXMLValue(text) {
+        const value = text.trim();
+        if (value === '') return null;
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(value)) {
+            return Number(value);
+        }
+        return value;
+    }
+
+    /**
+     * Generic fetch method with error handling, timeout, caching and request management
+     * - Cacheable GETs (see getCacheTTL) are served from cache while fresh. Expired data is
+     *   only returned when the caller passes onRevalidate, which receives the fresh data later
+     * - Identical GET requests already in flight are shared instead of sent again;
+     *   the shared request is only aborted once every caller has cancelled
+     * - Every successful non-GET request clears the cache
      * @param {string} endpoint - API endpoint (starts with /, e.g., /students)
      * @param {Object} options - Fetch options (method, body, headers, etc.)
+     * @param {number} options.timeout - Timeout for this request (ms), defaults to API_CONFIG.TIMEOUT
+     * @param {AbortSignal} options.signal - Caller signal to cancel the request
+     * @param {string} options.group - Request group: a newer request in the same group cancels this one
+     * @param {boolean} options.dedupe - Share identical in-flight GET requests (default true)
+     * @param {boolean} options.cache - Use the response cache (default true)
+     * @param {Function} options.onRevalidate - Called with fresh data when stale cached data was returned
+     * @param {boolean} options.retry - Retry on transient errors (default: idempotent methods only)
+     * @param {Object} options.meta - Extra data for interceptors (e.g. { auth: false })
      * @returns {Promise<Object|null>} Response data or null if 204
-     * @throws {ApiError} If request failed
+     * @throws {ApiError} If request failed (408 on timeout, 499 when cancelled)
      */
     async fetch(endpoint, options = {}) {
+        const { cache = true, onRevalidate, ...requestOptions } = options;
+        const method = (requestOptions.method || 'GET').toUpperCase();
+
+        if (method !== 'GET') {
+            const data = await this.request(endpoint, requestOptions);
+            // Dữ liệu đã thay đổi trên server -> mọi response đã cache có thể đã cũ
+            this.invalidateCache();
+            return data;
+        }
+
+        const ttl = cache && API_CONFIG.CACHE.ENABLED ? this.getCacheTTL(endpoint) : 0;
+        if (!ttl) {
+            return this.request(endpoint, requestOptions);
+        }
+
+        const entry = this.cache.get(this.getCacheKey(endpoint));
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+        if (age < ttl) {
+            return this.cloneData(entry.data);
+        }
+
+        // Stale-while-revalidate: trả data cũ ngay, gọi onRevalidate khi có data mới
+        if (onRevalidate && age < ttl + API_CONFIG.CACHE.MAX_STALE) {
+            this.revalidate(endpoint, entry, onRevalidate);
+            return this.cloneData(entry.data);
+        }
+
+        return this.fetchAndStore(endpoint, requestOptions);
+    }
+
+    /**
+     * Send request with deduplication and request groups (no caching)
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Fetch options (signal, group, dedupe, method, body...)
+     * @returns {Promise<Object|null>} Response data
+     */
+    async request(endpoint, options = {}) {
+        const { group, dedupe = true, signal, ...requestOptions } = options;
+        const method = (requestOptions.method || 'GET').toUpperCase();
+        const groupSignal = group ? this.startRequestGroup(group) : null;
+        const signals = [signal, groupSignal].filter(Boolean);
+
+        try {
+            if (method === 'GET' && dedupe) {
+                return await this.fetchShared(endpoint, requestOptions, signals);
+            }
+
+            const link = this.linkSignals(signals);
+            try {
+                return await this.send(endpoint, { ...requestOptions, signal: link.signal });
+            } finally {
+                link.cleanup();
+            }
+        } finally {
+            if (group) {
+                this.endRequestGroup(group, groupSignal);
+            }
+        }
+    }
+
+    /**
+     * Send request, retrying transient failures when the request is safe to repeat
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Fetch options (retry, timeout, signal, method, body, headers...)
+     * @returns {Promise<Object|null>} Response data or null if 204
+     * @throws {ApiError} Error of the last attempt
+     */
+    async send(endpoint, options = {}) {
+        const { retry: shouldRetry = this.isRetryable(options), ...sendOptions } = options;
+        if (!shouldRetry) {
+            return this.sendOnce(endpoint, sendOptions);
+        }
+        return this.withRetry(() => this.sendOnce(endpoint, sendOptions), endpoint, sendOptions.signal);
+    }
+
+    /**
+     * Send 1 request through the interceptor pipeline
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Fetch options (timeout, signal, method, body, headers...)
+     * @returns {Promise<Object|null>} Response data or null if 204
+     * @throws {ApiError} If request failed (408 on timeout, 499 when cancelled)
+     */
+    async sendOnce(endpoint, options = {}) {
+        const { resent = 0, ...requestOptions } = options;
+        const context = {
+            endpoint,
+            request: null,     // Request sau khi qua request interceptors
+            response: null,    // Response object (null nếu không nhận được response)
+            resent,            // Số lần request đã được interceptors gửi lại
+            resend: (overrides = {}) => this.sendOnce(endpoint, { ...options, ...overrides, resent: resent + 1 })
+        };
+
+        let data;
+        try {
+            data = await this.sendAndParse(endpoint, requestOptions, context);
+        } catch (error) {
+            return this.runErrorInterceptors(error, context);
+        }
+        return this.runResponseInterceptors(data, context);
+    }
+
+    /**
+     * Send 1 request with timeout handling and parse the response
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Fetch options (timeout, signal, method, body, headers...)
+     * @param {Object} context - Request context (request/response được gán vào đây)
+     * @returns {Promise<Object|null>} Response data or null if 204
+     * @throws {ApiError} If request failed (408 on timeout, 499 when cancelled)
+     */
+    async sendAndParse(endpoint, options, context) {
+        const { timeout = this.timeout, signal, meta = {}, ...fetchOptions } = options;
         const url = `${this.baseURL}${endpoint}`;
         const config = {
             headers: this.headers,
-            ...options
+            ...fetchOptions
         };
 
-        // Create AbortController to handle timeout
+        // Create AbortController to handle timeout and caller cancellation
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        let timedOut = false;
+        let timeoutId = null;
+        const onCallerAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort();
+            } else {
+                signal.addEventListener('abort', onCallerAbort, { once: true });
+            }
+        }
         config.signal = controller.signal;
 
         try {
+            // Request interceptors (chưa tính timeout: hook có thể chờ, vd. chờ đăng nhập)
+            const request = await this.runRequestInterceptors({
+                url,
+                ...config,
+                method: (config.method || 'GET').toUpperCase(),
+                headers: { ...config.headers },
+                meta: { ...meta }
+            });
+            context.request = request;
+
             // Send request
-            const response = await fetch(url, config);
+            timeoutId = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout);
+            const response = await this.transmit(request);
+            context.response = response;
             clearTimeout(timeoutId);
 
             // Handle unsuccessful response (status code 4xx, 5xx)
@@ -197,14 +684,20 @@ class ApiService {
                     errorData = await response.json().catch(() => ({}));
                 } else if (contentType?.includes('xml')) {
                     const xmlText = await response.text();
-                    errorData = this.parseXMLResponse(xmlText);
+                    try {
+                        errorData = this.parseXMLError(this.parseXMLDocument(xmlText));
+                    } catch {
+                        errorData = {};  // Malformed error body: keep the HTTP status
+                    }
                 }
                 
-                throw new ApiError(
+                const error = new ApiError(
                     errorData.detail || errorData.message || `HTTP ${response.status}: ${response.statusText}`,
                     response.status,
                     errorData
                 );
+                error.retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+                throw error;
             }
 
             // Handle 204 No Content (usually from DELETE requests)
@@ -214,19 +707,35 @@ class ApiService {
 
             // Parse response based on content type
             const contentType = response.headers.get('content-type');
+            let data;
             
             if (contentType?.includes('application/xml') || contentType?.includes('text/xml')) {
                 const xmlText = await response.text();
-                return this.parseXMLResponse(xmlText);
+                data = this.parseXMLResponse(xmlText);
             } else {
                 // Default to JSON parsing
-                return await response.json();
+                data = await response.json();
             }
+            
+            // Giữ ETag (version của resource) để gửi lại qua If-Match khi update
+            const etag = response.headers.get('ETag');
+            if (etag && data && typeof data === 'object' && !Array.isArray(data)) {
+                data._etag = etag;
+            }
+            
+            if (request.method === 'GET') {
+                this.trackOfflineData(response);
+            }
+            
+            return data;
         } catch (error) {
             clearTimeout(timeoutId);
             
-            // Handle timeout error
+            // Handle timeout / cancellation
             if (error.name === 'AbortError') {
+                if (!timedOut) {
+                    throw new ApiError('Request cancelled', 499);
+                }
                 throw new ApiError('Request timeout', 408);
             }
             
@@ -236,10 +745,404 @@ class ApiService {
             }
             
             // Handle network errors (lost connection, CORS, etc.)
+            this.lastHealthCheck = 0;
             throw new ApiError(`Network error: ${error.message}`, 0);
+        } finally {
+            if (signal) {
+                signal.removeEventListener('abort', onCallerAbort);
+            }
         }
     }
 
+    /**
+     * Track whether responses come from the service worker's offline cache (OFFLINE_CACHE_HEADER)
+     * Dispatches 'offlineDataChanged' when switching between offline and live data
+     * @param {Response} response - Successful GET response
+     */
+    trackOfflineData(response) {
+        const storedAt = response.headers.get(API_CONFIG.OFFLINE_CACHE_HEADER) || null;
+        if (storedAt === this.offlineDataSince) return;
+
+        this.offlineDataSince = storedAt;
+        window.dispatchEvent(new CustomEvent('offlineDataChanged', {
+            detail: { storedAt }
+        }));
+    }
+
+    // =====================================================
+    // RETRIES
+    // =====================================================
+
+    /**
+     * Request có an toàn để gửi lại không
+     * GET/PUT/DELETE... luôn an toàn; POST chỉ khi có idempotency key và backend hỗ trợ key
+     * (server bỏ qua request trùng)
+     * @param {Object} options - Fetch options
+     * @returns {boolean}
+     */
+    isRetryable(options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        if (API_CONFIG.RETRY.IDEMPOTENT_METHODS.includes(method)) {
+            return true;
+        }
+        return this.idempotencyKeys && new Headers(options.headers || {}).has(API_CONFIG.RETRY.IDEMPOTENCY_HEADER);
+    }
+
+    /**
+     * Headers cho POST không nên thực hiện 2 lần (tạo student, chạy crawl)
+     * Chỉ gắn idempotency key khi backend hỗ trợ (API_CONFIG.RETRY.IDEMPOTENCY_KEYS / profile),
+     * không có key thì request không được retry tự động
+     * @param {string} key - Key cố định (vd: offline queue gửi lại sau khi reload), mặc định key mới
+     * @returns {Object} Headers
+     */
+    withIdempotencyKey(key = null) {
+        if (!this.idempotencyKeys) return this.headers;
+        return { ...this.headers, [API_CONFIG.RETRY.IDEMPOTENCY_HEADER]: key || generateId() };
+    }
+
+    /**
+     * Lỗi có thể là tạm thời không (network error, 408, 429, 5xx)
+     * @param {Error} error - Error của lần gửi trước
+     * @returns {boolean}
+     */
+    isTransientError(error) {
+        if (!(error instanceof ApiError) || error.isCancelled) return false;
+
+        // Server yêu cầu chờ quá lâu -> báo lỗi luôn thay vì treo request
+        if (error.retryAfter > API_CONFIG.RETRY.MAX_RETRY_AFTER) return false;
+
+        return error.isNetworkError || this.isRetryableStatus(error.status);
+    }
+
+    /**
+     * HTTP status có thể thành công nếu gửi lại (408, 429, 5xx)
+     * @param {number} status - HTTP status code
+     * @returns {boolean}
+     */
+    isRetryableStatus(status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    /**
+     * Chạy fn với retry (jittered exponential backoff, ưu tiên Retry-After của server)
+     * Trạng thái "đang thử lại" được báo qua window event 'apiRetryStateChanged'
+     * @param {Function} fn - Async function gửi 1 lần
+     * @param {string} endpoint - Endpoint (hiển thị trên UI)
+     * @param {AbortSignal} signal - Dừng retry khi caller hủy
+     * @returns {Promise<*>}
+     */
+    async withRetry(fn, endpoint, signal) {
+        const { MAX_ATTEMPTS, BASE_DELAY, MAX_DELAY } = API_CONFIG.RETRY;
+        const retryId = ++this.retrySequence;
+
+        try {
+            return await retry(fn, MAX_ATTEMPTS, BASE_DELAY, {
+                jitter: true,
+                maxDelay: MAX_DELAY,
+                signal,
+                shouldRetry: (error) => !signal?.aborted && this.isTransientError(error),
+                getDelay: (error, attempt, delay) => error.retryAfter ?? delay,
+                onRetry: (error, attempt, delay) => {
+                    console.warn(`Retrying ${endpoint} in ${Math.round(delay)}ms (attempt ${attempt + 1}/${MAX_ATTEMPTS}):`, error.message);
+                    this.setRetryState(retryId, { endpoint, attempt, delay });
+                }
+            });
+        } catch (error) {
+            // Caller hủy trong lúc chờ thử lại -> cùng lỗi như hủy khi đang gửi
+            if (signal?.aborted && !(error instanceof ApiError)) {
+                throw new ApiError('Request cancelled', 499);
+            }
+            throw error;
+        } finally {
+            this.setRetryState(retryId, null);
+        }
+    }
+
+    /**
+     * Cập nhật danh sách requests đang chờ thử lại và báo cho UI
+     * @param {number} retryId - Retry ID
+     * @param {Object|null} state - { endpoint, attempt, delay }, null khi request đã kết thúc
+     */
+    setRetryState(retryId, state) {
+        if (state) {
+            this.retrying.set(retryId, state);
+        } else if (!this.retrying.delete(retryId)) {
+            return;
+        }
+
+        window.dispatchEvent(new CustomEvent('apiRetryStateChanged', {
+            detail: {
+                count: this.retrying.size,
+                latest: state,
+                maxRetries: API_CONFIG.RETRY.MAX_ATTEMPTS - 1
+            }
+        }));
+    }
+
+    /**
+     * Parse Retry-After header (số giây hoặc HTTP date)
+     * @param {string|null} value - Header value
+     * @returns {number|null} Delay (ms), null nếu không có
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    // =====================================================
+    // RESPONSE CACHE
+    // =====================================================
+
+    /**
+     * TTL của cache theo endpoint (0 = không cache)
+     * @param {string} endpoint - API endpoint
+     * @returns {number} TTL (ms)
+     */
+    getCacheTTL(endpoint) {
+        const path = endpoint.split('?')[0];
+        const { TTL } = API_CONFIG.CACHE;
+
+        if (path === '/students') return TTL.STUDENTS;
+        if (/^\/students\/\d+$/.test(path)) return TTL.STUDENT;
+        if (path.startsWith('/analytics/')) return TTL.ANALYTICS;
+        return 0;
+    }
+
+    /**
+     * Cache key (method + full URL, giống key của in-flight deduplication)
+     * @param {string} endpoint - API endpoint
+     * @returns {string}
+     */
+    getCacheKey(endpoint) {
+        return `GET ${this.baseURL}${endpoint}`;
+    }
+
+    /**
+     * Gửi request và lưu response vào cache
+     * Response của request bắt đầu trước lần invalidate gần nhất sẽ không được lưu
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options
+     * @returns {Promise<Object|null>} Response data
+     */
+    async fetchAndStore(endpoint, options = {}) {
+        const generation = this.cacheGeneration;
+        const data = await this.request(endpoint, options);
+
+        if (generation === this.cacheGeneration) {
+            const key = this.getCacheKey(endpoint);
+            this.cache.delete(key);
+            this.cache.set(key, { data: this.cloneData(data), storedAt: Date.now() });
+
+            // Map giữ thứ tự insert -> entry đầu tiên là entry cũ nhất
+            if (this.cache.size > API_CONFIG.CACHE.MAX_ENTRIES) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Tải lại data đã hết hạn ở background, gọi callback nếu data thay đổi
+     * @param {string} endpoint - API endpoint
+     * @param {Object} entry - Cache entry đã trả cho caller
+     * @param {Function} onRevalidate - Callback(freshData)
+     */
+    revalidate(endpoint, entry, onRevalidate) {
+        this.fetchAndStore(endpoint)
+            .then(data => {
+                if (JSON.stringify(data) !== JSON.stringify(entry.data)) {
+                    onRevalidate(data);
+                }
+            })
+            .catch(error => console.warn(`Revalidation of ${endpoint} failed:`, error));
+    }
+
+    /**
+     * Xóa cache (toàn bộ hoặc các endpoints bắt đầu bằng prefix)
+     * Gọi tự động sau mỗi mutation thành công; các module gọi thêm khi data đổi
+     * ngoài luồng request của tab này (crawl job hoàn thành, thay đổi từ tab khác)
+     * @param {string} prefix - Endpoint prefix (vd: '/analytics'), bỏ trống để xóa hết
+     */
+    invalidateCache(prefix = '') {
+        this.cacheGeneration++;
+
+        // Request GET đang chạy có thể trả data cũ -> không cho caller mới dùng chung
+        this.inFlight.clear();
+
+        if (!prefix) {
+            this.cache.clear();
+            return;
+        }
+
+        const keyPrefix = this.getCacheKey(prefix);
+        Array.from(this.cache.keys())
+            .filter(key => key.startsWith(keyPrefix))
+            .forEach(key => this.cache.delete(key));
+    }
+
+    // =====================================================
+    // REQUEST MANAGEMENT
+    // =====================================================
+
+    /**
+     * Share 1 in-flight GET request giữa các callers cùng method + URL
+     * Caller tham gia sau nhận bản copy của data (tránh sửa chung 1 object)
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Fetch options (không gồm signal)
+     * @param {Array<AbortSignal>} signals - Signals của caller này
+     * @returns {Promise<Object|null>} Response data
+     */
+    async fetchShared(endpoint, options, signals) {
+        if (signals.some(signal => signal.aborted)) {
+            throw new ApiError('Request cancelled', 499);
+        }
+
+        const key = `GET ${this.baseURL}${endpoint}`;
+        let shared = this.inFlight.get(key);
+        const isOwner = !shared;
+
+        if (!shared) {
+            const controller = new AbortController();
+            shared = { key, controller, subscribers: 0, promise: null };
+            shared.promise = this.send(endpoint, { ...options, signal: controller.signal })
+                .finally(() => {
+                    if (this.inFlight.get(key) === shared) {
+                        this.inFlight.delete(key);
+                    }
+                });
+            this.inFlight.set(key, shared);
+        }
+
+        const data = await this.subscribe(shared, signals);
+        return isOwner ? data : this.cloneData(data);
+    }
+
+    /**
+     * Chờ kết quả của 1 shared request, có thể bị hủy bởi signals của caller
+     * Khi caller cuối cùng hủy thì request thật cũng bị abort
+     * @param {Object} shared - Shared request { key, controller, subscribers, promise }
+     * @param {Array<AbortSignal>} signals - Signals của caller
+     * @returns {Promise<Object|null>}
+     */
+    subscribe(shared, signals) {
+        shared.subscribers++;
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+
+            const settle = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                signals.forEach(signal => signal.removeEventListener('abort', onAbort));
+                shared.subscribers--;
+                callback(value);
+            };
+
+            const onAbort = () => {
+                settle(reject, new ApiError('Request cancelled', 499));
+
+                // Không còn ai chờ -> hủy request thật, caller mới sẽ gửi request mới
+                if (shared.subscribers === 0) {
+                    if (this.inFlight.get(shared.key) === shared) {
+                        this.inFlight.delete(shared.key);
+                    }
+                    shared.controller.abort();
+                }
+            };
+
+            shared.promise.then(
+                data => settle(resolve, data),
+                error => settle(reject, error)
+            );
+
+            if (signals.some(signal => signal.aborted)) {
+                onAbort();
+                return;
+            }
+            signals.forEach(signal => signal.addEventListener('abort', onAbort, { once: true }));
+        });
+    }
+
+    /**
+     * Gộp nhiều AbortSignals thành 1 (abort khi bất kỳ signal nào abort)
+     * @param {Array<AbortSignal>} signals - Signals
+     * @returns {Object} { signal, cleanup }
+     */
+    linkSignals(signals) {
+        if (signals.length <= 1) {
+            return { signal: signals[0], cleanup: () => {} };
+        }
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signals.forEach(signal => {
+            if (signal.aborted) {
+                controller.abort();
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+
+        return {
+            signal: controller.signal,
+            cleanup: () => signals.forEach(signal => signal.removeEventListener('abort', onAbort))
+        };
+    }
+
+    /**
+     * Bắt đầu request mới trong 1 group ("latest wins"): hủy các requests trước đó của group
+     * Dùng trực tiếp khi 1 thao tác gồm nhiều requests (vd: load nhiều trang), truyền signal trả về
+     * cho từng request; hoặc dùng options.group cho thao tác chỉ có 1 request
+     * @param {string} group - Group name (vd: 'students:list', 'analytics')
+     * @returns {AbortSignal} Signal bị abort khi group được bắt đầu lại
+     */
+    startRequestGroup(group) {
+        this.cancelRequestGroup(group);
+
+        const controller = new AbortController();
+        this.requestGroups.set(group, controller);
+        return controller.signal;
+    }
+
+    /**
+     * Hủy các requests đang chạy của 1 group
+     * @param {string} group - Group name
+     */
+    cancelRequestGroup(group) {
+        const controller = this.requestGroups.get(group);
+        if (controller) {
+            this.requestGroups.delete(group);
+            controller.abort();
+        }
+    }
+
+    /**
+     * Xóa group sau khi request kết thúc (nếu chưa có request mới hơn)
+     * @param {string} group - Group name
+     * @param {AbortSignal} signal - Signal từ startRequestGroup()
+     */
+    endRequestGroup(group, signal) {
+        if (this.requestGroups.get(group)?.signal === signal) {
+            this.requestGroups.delete(group);
+        }
+    }
+
+    /**
+     * Copy response data cho caller dùng chung shared request
+     * @param {*} data - Response data
+     * @returns {*}
+     */
+    cloneData(data) {
+        return data && typeof data === 'object' ? structuredClone(data) : data;
+    }
+
     // =====================================================
     // STUDENT CRUD OPERATIONS
     // =====================================================
@@ -254,9 +1157,10 @@ class ApiService {
      * @param {string} params.grade - Filter by grade (A, B, C, D, F)
      * @param {string} params.sort_by - Field to sort (id, student_id, average_score, etc.)
      * @param {string} params.order - Sort order (asc or desc)
+     * @param {Object} options - Request options (signal, group)
      * @returns {Promise<Object>} Object containing { items: [], total, page, page_size, ... }
      */
-    async getStudents(params = {}) {
+    async getStudents(params = {}, options = {}) {
         const queryParams = new URLSearchParams();
         
         // Only add params with values (skip null, undefined, empty string)
@@ -267,16 +1171,17 @@ class ApiService {
         });
 
         const endpoint = queryParams.toString() ? `/students?${queryParams}` : '/students';
-        return await this.fetch(endpoint);
+        return await this.fetch(endpoint, options);
     }
 
     /**
      * Get detailed information of a single student
      * @param {number} id - Student ID
+     * @param {Object} options - Request options (signal, group)
      * @returns {Promise<Object>} Student object
      */
-    async getStudent(id) {
-        return await this.fetch(`/students/${id}`);
+    async getStudent(id, options = {}) {
+        return await this.fetch(`/students/${id}`, options);
     }
 
     /**
@@ -291,12 +1196,16 @@ class ApiService {
      * @param {number} studentData.math_score - Math score (0-10)
      * @param {number} studentData.literature_score - Literature score (0-10)
      * @param {number} studentData.english_score - English score (0-10)
+     * @param {Object} options - Optional settings
+     * @param {string} options.idempotencyKey - Key cố định (vd: offline queue gửi lại sau khi reload),
+     *                                          chỉ được gửi khi backend hỗ trợ (xem withIdempotencyKey)
      * @returns {Promise<Object>} Created student object
      */
-    async createStudent(studentData) {
+    async createStudent(studentData, options = {}) {
         return await this.fetch('/students', {
             method: 'POST',
-            body: JSON.stringify(studentData)
+            headers: this.withIdempotencyKey(options.idempotencyKey),
+            body: this.encodeBody(studentData, 'student')
         });
     }
 
@@ -304,12 +1213,24 @@ class ApiService {
      * Update student information
      * @param {number} id - Student ID to update
      * @param {Object} studentData - New data (fields similar to createStudent)
+     * @param {Object} options - Optional settings
+     * @param {string} options.ifMatch - ETag đã đọc; server trả 412 nếu student đã bị sửa sau đó
+     * @param {string} options.ifUnmodifiedSince - updated_at đã đọc (khi không có ETag),
+     *                                             gửi qua If-Unmodified-Since, server cũng trả 412
      * @returns {Promise<Object>} Updated student object
      */
-    async updateStudent(id, studentData) {
+    async updateStudent(id, studentData, options = {}) {
+        const headers = { ...this.headers };
+        if (options.ifMatch) {
+            headers['If-Match'] = options.ifMatch;
+        } else if (options.ifUnmodifiedSince) {
+            headers['If-Unmodified-Since'] = new Date(options.ifUnmodifiedSince).toUTCString();
+        }
+
         return await this.fetch(`/students/${id}`, {
             method: 'PUT',
-            body: JSON.stringify(studentData)
+            headers,
+            body: this.encodeBody(studentData, 'student')
         });
     }
 
@@ -330,26 +1251,126 @@ class ApiService {
 
     /**
      * Get summary statistics
+     * @param {Object} options - Request options (signal, group)
      * @returns {Promise<Object>} { total_students, avg_math, avg_literature, avg_english }
      */
-    async getAnalyticsSummary() {
-        return await this.fetch('/analytics/summary');
+    async getAnalyticsSummary(options = {}) {
+        return await this.fetch('/analytics/summary', options);
     }
 
     /**
      * Get score comparison data for subjects
+     * @param {Object} options - Request options (signal, group)
      * @returns {Promise<Object>} { math, literature, english }
      */
-    async getScoreComparison() {
-        return await this.fetch('/analytics/score-comparison');
+    async getScoreComparison(options = {}) {
+        return await this.fetch('/analytics/score-comparison', options);
     }
 
     /**
      * Get analysis by hometown (count and average score per province)
+     * @param {Object} options - Request options (signal, group)
      * @returns {Promise<Array>} Array of { hometown, count, avg_score }
      */
-    async getHometownAnalysis() {
-        return await this.fetch('/analytics/hometown-analysis');
+    async getHometownAnalysis(options = {}) {
+        return await this.fetch('/analytics/hometown-analysis', options);
+    }
+
+    // =====================================================
+    // CRAWLER OPERATIONS
+    // =====================================================
+
+    /**
+     * Start a background crawl job
+     * @param {Object} requestData - { current_url, frontend_base_url, timestamp }
+     * @returns {Promise<Object>} Job { id, status, progress, message, ... }
+     */
+    async startCrawlJob(requestData) {
+        return await this.fetch('/crawler/jobs', {
+            method: 'POST',
+            headers: this.withIdempotencyKey(),
+            body: this.encodeBody(requestData, 'crawl_request')
+        });
+    }
+
+    /**
+     * Get crawl job status
+     * @param {string} jobId - Job ID
+     * @param {Object} options - Extra fetch options (timeout, signal)
+     * @returns {Promise<Object>} Job { id, status, progress, message, students_added, students_updated, ... }
+     */
+    async getCrawlJob(jobId, options = {}) {
+        return await this.fetch(`/crawler/jobs/${encodeURIComponent(jobId)}`, options);
+    }
+
+    /**
+     * Cancel a running crawl job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Job with status 'cancelled'
+     */
+    async cancelCrawlJob(jobId) {
+        return await this.fetch(`/crawler/jobs/${encodeURIComponent(jobId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * Run a crawl synchronously (legacy endpoint, for backends without job support)
+     * @param {Object} requestData - { current_url, frontend_base_url, timestamp }
+     * @param {Object} options - Extra fetch options (timeout, signal)
+     * @returns {Promise<Object>} Report { status, students_added, students_updated, generated_at }
+     */
+    async generateReport(requestData, options = {}) {
+        return await this.fetch('/crawler/generate-report', {
+            method: 'POST',
+            body: this.encodeBody(requestData, 'crawl_request'),
+            ...options
+        });
+    }
+
+    // =====================================================
+    // AUTH OPERATIONS
+    // =====================================================
+    // Các request này không cần access token (meta.auth = false, xem AuthManager)
+
+    /**
+     * Đăng nhập
+     * @param {string} username - Tên đăng nhập
+     * @param {string} password - Mật khẩu
+     * @returns {Promise<Object>} Token { access_token, refresh_token, token_type, expires_in, refresh_expires_in, username, full_name, role }
+     */
+    async login(username, password) {
+        return await this.fetch(API_CONFIG.AUTH.LOGIN_ENDPOINT, {
+            method: 'POST',
+            body: this.encodeBody({ username, password }, 'login'),
+            meta: { auth: false }
+        });
+    }
+
+    /**
+     * Đổi refresh token lấy access token mới
+     * @param {string} refreshToken - Refresh token
+     * @returns {Promise<Object>} Token (cùng dạng với login)
+     */
+    async refreshToken(refreshToken) {
+        return await this.fetch(API_CONFIG.AUTH.REFRESH_ENDPOINT, {
+            method: 'POST',
+            body: this.encodeBody({ refresh_token: refreshToken }, 'token'),
+            meta: { auth: false }
+        });
+    }
+
+    /**
+     * Thu hồi refresh token (đăng xuất)
+     * @param {string} refreshToken - Refresh token
+     * @returns {Promise<null>}
+     */
+    async logout(refreshToken) {
+        return await this.fetch(API_CONFIG.AUTH.LOGOUT_ENDPOINT, {
+            method: 'POST',
+            body: this.encodeBody({ refresh_token: refreshToken }, 'token'),
+            meta: { auth: false }
+        });
     }
 
     // =====================================================
@@ -358,16 +1379,81 @@ class ApiService {
 
     /**
      * Check if API is operational
+     * A successful result is reused for API_CONFIG.CACHE.TTL.HEALTH (reset on network errors)
+     * @param {Object} options - Optional settings
+     * @param {boolean} options.cache - Reuse a recent successful result (default true)
      * @returns {Promise<boolean>} true if API is healthy, false otherwise
      */
-    async healthCheck() {
+    async healthCheck(options = {}) {
+        const { cache = true } = options;
+        if (cache && API_CONFIG.CACHE.ENABLED && Date.now() - this.lastHealthCheck < API_CONFIG.CACHE.TTL.HEALTH) {
+            return true;
+        }
+
+        const url = this.healthURL;
         try {
-            const response = await fetch(`${this.baseURL.replace('/api/v1', '')}/health`);
+            const response = await this.withRetry(async () => {
+                let result;
+                try {
+                    const request = await this.runRequestInterceptors({ url, method: 'GET', headers: {}, meta: {} });
+                    result = await this.transmit(request);
+                } catch (error) {
+                    throw new ApiError(`Network error: ${error.message}`, 0);
+                }
+
+                if (this.isRetryableStatus(result.status)) {
+                    const error = new ApiError(`HTTP ${result.status}`, result.status);
+                    error.retryAfter = this.parseRetryAfter(result.headers.get('Retry-After'));
+                    throw error;
+                }
+                return result;
+            }, '/health');
+
+            this.lastHealthCheck = response.ok ? Date.now() : 0;
             return response.ok;
         } catch {
+            this.lastHealthCheck = 0;
             return false;
         }
     }
+
+    /**
+     * Test connectivity to a health URL (e.g. of a profile that is not active yet)
+     * Does not need a login and is never retried or cached
+     * @param {string} healthURL - Health check URL
+     * @returns {Promise<Object>} { ok, status, latency, error }
+     */
+    async testConnection(healthURL) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.CONNECTION_TEST_TIMEOUT);
+        const startedAt = Date.now();
+
+        try {
+            const request = await this.runRequestInterceptors({
+                url: healthURL,
+                method: 'GET',
+                headers: {},
+                signal: controller.signal,
+                meta: { auth: false }
+            });
+            const response = await this.transmit(request);
+            return {
+                ok: response.ok,
+                status: response.status,
+                latency: Date.now() - startedAt,
+                error: response.ok ? null : `HTTP ${response.status}`
+            };
+        } catch (error) {
+            return {
+                ok: false,
+                status: 0,
+                latency: Date.now() - startedAt,
+                error: controller.signal.aborted ? 'Timeout' : error.message
+            };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
 }
 
 /**
@@ -379,15 +1465,105 @@ class ApiService {
  */
 class ApiError extends Error {
     /**
-     * @param {string} message - Error message
+     * @param {string|Array} message - Error message (a validation error list is summarized)
      * @param {number} status - HTTP status code (0 if network error)
      * @param {Object} data - Additional error data from API
      */
     constructor(message, status = 0, data = {}) {
-        super(message);
+        const { fieldErrors, formErrors } = ApiError.normalizeValidationErrors(data);
+        super(typeof message === 'string' ? message : ApiError.summarize(fieldErrors, formErrors, status));
         this.name = 'ApiError';
         this.status = status;
-        this.data = data;
+        this.data = data || {};
+        this.retryAfter = null;        // Retry-After header (ms), nếu server gửi
+        this.fieldErrors = fieldErrors; // { field: [messages] } - lỗi validation gắn với 1 field
+        this.formErrors = formErrors;   // [messages] - lỗi không gắn với field nào
+    }
+
+    /**
+     * Chuẩn hóa các dạng lỗi validation của server thành field -> messages
+     * - FastAPI: { detail: [{ loc: ['body', 'email'], msg, type, ctx }] } (XML errors được parse về dạng này)
+     * - Custom: { errors: [{ field, message }] } hoặc { errors: { field: message | [messages] } }
+     * - { detail: 'message' } -> form error
+     * @param {Object} data - Error data từ API
+     * @returns {Object} { fieldErrors: { field: [messages] }, formErrors: [messages] }
+     */
+    static normalizeValidationErrors(data) {
+        const fieldErrors = {};
+        const formErrors = [];
+        const add = (field, message) => {
+            if (!message) return;
+            if (field) {
+                (fieldErrors[field] = fieldErrors[field] || []).push(message);
+            } else {
+                formErrors.push(message);
+            }
+        };
+
+        if (!data || typeof data !== 'object') {
+            return { fieldErrors, formErrors };
+        }
+
+        if (Array.isArray(data.detail)) {
+            data.detail.forEach(error => {
+                if (!error || typeof error !== 'object') {
+                    add(null, error ? String(error) : null);
+                    return;
+                }
+                // loc: ['body', 'email'] -> 'email'; ['body'], ['query', ...] -> không gắn với field của form
+                const loc = Array.isArray(error.loc) ? error.loc : [];
+                const field = loc[0] === 'body'
+                    ? [...loc].reverse().find(part => typeof part === 'string' && part !== 'body')
+                    : null;
+                add(field, ApiError.translate(error));
+            });
+        } else if (typeof data.detail === 'string') {
+            add(null, data.detail);
+        }
+
+        if (Array.isArray(data.errors)) {
+            data.errors.forEach(error => {
+                add(error?.field || null, ApiError.translate({ ...error, msg: error?.message ?? error?.msg }));
+            });
+        } else if (data.errors && typeof data.errors === 'object') {
+            Object.entries(data.errors).forEach(([field, messages]) => {
+                [].concat(messages).forEach(message => add(field, String(message)));
+            });
+        }
+
+        return { fieldErrors, formErrors };
+    }
+
+    /**
+     * Dịch 1 lỗi validation theo type (SERVER_VALIDATION_MESSAGES), ngược lại giữ message của server
+     * @param {Object} error - { msg, type, ctx }
+     * @returns {string} Message
+     */
+    static translate(error) {
+        const message = String(error?.msg ?? '').replace(/^Value error,\s*/, '');
+        const template = SERVER_VALIDATION_MESSAGES[error?.type];
+        if (!template) return message;
+
+        const ctx = error.ctx || {};
+        const translated = template.replace(/\{(\w+)\}/g, (match, key) => ctx[key] ?? match);
+        return /\{\w+\}/.test(translated) ? (message || translated) : translated;
+    }
+
+    /**
+     * Tóm tắt lỗi validation thành 1 message (thay cho "[object Object]")
+     * @param {Object} fieldErrors - { field: [messages] }
+     * @param {Array<string>} formErrors - Messages
+     * @param {number} status - HTTP status code
+     * @returns {string} Message
+     */
+    static summarize(fieldErrors, formErrors, status) {
+        const messages = [
+            ...formErrors,
+            ...Object.entries(fieldErrors).map(([field, fieldMessages]) =>
+                `${STUDENT_FIELD_LABELS[field] || field}: ${fieldMessages.join(', ')}`
+            )
+        ];
+        return messages.length > 0 ? messages.join('; ') : `HTTP ${status}`;
     }
 
     /**
@@ -414,6 +1590,14 @@ class ApiError extends Error {
         return this.status >= 500;
     }
 
+    /**
+     * Check if the user lacks permission for the request (403)
+     * @returns {boolean}
+     */
+    get isForbidden() {
+        return this.status === 403;
+    }
+
     /**
      * Check if this is a validation error (422)
      * @returns {boolean}
@@ -421,6 +1605,14 @@ class ApiError extends Error {
     get isValidationError() {
         return this.status === 422;
     }
+
+    /**
+     * Check if the request was cancelled by the caller (499)
+     * @returns {boolean}
+     */
+    get isCancelled() {
+        return this.status === 499;
+    }
 }
 
 /**
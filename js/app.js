@@ -11,6 +11,7 @@ class App {
     constructor() {
         this.currentSection = 'students';  // Section hiện tại
         this.isApiConnected = false;       // API connection status
+        this.needsReload = false;          // Tải lại data khi đăng nhập lại (sau logout / hết phiên)
         
         this.initialize();
     }
@@ -28,7 +29,7 @@ class App {
      * Bind tất cả navigation events
      */
     bindEvents() {
-        // Navigation buttons (Students, Analytics)
+        // Navigation buttons (Students, Analytics, Import/Export)
         document.querySelectorAll('.nav-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const section = e.currentTarget.dataset.section;
@@ -48,6 +49,26 @@ class App {
             this.showSection(section, false);
         });
 
+        // Đăng nhập lại (có thể là user khác) -> tải lại data của section hiện tại
+        window.addEventListener('authStateChanged', (e) => {
+            if (!e.detail.authenticated) {
+                this.needsReload = true;
+            } else if (this.needsReload) {
+                this.needsReload = false;
+                this.reloadData();
+            }
+        });
+
+        // Đổi máy chủ backend -> kiểm tra kết nối và tải lại data
+        // (nếu phải đăng nhập lại, data được tải sau khi đăng nhập - xem authStateChanged)
+        window.addEventListener('backendChanged', () => {
+            this.isApiConnected = false;
+            this.checkApiConnection();
+            if (authManager.isAuthenticated) {
+                this.reloadData();
+            }
+        });
+
         // Handle API connection errors globally
         window.addEventListener('unhandledrejection', (e) => {
             if (e.reason instanceof ApiError && e.reason.isNetworkError) {
@@ -58,46 +79,22 @@ class App {
 
     /**
      * Handle Crawl action
+     * Crawl chạy nền dưới dạng job (xem CrawlManager), không block UI
      */
-    async handleCrawl() {
-        try {
-            loading.show();
-            
-            // Prepare request data with current URL
-            const requestData = {
-                current_url: window.location.href,
-                frontend_base_url: window.location.origin,
-                timestamp: new Date().toISOString()
-            };
-            
-            // Call crawl API endpoint with extended timeout
-            const response = await api.fetch('/crawler/generate-report', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestData),
-                timeout: 60000  // 60 seconds timeout
-            });
+    handleCrawl() {
+        if (window.crawlManager) {
+            crawlManager.start();
+        }
+    }
 
-            notifications.success('Crawl thành công! Dữ liệu đã được cập nhật.');
-            
-            // Refresh student list if on students section
-            if (this.currentSection === 'students' && window.studentsManager) {
-                await studentsManager.loadStudents();
-            }
-        } catch (error) {
-            console.error('Crawl error:', error);
-            
-            // Check if it's a timeout error but crawl might have succeeded
-            if (error.message.includes('timeout') || error.message.includes('Request timeout')) {
-                notifications.warning('Crawl có thể đã hoàn thành nhưng mất nhiều thời gian. Hãy kiểm tra dữ liệu mới.');
-            } else {
-                notifications.error(error.message || 'Không thể thực hiện crawl');
-            }
-        } finally {
-            loading.hide();
+    /**
+     * Tải lại toàn bộ data từ API
+     */
+    async reloadData() {
+        if (window.studentsManager) {
+            await studentsManager.loadAllStudents();
         }
+        this.loadSectionData(this.currentSection);
     }
 
     /**
@@ -228,7 +225,7 @@ window.addEventListener('online', () => {
 });
 
 window.addEventListener('offline', () => {
-    notifications.warning('Mất kết nối internet');
+    notifications.warning('Mất kết nối internet. Các thay đổi sẽ được lưu và đồng bộ khi có kết nối lại.');
 });
 
 // Performance monitoring (optional)
@@ -243,14 +240,6 @@ if ('performance' in window) {
     });
 }
 
-// Service Worker registration (for future PWA features)
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        // Service worker registration can be added here in the future
-        console.log('Service Worker support detected');
-    });
-}
-
 // Keyboard shortcuts
 document.addEventListener('keydown', (e) => {
     // Ctrl/Cmd + K: Focus search
@@ -262,20 +251,20 @@ document.addEventListener('keydown', (e) => {
         }
     }
     
-    // Ctrl/Cmd + N: Add new student (only on students section)
-    if ((e.ctrlKey || e.metaKey) && e.key === 'n' && app.currentSection === 'students') {
+    // Ctrl/Cmd + N: Add new student (only on students section, for roles that may create)
+    if ((e.ctrlKey || e.metaKey) && e.key === 'n' && app.currentSection === 'students' && authManager.can('student.create')) {
         e.preventDefault();
         if (window.studentsManager) {
             studentsManager.openAddModal();
         }
     }
     
-    // Number keys 1-2: Switch sections
-    if (e.key >= '1' && e.key <= '2' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    // Number keys 1-3: Switch sections
+    if (e.key >= '1' && e.key <= '3' && !e.ctrlKey && !e.metaKey && !e.altKey) {
         // Only if not typing in an input
         if (!['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
             e.preventDefault();
-            const sections = ['students', 'analytics'];
+            const sections = ['students', 'analytics', 'import-export'];
             const sectionIndex = parseInt(e.key) - 1;
             if (sections[sectionIndex]) {
                 app.showSection(sections[sectionIndex]);
@@ -0,0 +1,671 @@
+// =====================================================
+// AUTH MODULE
+// =====================================================
+// Module handles login/logout and bearer-token authentication:
+// - The login screen is shown until there is a session; API requests wait for it
+// - The access token is attached to every ApiService request via an interceptor
+//   (including healthCheck and crawl jobs)
+// - Access tokens are refreshed transparently (shortly before they expire and on 401)
+// - When refreshing fails the login screen comes back; waiting requests continue after login
+// - A warning is shown before the session (refresh token) expires
+// - Role-based permissions (APP_CONFIG.PERMISSIONS): elements with data-permission are
+//   hidden when the user lacks that permission, 403 responses get a clear message
+// The session lives in localStorage, so every tab shares the same login.
+
+/**
+ * Nhãn hiển thị của các roles
+ */
+const AUTH_ROLE_LABELS = {
+    viewer: 'Người xem',
+    editor: 'Biên tập viên',
+    admin: 'Quản trị viên'
+};
+
+/**
+ * Mô tả các permissions (dùng trong message "Bạn không có quyền ...")
+ */
+const AUTH_PERMISSION_LABELS = {
+    'student.create': 'thêm sinh viên',
+    'student.edit': 'chỉnh sửa sinh viên',
+    'student.delete': 'xóa sinh viên',
+    'student.bulk': 'thao tác hàng loạt',
+    'import': 'import dữ liệu',
+    'crawl': 'chạy crawl'
+};
+
+class AuthManager {
+    constructor() {
+        // State
+        this.session = this.loadSession();   // { accessToken, refreshToken, expiresAt, refreshExpiresAt, user }
+        this.refreshPromise = null;          // Refresh đang chạy (dùng chung cho mọi request)
+        this.waiters = [];                   // Requests đang chờ đăng nhập
+        this.expiryTimer = null;
+        this.expiryWarned = false;           // Đã cảnh báo sắp hết phiên (reset khi có token mới)
+        this.isSubmitting = false;
+
+        // DOM Elements
+        this.screen = document.getElementById('loginScreen');
+        this.form = document.getElementById('loginForm');
+        this.usernameInput = document.getElementById('loginUsername');
+        this.passwordInput = document.getElementById('loginPassword');
+        this.messageEl = document.getElementById('loginMessage');
+        this.submitBtn = document.getElementById('loginSubmitBtn');
+        this.hintEl = document.getElementById('loginHint');
+        this.userMenu = document.getElementById('userMenu');
+        this.userNameEl = document.getElementById('currentUserName');
+        this.userRoleEl = document.getElementById('currentUserRole');
+        this.logoutBtn = document.getElementById('logoutBtn');
+
+        this.registerInterceptor();
+        this.bindEvents();
+        this.render();
+        this.scheduleExpiryCheck();
+    }
+
+    /**
+     * Authentication có được bật không (API_CONFIG.AUTH.ENABLED)
+     * @returns {boolean}
+     */
+    get isEnabled() {
+        return API_CONFIG.AUTH.ENABLED !== false;
+    }
+
+    /**
+     * Đã đăng nhập chưa
+     * @returns {boolean}
+     */
+    get isAuthenticated() {
+        return !this.isEnabled || this.session !== null;
+    }
+
+    /**
+     * Bind event handlers cho login form, logout button và session của tabs khác
+     */
+    bindEvents() {
+        if (this.form) {
+            this.form.addEventListener('submit', (e) => this.handleLogin(e));
+        }
+
+        if (this.logoutBtn) {
+            this.logoutBtn.addEventListener('click', () => this.logout());
+        }
+
+        // Đổi máy chủ backend: session của máy chủ cũ không dùng được nữa
+        window.addEventListener('backendChanged', (e) => {
+            const message = `Đã chuyển sang máy chủ "${e.detail.profile.name}". Vui lòng đăng nhập.`;
+            if (this.session) {
+                this.endSession('backend', message);
+            } else if (this.isEnabled) {
+                this.showLogin(message);
+            }
+        });
+
+        // Tab khác đăng nhập / đăng xuất / refresh token
+        window.addEventListener('storage', (e) => {
+            if (e.key === API_CONFIG.AUTH.STORAGE_KEY) {
+                this.handleExternalChange();
+            }
+        });
+    }
+
+    // =====================================================
+    // INTERCEPTOR
+    // =====================================================
+
+    /**
+     * Gắn access token vào mọi request và xử lý 401/403
+     * order thấp -> request hook chạy trước (các interceptors khác thấy Authorization header),
+     * error hook chạy sau cùng
+     */
+    registerInterceptor() {
+        api.use({
+            name: 'auth',
+            order: -100,
+            request: (request) => this.authorizeRequest(request),
+            error: (error, context) => this.handleAuthError(error, context)
+        });
+    }
+
+    /**
+     * Request hook: chờ đăng nhập (nếu cần), refresh token sắp hết hạn, gắn Authorization header
+     * @param {Object} request - Request object của ApiService
+     */
+    async authorizeRequest(request) {
+        if (!this.isEnabled || request.meta.auth === false) return;
+
+        // Refresh trước khi gửi thay vì đợi server trả 401
+        if (this.session?.refreshToken && this.isAccessTokenExpiring()) {
+            await this.refresh().catch(() => {});
+        }
+
+        const session = await this.waitForSession(request.signal);
+        request.headers.Authorization = `Bearer ${session.accessToken}`;
+        request.meta.accessToken = session.accessToken;
+    }
+
+    /**
+     * Error hook
+     * - 401: refresh token rồi gửi lại request. Refresh thất bại -> hiện login,
+     *   request được gửi lại sau khi đăng nhập
+     * - 403: thay message của server bằng message dễ hiểu (detail gốc vẫn ở error.data)
+     * @param {ApiError} error - Error của request
+     * @param {Object} context - Request context
+     * @returns {Promise<*>} Data của request gửi lại, undefined để trả error cho caller
+     */
+    async handleAuthError(error, context) {
+        if (error.status === 403) {
+            error.message = 'Bạn không có quyền thực hiện thao tác này. Hãy liên hệ quản trị viên nếu cần được cấp quyền.';
+            return undefined;
+        }
+        if (!this.isEnabled || error.status !== 401 || !context.request || context.request.meta.auth === false) {
+            return undefined;
+        }
+
+        // Token mới vẫn bị từ chối -> không thử lại nữa
+        if (context.resent > 0) {
+            this.expire();
+            return undefined;
+        }
+
+        // Request khác đã refresh trong lúc request này chạy -> gửi lại với token mới
+        if (this.session && this.session.accessToken !== context.request.meta.accessToken) {
+            return context.resend();
+        }
+
+        try {
+            await this.refresh();
+        } catch (refreshError) {
+            // Lỗi mạng khi refresh: session vẫn còn, trả lỗi gốc cho caller
+            if (this.session) return undefined;
+        }
+        return context.resend();
+    }
+
+    /**
+     * Chờ đến khi có session (hiện login screen nếu chưa đăng nhập)
+     * @param {AbortSignal} signal - Signal của request (hủy việc chờ)
+     * @returns {Promise<Object>} Session
+     */
+    waitForSession(signal) {
+        if (this.session) {
+            return Promise.resolve(this.session);
+        }
+
+        this.showLogin();
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve: (session) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve(session);
+                }
+            };
+            const onAbort = () => {
+                this.waiters = this.waiters.filter(item => item !== waiter);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
+
+            if (signal?.aborted) {
+                onAbort();
+                return;
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.waiters.push(waiter);
+        });
+    }
+
+    // =====================================================
+    // SESSION
+    // =====================================================
+
+    /**
+     * Load session từ localStorage
+     * @returns {Object|null} Session
+     */
+    loadSession() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(API_CONFIG.AUTH.STORAGE_KEY));
+            return stored && stored.accessToken ? stored : null;
+        } catch (error) {
+            console.warn('Could not load auth session:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Lưu session vào localStorage (xóa nếu null)
+     */
+    saveSession() {
+        try {
+            if (this.session) {
+                localStorage.setItem(API_CONFIG.AUTH.STORAGE_KEY, JSON.stringify(this.session));
+            } else {
+                localStorage.removeItem(API_CONFIG.AUTH.STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('Could not save auth session:', error);
+        }
+    }
+
+    /**
+     * Tạo session từ token response (login hoặc refresh)
+     * Response refresh có thể không kèm refresh token / user mới -> giữ giá trị cũ
+     * @param {Object} token - { access_token, refresh_token, expires_in, refresh_expires_in, username, full_name, role }
+     * @param {string} reason - 'login' | 'refresh'
+     */
+    setSession(token, reason) {
+        if (!token || !token.access_token) {
+            throw new ApiError('Invalid token response', 0, token || {});
+        }
+
+        const now = Date.now();
+        const previousUser = this.getUser();
+        const previous = reason === 'refresh' ? this.session : null;
+        const rotated = Boolean(token.refresh_token);
+        const expiresIn = parseFloat(token.expires_in);
+        const refreshExpiresIn = parseFloat(token.refresh_expires_in);
+
+        this.session = {
+            accessToken: String(token.access_token),
+            refreshToken: rotated ? String(token.refresh_token) : previous?.refreshToken || null,
+            expiresAt: expiresIn > 0 ? now + expiresIn * 1000 : null,
+            refreshExpiresAt: refreshExpiresIn > 0
+                ? now + refreshExpiresIn * 1000
+                : (rotated ? null : previous?.refreshExpiresAt || null),
+            user: token.username
+                ? { username: String(token.username), full_name: token.full_name || '', role: token.role || '' }
+                : previous?.user || null
+        };
+        this.saveSession();
+        this.activate(reason, previousUser);
+    }
+
+    /**
+     * Áp dụng session hiện tại: ẩn login, tiếp tục các requests đang chờ
+     * @param {string} reason - 'login' | 'refresh' | 'external'
+     * @param {Object|null} previousUser - User trước khi đổi session
+     */
+    activate(reason, previousUser) {
+        const wasWaiting = !this.screen || !this.screen.classList.contains('hidden');
+        const user = this.getUser();
+        const userChanged = previousUser?.username !== user?.username || previousUser?.role !== user?.role;
+
+        this.expiryWarned = false;
+        this.scheduleExpiryCheck();
+        this.render();
+
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(waiter => waiter.resolve(this.session));
+
+        if (reason !== 'refresh' && (wasWaiting || userChanged)) {
+            this.dispatchChange(true, reason);
+        }
+    }
+
+    /**
+     * Kết thúc session và hiện login screen
+     * @param {string} reason - 'logout' | 'expired' | 'backend' | 'external'
+     * @param {string} message - Message hiển thị trên login screen
+     */
+    endSession(reason, message = '') {
+        const hadSession = this.session !== null;
+
+        this.session = null;
+        if (reason !== 'external') {
+            this.saveSession();
+        }
+        clearTimeout(this.expiryTimer);
+
+        // Data đã cache thuộc về user cũ
+        api.invalidateCache();
+        this.render();
+        this.showLogin(message);
+
+        if (hadSession) {
+            this.dispatchChange(false, reason);
+        }
+    }
+
+    /**
+     * Session hết hạn (refresh thất bại, token bị từ chối...)
+     * @param {string} message - Message hiển thị trên login screen
+     */
+    expire(message = 'Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.') {
+        if (!this.session) {
+            this.showLogin(message);
+            return;
+        }
+        this.endSession('expired', message);
+    }
+
+    /**
+     * Đăng xuất: xóa session ở client rồi thu hồi refresh token trên server
+     */
+    async logout() {
+        const refreshToken = this.session?.refreshToken;
+        this.endSession('logout', 'Bạn đã đăng xuất.');
+
+        if (refreshToken) {
+            try {
+                await api.logout(refreshToken);
+            } catch (error) {
+                console.warn('Logout request failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Session trong localStorage bị tab khác thay đổi
+     */
+    handleExternalChange() {
+        const stored = this.loadSession();
+
+        if (stored) {
+            const previousUser = this.getUser();
+            this.session = stored;
+            this.activate('external', previousUser);
+        } else if (this.session) {
+            this.endSession('external', 'Bạn đã đăng xuất ở tab khác.');
+        }
+    }
+
+    /**
+     * Báo cho các modules khác khi trạng thái đăng nhập thay đổi
+     * @param {boolean} authenticated - Đã đăng nhập
+     * @param {string} reason - Lý do thay đổi
+     */
+    dispatchChange(authenticated, reason) {
+        window.dispatchEvent(new CustomEvent('authStateChanged', {
+            detail: { authenticated, reason, user: this.getUser() }
+        }));
+    }
+
+    /**
+     * Lấy user hiện tại
+     * @returns {Object|null} { username, full_name, role }
+     */
+    getUser() {
+        return this.session?.user || null;
+    }
+
+    // =====================================================
+    // PERMISSIONS
+    // =====================================================
+
+    /**
+     * User hiện tại có permission không (luôn true khi tắt authentication)
+     * @param {string} permission - Permission (xem APP_CONFIG.PERMISSIONS)
+     * @returns {boolean}
+     */
+    can(permission) {
+        if (!this.isEnabled) return true;
+
+        const permissions = APP_CONFIG.PERMISSIONS[this.getUser()?.role] || APP_CONFIG.PERMISSIONS.viewer;
+        return permissions.includes(permission);
+    }
+
+    /**
+     * Kiểm tra permission trước 1 thao tác, hiện cảnh báo nếu không có quyền
+     * @param {string} permission - Permission
+     * @returns {boolean} true nếu được phép
+     */
+    ensurePermission(permission) {
+        if (this.can(permission)) return true;
+
+        notifications.warning(`Bạn không có quyền ${AUTH_PERMISSION_LABELS[permission] || 'thực hiện thao tác này'}`);
+        return false;
+    }
+
+    /**
+     * Ẩn các elements có data-permission mà user không có quyền
+     */
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(el => {
+            el.classList.toggle('no-permission', !this.can(el.dataset.permission));
+        });
+    }
+
+    // =====================================================
+    // TOKENS
+    // =====================================================
+
+    /**
+     * Access token đã/sắp hết hạn (trong REFRESH_MARGIN)
+     * @returns {boolean}
+     */
+    isAccessTokenExpiring() {
+        return Boolean(this.session?.expiresAt) && Date.now() > this.session.expiresAt - API_CONFIG.AUTH.REFRESH_MARGIN;
+    }
+
+    /**
+     * Refresh access token (các lời gọi đồng thời dùng chung 1 request)
+     * Refresh token bị từ chối -> session hết hạn
+     * @returns {Promise<Object>} Session mới
+     * @throws {ApiError} Nếu refresh thất bại
+     */
+    refresh() {
+        if (this.refreshPromise) {
+            return this.refreshPromise;
+        }
+
+        const refreshToken = this.session?.refreshToken;
+        if (!refreshToken) {
+            this.expire();
+            return Promise.reject(new ApiError('No refresh token', 401));
+        }
+
+        this.refreshPromise = api.refreshToken(refreshToken)
+            .then(token => {
+                this.setSession(token, 'refresh');
+                return this.session;
+            })
+            .catch(error => {
+                // Tab khác đã refresh (refresh token cũ bị thu hồi) -> dùng session của tab đó
+                const stored = this.loadSession();
+                if (stored && stored.refreshToken !== refreshToken) {
+                    const previousUser = this.getUser();
+                    this.session = stored;
+                    this.activate('refresh', previousUser);
+                    return this.session;
+                }
+
+                if (error.isClientError && !error.isCancelled) {
+                    this.expire();
+                }
+                throw error;
+            })
+            .finally(() => {
+                this.refreshPromise = null;
+            });
+
+        return this.refreshPromise;
+    }
+
+    /**
+     * Thời điểm session hết hạn: refresh token, hoặc access token nếu không có refresh token
+     * @returns {number|null} Timestamp (ms)
+     */
+    getSessionExpiry() {
+        if (!this.session) return null;
+        return this.session.refreshToken ? this.session.refreshExpiresAt : this.session.expiresAt;
+    }
+
+    /**
+     * Hẹn giờ cảnh báo sắp hết phiên và kết thúc phiên khi hết hạn
+     */
+    scheduleExpiryCheck() {
+        clearTimeout(this.expiryTimer);
+
+        const expiresAt = this.getSessionExpiry();
+        if (!this.isEnabled || !expiresAt) return;
+
+        const remaining = expiresAt - Date.now();
+        if (remaining <= 0) {
+            this.expire();
+            return;
+        }
+
+        const untilWarning = remaining - API_CONFIG.AUTH.EXPIRY_WARNING;
+        if (untilWarning <= 0 && !this.expiryWarned) {
+            this.warnExpiry(remaining);
+        }
+
+        // setTimeout chỉ hỗ trợ delay tối đa ~24.8 ngày
+        const nextCheck = untilWarning > 0 ? untilWarning : remaining;
+        this.expiryTimer = setTimeout(() => this.scheduleExpiryCheck(), Math.min(nextCheck, 2147483647));
+    }
+
+    /**
+     * Cảnh báo session sắp hết hạn (kèm nút gia hạn nếu có refresh token)
+     * @param {number} remaining - Thời gian còn lại (ms)
+     */
+    warnExpiry(remaining) {
+        this.expiryWarned = true;
+        const minutes = Math.max(1, Math.round(remaining / 60000));
+
+        if (!this.session.refreshToken) {
+            notifications.warning(`Phiên đăng nhập sẽ hết hạn sau ${minutes} phút. Hãy lưu công việc và đăng nhập lại.`);
+            return;
+        }
+
+        notifications.show(`Phiên đăng nhập sẽ hết hạn sau ${minutes} phút.`, 'warning', 15000, {
+            label: 'Gia hạn',
+            onClick: () => this.extendSession()
+        });
+    }
+
+    /**
+     * Gia hạn session bằng refresh token
+     */
+    async extendSession() {
+        try {
+            await this.refresh();
+            notifications.success('Đã gia hạn phiên đăng nhập');
+        } catch (error) {
+            if (this.session) {
+                notifications.error(`Không thể gia hạn phiên đăng nhập: ${error.message}`);
+            }
+        }
+    }
+
+    // =====================================================
+    // LOGIN SCREEN
+    // =====================================================
+
+    /**
+     * Submit login form
+     * @param {Event} e - Submit event
+     */
+    async handleLogin(e) {
+        e.preventDefault();
+        if (this.isSubmitting) return;
+
+        const username = this.usernameInput.value.trim();
+        const password = this.passwordInput.value;
+        if (!username || !password) {
+            this.showMessage('Vui lòng nhập tên đăng nhập và mật khẩu');
+            return;
+        }
+
+        this.isSubmitting = true;
+        this.renderSubmitButton();
+
+        try {
+            const token = await api.login(username, password);
+            this.passwordInput.value = '';
+            this.setSession(token, 'login');
+            notifications.success(`Xin chào, ${this.session.user?.full_name || username}!`);
+        } catch (error) {
+            console.error('Login failed:', error);
+            if (error.status === 401) {
+                this.showMessage('Sai tên đăng nhập hoặc mật khẩu');
+            } else if (error.isNetworkError) {
+                this.showMessage('Không thể kết nối đến server. Vui lòng thử lại.');
+            } else {
+                this.showMessage(`Đăng nhập thất bại: ${error.message}`);
+            }
+        } finally {
+            this.isSubmitting = false;
+            this.renderSubmitButton();
+        }
+    }
+
+    /**
+     * Hiện login screen
+     * @param {string} message - Message hiển thị phía trên form
+     */
+    showLogin(message = '') {
+        if (!this.screen) return;
+
+        if (message) {
+            this.showMessage(message, 'info');
+        }
+        if (this.screen.classList.contains('hidden')) {
+            this.screen.classList.remove('hidden');
+            this.usernameInput?.focus();
+        }
+    }
+
+    /**
+     * Hiện message trên login form
+     * @param {string} message - Message
+     * @param {string} type - 'error' | 'info'
+     */
+    showMessage(message, type = 'error') {
+        if (!this.messageEl) return;
+
+        this.messageEl.textContent = message;
+        this.messageEl.className = `login-message ${type}`;
+    }
+
+    /**
+     * Render login screen và user menu theo trạng thái đăng nhập
+     */
+    render() {
+        if (this.hintEl) {
+            this.hintEl.classList.toggle('hidden', API_CONFIG.USE_MOCK_DATA !== true);
+        }
+
+        if (this.isEnabled && !this.session) {
+            this.showLogin();
+        } else if (this.screen) {
+            this.screen.classList.add('hidden');
+            this.messageEl?.classList.add('hidden');
+        }
+
+        const user = this.getUser();
+        if (this.userMenu) {
+            this.userMenu.classList.toggle('hidden', !this.isEnabled || !this.session);
+        }
+        if (this.userNameEl) {
+            this.userNameEl.textContent = user ? (user.full_name || user.username) : '';
+            this.userNameEl.title = user ? user.username : '';
+        }
+        if (this.userRoleEl) {
+            this.userRoleEl.textContent = user ? (AUTH_ROLE_LABELS[user.role] || user.role || '') : '';
+        }
+
+        this.applyPermissions();
+    }
+
+    /**
+     * Hiển thị trạng thái đang đăng nhập trên submit button
+     */
+    renderSubmitButton() {
+        if (!this.submitBtn) return;
+
+        this.submitBtn.disabled = this.isSubmitting;
+        this.submitBtn.innerHTML = this.isSubmitting
+            ? '<i class="fas fa-spinner fa-spin"></i> Đang đăng nhập...'
+            : '<i class="fas fa-sign-in-alt"></i> Đăng nhập';
+    }
+}
+
+// Initialize auth manager (trước các modules khác để requests lúc khởi động được gắn token)
+let authManager;
+
+document.addEventListener('DOMContentLoaded', () => {
+    authManager = new AuthManager();
+    // Export globally
+    window.authManager = authManager;
+});
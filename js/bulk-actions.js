@@ -0,0 +1,520 @@
+// =====================================================
+// BULK ACTIONS MODULE
+// =====================================================
+// Module handles bulk operations on the selected students:
+// delete, change hometown, adjust scores and export
+// Selection state lives in StudentsManager (selectedStudents + selectionCache)
+
+/**
+ * Score fields that can be adjusted in bulk
+ */
+const BULK_SCORE_FIELDS = {
+    math_score: 'Toán',
+    literature_score: 'Văn',
+    english_score: 'Anh'
+};
+
+class BulkActionsManager {
+    constructor() {
+        // State
+        this.currentAction = null;   // Action đang mở trong modal ('hometown' | 'scores')
+        this.isRunning = false;      // Đang chạy 1 bulk operation
+
+        // DOM Elements
+        this.bar = document.getElementById('bulkActionBar');
+        this.countEl = document.getElementById('bulkSelectedCount');
+        this.selectAllMatchingBtn = document.getElementById('bulkSelectAllMatchingBtn');
+        this.progressContainer = document.getElementById('bulkProgress');
+        this.resultsContainer = document.getElementById('bulkResults');
+        this.form = document.getElementById('bulkForm');
+        this.formFields = document.getElementById('bulkFormFields');
+        this.modalTitle = document.getElementById('bulkModalTitle');
+        this.applyBtn = document.getElementById('bulkApplyBtn');
+        this.cancelBtn = document.getElementById('bulkCancelBtn');
+
+        if (!this.bar) {
+            console.error('Bulk action bar not found');
+            return;
+        }
+
+        this.modal = new ModalManager('bulkModal');
+
+        this.bindEvents();
+        this.render();
+    }
+
+    /**
+     * Bind event handlers cho bulk bar và bulk modal
+     */
+    bindEvents() {
+        // Action buttons (delegation - bao gồm cả nút đóng kết quả)
+        this.bar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bulk-action]');
+            if (button && !button.disabled) {
+                this.handleAction(button.dataset.bulkAction);
+            }
+        });
+
+        // Chọn tất cả students khớp filter (mọi trang)
+        if (this.selectAllMatchingBtn) {
+            this.selectAllMatchingBtn.addEventListener('click', () => {
+                studentsManager.selectAllMatching();
+            });
+        }
+
+        if (this.cancelBtn) {
+            this.cancelBtn.addEventListener('click', () => this.modal.hide());
+        }
+
+        if (this.form) {
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleFormSubmit();
+            });
+        }
+    }
+
+    /**
+     * Update bulk bar theo selection hiện tại
+     * Được gọi bởi StudentsManager mỗi khi selection thay đổi
+     */
+    render() {
+        if (!this.bar || !window.studentsManager) return;
+
+        const count = studentsManager.selectedStudents.size;
+        const hasResults = !this.resultsContainer.classList.contains('hidden');
+
+        this.bar.classList.toggle('hidden', count === 0 && !this.isRunning && !hasResults);
+        this.countEl.textContent = count;
+
+        this.bar.querySelectorAll('.bulk-actions [data-bulk-action]').forEach(button => {
+            button.disabled = count === 0 || this.isRunning;
+        });
+
+        // Cả trang đã được chọn nhưng còn students khớp filter ở các trang khác
+        const totalMatching = studentsManager.totalItems;
+        const canSelectAllMatching = !this.isRunning &&
+            studentsManager.isCurrentPageSelected() &&
+            count < totalMatching;
+
+        if (this.selectAllMatchingBtn) {
+            this.selectAllMatchingBtn.hidden = !canSelectAllMatching;
+            this.selectAllMatchingBtn.textContent = `Chọn tất cả ${totalMatching} sinh viên khớp bộ lọc`;
+        }
+    }
+
+    /**
+     * Handle click vào 1 action trên bulk bar
+     * @param {string} action - 'delete', 'hometown', 'scores', 'export', 'clear' hoặc 'dismiss'
+     */
+    handleAction(action) {
+        switch (action) {
+            case 'delete':
+                if (authManager.ensurePermission('student.delete')) {
+                    this.confirmDelete();
+                }
+                break;
+            case 'hometown':
+            case 'scores':
+                if (authManager.ensurePermission('student.bulk')) {
+                    this.openForm(action);
+                }
+                break;
+            case 'export':
+                if (window.importExportManager) {
+                    importExportManager.exportStudents('selected');
+                }
+                break;
+            case 'clear':
+                studentsManager.clearSelection();
+                break;
+            case 'dismiss':
+                this.hideResults();
+                break;
+        }
+    }
+
+    // =====================================================
+    // ACTIONS
+    // =====================================================
+
+    /**
+     * Bulk delete - xác nhận 1 lần qua DeleteModalManager cho tất cả students đã chọn
+     */
+    confirmDelete() {
+        const students = studentsManager.getSelectedStudents();
+        if (students.length === 0) {
+            notifications.warning('Chưa chọn sinh viên nào');
+            return;
+        }
+
+        deleteModal.show(students, (studentsToDelete) => {
+            // Không await: đóng modal ngay, tiến độ hiển thị trên bulk bar
+            this.runBulk(studentsToDelete, {
+                label: 'Đang xóa',
+                title: 'Kết quả xóa hàng loạt',
+                undoType: 'delete',
+                action: async (student) => {
+                    await api.deleteStudent(student.id);
+                    return { student };
+                },
+                successMessage: (count) => `Đã xóa ${count} sinh viên`
+            });
+        });
+    }
+
+    /**
+     * Mở modal nhập thông tin cho bulk hometown/score
+     * @param {string} action - 'hometown' hoặc 'scores'
+     */
+    openForm(action) {
+        const count = studentsManager.selectedStudents.size;
+        if (count === 0) {
+            notifications.warning('Chưa chọn sinh viên nào');
+            return;
+        }
+
+        this.currentAction = action;
+
+        if (action === 'hometown') {
+            this.modalTitle.textContent = `Đổi quê quán cho ${count} sinh viên`;
+            this.formFields.innerHTML = this.renderHometownFields();
+        } else {
+            this.modalTitle.textContent = `Điều chỉnh điểm cho ${count} sinh viên`;
+            this.formFields.innerHTML = this.renderScoreFields();
+        }
+
+        this.modal.show();
+    }
+
+    /**
+     * Render form đổi quê quán (gợi ý từ các options của hometown filter)
+     * @returns {string} HTML
+     */
+    renderHometownFields() {
+        const options = Array.from(document.querySelectorAll('#hometownFilter option'))
+            .map(option => option.value)
+            .filter(Boolean);
+
+        return `
+            <div class="form-group">
+                <label for="bulkHometown">Quê quán mới <span class="required">*</span></label>
+                <input type="text" id="bulkHometown" name="hometown" list="bulkHometownOptions" required>
+                <datalist id="bulkHometownOptions">
+                    ${options.map(value => `<option value="${escapeAttr(value)}">`).join('')}
+                </datalist>
+            </div>
+        `;
+    }
+
+    /**
+     * Render form điều chỉnh điểm (môn, chế độ cộng/đặt, giá trị)
+     * @returns {string} HTML
+     */
+    renderScoreFields() {
+        const { MIN, MAX } = APP_CONFIG.VALIDATION.SCORE;
+
+        return `
+            <div class="form-grid">
+                <div class="form-group">
+                    <label for="bulkScoreSubject">Môn</label>
+                    <select id="bulkScoreSubject" name="subject">
+                        <option value="all">Tất cả các môn</option>
+                        ${Object.entries(BULK_SCORE_FIELDS).map(([field, label]) =>
+                            `<option value="${field}">${label}</option>`
+                        ).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="bulkScoreMode">Cách điều chỉnh</label>
+                    <select id="bulkScoreMode" name="mode">
+                        <option value="add">Cộng/trừ điểm</option>
+                        <option value="set">Đặt điểm mới</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="bulkScoreValue">Giá trị <span class="required">*</span></label>
+                    <input type="number" id="bulkScoreValue" name="value" step="0.1" required>
+                    <div class="form-hint">Điểm sau điều chỉnh được giới hạn trong khoảng ${MIN}-${MAX}. Cộng/trừ bỏ qua môn chưa có điểm.</div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Handle submit của bulk modal
+     */
+    handleFormSubmit() {
+        const students = studentsManager.getSelectedStudents();
+        if (students.length === 0) {
+            notifications.warning('Chưa chọn sinh viên nào');
+            return;
+        }
+
+        const formData = new FormData(this.form);
+
+        if (this.currentAction === 'hometown') {
+            const hometown = String(formData.get('hometown') || '').trim();
+            if (!hometown) {
+                notifications.warning('Vui lòng nhập quê quán');
+                return;
+            }
+
+            this.modal.hide();
+            this.runBulk(students, {
+                label: 'Đang đổi quê quán',
+                title: 'Kết quả đổi quê quán',
+                undoType: 'update',
+                action: (student) => this.updateStudent(student, { hometown }),
+                successMessage: (count) => `Đã đổi quê quán cho ${count} sinh viên`
+            });
+            return;
+        }
+
+        const subject = formData.get('subject');
+        const mode = formData.get('mode');
+        const value = parseFloat(formData.get('value'));
+        const { MIN, MAX } = APP_CONFIG.VALIDATION.SCORE;
+
+        if (isNaN(value)) {
+            notifications.warning('Vui lòng nhập giá trị điểm hợp lệ');
+            return;
+        }
+        if (mode === 'set' && (value < MIN || value > MAX)) {
+            notifications.warning(`Điểm phải nằm trong khoảng ${MIN}-${MAX}`);
+            return;
+        }
+
+        const fields = subject === 'all' ? Object.keys(BULK_SCORE_FIELDS) : [subject];
+
+        this.modal.hide();
+        this.runBulk(students, {
+            label: 'Đang điều chỉnh điểm',
+            title: 'Kết quả điều chỉnh điểm',
+            undoType: 'update',
+            action: (student) => this.updateStudent(student, this.buildScoreChanges(student, fields, mode, value)),
+            successMessage: (count) => `Đã điều chỉnh điểm cho ${count} sinh viên`
+        });
+    }
+
+    /**
+     * Update 1 student nếu có field thay đổi
+     * Gửi kèm version đã đọc như khi sửa từng student (changes tính từ dữ liệu đó)
+     * @param {Object} student - Student hiện tại
+     * @param {Object} changes - Fields cần update
+     * @returns {Promise<Object|false>} Undo item, false nếu không có gì thay đổi
+     * @throws {ApiError} 409/412 nếu student đã bị người khác sửa
+     */
+    async updateStudent(student, changes) {
+        const undoItem = window.undoManager
+            ? undoManager.buildUpdateItem(student, changes)
+            : { studentId: student.id };
+        if (!undoItem || Object.keys(changes).length === 0) return false;
+
+        let saved;
+        try {
+            const preconditions = await studentsManager.getVersionPreconditions(student);
+            saved = await api.updateStudent(student.id, changes, preconditions);
+        } catch (error) {
+            if (error.status !== 409 && error.status !== 412) throw error;
+
+            // Tải bản mới nhất để lần thử lại tính changes trên dữ liệu mới
+            const latest = error.data?.latest ||
+                await api.getStudent(student.id, { cache: false }).catch(() => null);
+            if (latest) studentsManager.upsertLocalStudent(latest);
+            throw new ApiError('Sinh viên đã bị người khác sửa, dữ liệu đã được tải lại. Vui lòng thử lại.', error.status, error.data);
+        }
+
+        // Undo item kèm version server trả về (hoàn tác không ghi đè thay đổi mới hơn)
+        return window.undoManager
+            ? undoManager.buildUpdateItem(student, changes, saved)
+            : undoItem;
+    }
+
+    /**
+     * Tính điểm mới cho 1 student
+     * @param {Object} student - Student
+     * @param {Array<string>} fields - Score fields cần điều chỉnh
+     * @param {string} mode - 'add' (cộng/trừ) hoặc 'set' (đặt giá trị)
+     * @param {number} value - Giá trị điều chỉnh
+     * @returns {Object} Các field thay đổi (rỗng nếu không có gì thay đổi)
+     */
+    buildScoreChanges(student, fields, mode, value) {
+        const { MIN, MAX } = APP_CONFIG.VALIDATION.SCORE;
+        const changes = {};
+
+        fields.forEach(field => {
+            const current = student[field];
+            const hasScore = current !== null && current !== undefined && current !== '';
+
+            // Cộng/trừ chỉ áp dụng cho môn đã có điểm
+            if (mode === 'add' && !hasScore) return;
+
+            const raw = mode === 'add' ? Number(current) + value : value;
+            const score = Math.round(Math.min(MAX, Math.max(MIN, raw)) * 100) / 100;
+
+            if (!hasScore || Number(current) !== score) {
+                changes[field] = score;
+            }
+        });
+
+        return changes;
+    }
+
+    // =====================================================
+    // RUNNER
+    // =====================================================
+
+    /**
+     * Chạy 1 action tuần tự cho từng student, hiển thị tiến độ và lỗi từng item
+     * @param {Array} students - Students cần xử lý
+     * @param {Object} options - { label, title, undoType, action(student), successMessage(count) }
+     *                           action trả về false = bỏ qua (không có thay đổi),
+     *                           ngược lại trả về undo item cho UndoManager
+     * @returns {Promise<Object>} { total, succeeded, skipped, failed }
+     */
+    async runBulk(students, { label, title, undoType, action, successMessage }) {
+        if (this.isRunning) {
+            notifications.warning('Đang có thao tác hàng loạt khác, vui lòng đợi');
+            return null;
+        }
+
+        const results = { total: students.length, succeeded: [], skipped: [], failed: [] };
+        const undoItems = [];
+
+        this.isRunning = true;
+        this.hideResults();
+        this.render();
+
+        try {
+            for (let i = 0; i < students.length; i++) {
+                const student = students[i];
+                this.renderProgress(label, i, students.length);
+
+                try {
+                    const outcome = await action(student);
+                    if (outcome === false) {
+                        results.skipped.push({ student, message: 'Không có thay đổi' });
+                    } else {
+                        results.succeeded.push(student);
+                        undoItems.push(outcome);
+                    }
+                } catch (error) {
+                    console.error(`Bulk action failed for student ${student.id}:`, error);
+                    results.failed.push({ student, message: error.message || 'Lỗi không xác định' });
+                }
+            }
+        } finally {
+            this.isRunning = false;
+            this.progressContainer.classList.add('hidden');
+        }
+
+        // Bỏ chọn students đã xử lý xong, giữ lại students lỗi để thử lại
+        [...results.succeeded, ...results.skipped.map(item => item.student)].forEach(student => {
+            studentsManager.selectedStudents.delete(student.id);
+            studentsManager.selectionCache.delete(student.id);
+        });
+
+        this.renderResults(title, results);
+
+        if (results.failed.length === 0) {
+            const message = successMessage(results.succeeded.length);
+            if (window.undoManager && undoItems.length > 0) {
+                const entry = undoManager.record(undoType, message, undoItems);
+                undoManager.notify(message, entry);
+            } else {
+                notifications.success(message);
+            }
+        } else {
+            notifications.warning(`${results.succeeded.length} thành công, ${results.failed.length} thất bại. Xem chi tiết bên dưới.`);
+        }
+
+        if (results.succeeded.length > 0) {
+            window.dispatchEvent(new CustomEvent('studentsUpdated', {
+                detail: { source: 'bulk', count: results.succeeded.length }
+            }));
+        } else {
+            studentsManager.renderStudentsTable();
+        }
+
+        studentsManager.onSelectionChange();
+        return results;
+    }
+
+    /**
+     * Render progress bar của bulk operation
+     * @param {string} label - Mô tả action (vd: 'Đang xóa')
+     * @param {number} done - Số students đã xử lý
+     * @param {number} total - Tổng số students
+     */
+    renderProgress(label, done, total) {
+        const percent = total > 0 ? Math.round(done / total * 100) : 0;
+        this.progressContainer.innerHTML = `
+            <div class="import-progress-label">${label} ${done}/${total} sinh viên...</div>
+            <div class="progress-bar"><div class="progress-bar-fill" style="width: ${percent}%"></div></div>
+        `;
+        this.progressContainer.classList.remove('hidden');
+    }
+
+    /**
+     * Render kết quả bulk operation (tổng hợp + chi tiết từng student lỗi/bỏ qua)
+     * @param {string} title - Tiêu đề kết quả
+     * @param {Object} results - Kết quả từ runBulk()
+     */
+    renderResults(title, results) {
+        const details = [
+            ...results.failed.map(item => ({ ...item, type: 'Thất bại' })),
+            ...results.skipped.map(item => ({ ...item, type: 'Bỏ qua' }))
+        ];
+
+        const detailsHtml = details.length > 0 ? `
+            <table class="import-errors-table">
+                <thead>
+                    <tr><th>Mã SV</th><th>Họ tên</th><th>Kết quả</th><th>Lý do</th></tr>
+                </thead>
+                <tbody>
+                    ${details.map(item => `
+                        <tr>
+                            <td>${escapeHtml(item.student.student_id || '')}</td>
+                            <td>${escapeHtml(item.student.full_name || `${item.student.first_name || ''} ${item.student.last_name || ''}`.trim())}</td>
+                            <td>${item.type}</td>
+                            <td>${escapeHtml(item.message)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '';
+
+        this.resultsContainer.innerHTML = `
+            <div class="bulk-results-header">
+                <strong>${escapeHtml(title)}:</strong>
+                <span class="bulk-result success">${results.succeeded.length} thành công</span>
+                <span class="bulk-result warning">${results.skipped.length} bỏ qua</span>
+                <span class="bulk-result error">${results.failed.length} thất bại</span>
+                <button type="button" class="modal-close" data-bulk-action="dismiss" title="Đóng">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            ${detailsHtml}
+        `;
+        this.resultsContainer.classList.remove('hidden');
+    }
+
+    /**
+     * Ẩn kết quả bulk operation
+     */
+    hideResults() {
+        this.resultsContainer.classList.add('hidden');
+        this.resultsContainer.innerHTML = '';
+        this.render();
+    }
+}
+
+// Initialize bulk actions manager
+let bulkActionsManager;
+
+document.addEventListener('DOMContentLoaded', () => {
+    bulkActionsManager = new BulkActionsManager();
+    // Export globally
+    window.bulkActionsManager = bulkActionsManager;
+});
@@ -15,8 +15,15 @@
 class NotificationManager {
     constructor() {
         this.container = document.getElementById('notification');
+        this.actionBtn = this.container.querySelector('.notification-action');
         this.queue = [];          // Queue chứa notifications pending
         this.isShowing = false;   // Flag đang show notification
+        this.hideTimeout = null;  // Timeout ẩn notification hiện tại
+        this.currentAction = null; // Action của notification hiện tại
+
+        if (this.actionBtn) {
+            this.actionBtn.addEventListener('click', () => this.handleAction());
+        }
     }
 
     /**
@@ -24,10 +31,11 @@ class NotificationManager {
      * @param {string} message - Message cần hiển thị
      * @param {string} type - Type: success, error, warning, info
      * @param {number} duration - Duration hiển thị (ms)
+     * @param {Object} action - Optional action button { label, onClick } (vd: "Hoàn tác")
      */
-    show(message, type = 'info', duration = APP_CONFIG.NOTIFICATION.DURATION) {
+    show(message, type = 'info', duration = APP_CONFIG.NOTIFICATION.DURATION, action = null) {
         // Add vào queue
-        this.queue.push({ message, type, duration });
+        this.queue.push({ message, type, duration, action });
         
         // Process queue nếu không đang show
         if (!this.isShowing) {
@@ -45,7 +53,8 @@ class NotificationManager {
         }
 
         this.isShowing = true;
-        const { message, type, duration } = this.queue.shift();
+        const { message, type, duration, action } = this.queue.shift();
+        this.currentAction = action;
 
         // Update notification content
         const icon = this.getIcon(type);
@@ -53,14 +62,38 @@ class NotificationManager {
         this.container.querySelector('.notification-icon').className = `notification-icon ${icon}`;
         this.container.querySelector('.notification-message').textContent = message;
 
+        if (this.actionBtn) {
+            this.actionBtn.textContent = action ? action.label : '';
+            this.actionBtn.classList.toggle('hidden', !action);
+        }
+
         // Show notification
         this.container.classList.add('show');
 
         // Hide sau duration
-        setTimeout(() => {
-            this.container.classList.remove('show');
-            setTimeout(() => this.processQueue(), 300); // Wait animation xong
-        }, duration);
+        this.hideTimeout = setTimeout(() => this.dismiss(), duration);
+    }
+
+    /**
+     * Ẩn notification hiện tại và show notification tiếp theo trong queue
+     */
+    dismiss() {
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = null;
+        this.currentAction = null;
+        this.container.classList.remove('show');
+        setTimeout(() => this.processQueue(), 300); // Wait animation xong
+    }
+
+    /**
+     * Handle click vào action button (chỉ chạy 1 lần rồi ẩn notification)
+     */
+    handleAction() {
+        const action = this.currentAction;
+        if (!action) return;
+
+        this.dismiss();
+        action.onClick();
     }
 
     /**
@@ -362,31 +395,75 @@ class FormHandler {
     }
 
     validateField(fieldName, value) {
-        const field = this.form.querySelector(`[name="${fieldName}"]`);
-        const errorElement = field.parentNode.querySelector('.form-error');
-        
         const error = this.validators[fieldName](value);
         
         if (error) {
-            field.classList.add('error');
-            if (errorElement) {
-                errorElement.textContent = error;
-            } else {
-                const errorDiv = document.createElement('div');
-                errorDiv.className = 'form-error';
-                errorDiv.textContent = error;
-                field.parentNode.appendChild(errorDiv);
-            }
+            this.showFieldError(fieldName, error);
             return false;
         } else {
-            field.classList.remove('error');
-            if (errorElement) {
-                errorElement.remove();
-            }
+            this.clearFieldError(fieldName);
             return true;
         }
     }
 
+    /**
+     * Hiển thị lỗi dưới 1 field
+     * @param {string} fieldName - Field name
+     * @param {string} message - Error message
+     * @returns {boolean} false nếu form không có field này
+     */
+    showFieldError(fieldName, message) {
+        const field = this.form.querySelector(`[name="${fieldName}"]`);
+        if (!field) return false;
+
+        let errorElement = field.parentNode.querySelector('.form-error');
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.className = 'form-error';
+            field.parentNode.appendChild(errorElement);
+        }
+        field.classList.add('error');
+        errorElement.textContent = message;
+        return true;
+    }
+
+    clearFieldError(fieldName) {
+        const field = this.form.querySelector(`[name="${fieldName}"]`);
+        if (!field) return;
+
+        field.classList.remove('error');
+        field.parentNode.querySelector('.form-error')?.remove();
+    }
+
+    /**
+     * Hiển thị lỗi validation từ server (xem ApiError.fieldErrors/formErrors)
+     * Lỗi của field không có trong form được đưa lên banner đầu form
+     * @param {Object} fieldErrors - { field: [messages] }
+     * @param {Array<string>} formErrors - Lỗi không gắn với field
+     * @param {Object} labels - Nhãn hiển thị của fields (cho banner)
+     */
+    showServerErrors(fieldErrors = {}, formErrors = [], labels = {}) {
+        this.clearErrors();
+
+        const unmapped = [...formErrors];
+        Object.entries(fieldErrors).forEach(([fieldName, messages]) => {
+            if (!this.showFieldError(fieldName, messages.join('. '))) {
+                unmapped.push(`${labels[fieldName] || fieldName}: ${messages.join('. ')}`);
+            }
+        });
+
+        if (unmapped.length > 0) {
+            const banner = document.createElement('div');
+            banner.className = 'form-banner';
+            banner.setAttribute('role', 'alert');
+            banner.innerHTML = `
+                <i class="fas fa-exclamation-circle"></i>
+                <ul>${unmapped.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul>
+            `;
+            this.form.prepend(banner);
+        }
+    }
+
     validateAll() {
         let isValid = true;
         const formData = this.getFormData();
@@ -430,7 +507,7 @@ class FormHandler {
     }
 
     clearErrors() {
-        this.form.querySelectorAll('.form-error').forEach(error => error.remove());
+        this.form.querySelectorAll('.form-error, .form-banner').forEach(error => error.remove());
         this.form.querySelectorAll('.error').forEach(field => field.classList.remove('error'));
     }
 
@@ -589,6 +666,8 @@ class DeleteModalManager {
         this.closeBtn = this.modal.querySelector('.modal-close');
         this.studentNameEl = document.getElementById('deleteStudentName');
         this.studentIdEl = document.getElementById('deleteStudentId');
+        this.titleEl = this.modal.querySelector('.delete-modal-header h3');
+        this.defaultTitle = this.titleEl ? this.titleEl.textContent : '';
         
         this.currentStudent = null;
         this.onConfirm = null;
@@ -639,16 +718,28 @@ class DeleteModalManager {
         });
     }
     
+    /**
+     * Show confirmation cho 1 student hoặc nhiều students (bulk delete)
+     * @param {Object|Array} student - Student cần xóa, hoặc array students
+     * @param {Function} onConfirm - Callback nhận lại student/array khi user xác nhận
+     */
     show(student, onConfirm) {
         this.currentStudent = student;
         this.onConfirm = onConfirm;
         
-        // Update student info
-        if (this.studentNameEl) {
-            this.studentNameEl.textContent = student.full_name || `${student.first_name} ${student.last_name}`;
-        }
-        if (this.studentIdEl) {
-            this.studentIdEl.textContent = `Mã SV: ${student.student_id}`;
+        if (Array.isArray(student)) {
+            this.renderBulkInfo(student);
+        } else {
+            // Update student info
+            if (this.titleEl) {
+                this.titleEl.textContent = this.defaultTitle;
+            }
+            if (this.studentNameEl) {
+                this.studentNameEl.textContent = student.full_name || `${student.first_name} ${student.last_name}`;
+            }
+            if (this.studentIdEl) {
+                this.studentIdEl.textContent = `Mã SV: ${student.student_id}`;
+            }
         }
         
         // Show modal with animation
@@ -668,6 +759,28 @@ class DeleteModalManager {
         }, 100);
     }
     
+    /**
+     * Render thông tin cho bulk delete (số lượng + vài mã SV đầu tiên)
+     * @param {Array} students - Students cần xóa
+     */
+    renderBulkInfo(students) {
+        const previewCount = 5;
+        const ids = students.slice(0, previewCount).map(s => s.student_id).join(', ');
+        const remaining = students.length - previewCount;
+        
+        if (this.titleEl) {
+            this.titleEl.textContent = `Xác nhận xóa ${students.length} sinh viên`;
+        }
+        if (this.studentNameEl) {
+            this.studentNameEl.textContent = `${students.length} sinh viên đã chọn`;
+        }
+        if (this.studentIdEl) {
+            this.studentIdEl.textContent = remaining > 0
+                ? `Mã SV: ${ids} và ${remaining} sinh viên khác`
+                : `Mã SV: ${ids}`;
+        }
+    }
+    
     hide() {
         this.modal.classList.remove('show');
         document.body.style.overflow = '';
@@ -682,12 +795,149 @@ class DeleteModalManager {
     }
 }
 
+// =====================================================
+// CONFLICT MODAL
+// =====================================================
+
+/**
+ * ConflictModalManager Class
+ * Dialog so sánh từng field khi student đã bị người khác sửa trong lúc đang edit
+ * User chọn giữ bản của mình, lấy bản trên server, hoặc gộp theo từng field
+ */
+class ConflictModalManager {
+    constructor() {
+        this.modal = document.getElementById('conflictModal');
+        this.tableBody = document.getElementById('conflictDiffBody');
+        this.resolve = null;   // Resolve function của Promise đang chờ
+        this.rows = [];
+
+        if (this.modal) {
+            this.bindEvents();
+        }
+    }
+
+    bindEvents() {
+        // Action buttons: keep mine / take server / merge
+        this.modal.querySelectorAll('[data-conflict-action]').forEach(button => {
+            button.addEventListener('click', () => this.finish(button.dataset.conflictAction));
+        });
+
+        // Close button / backdrop / Escape = hủy
+        this.modal.querySelector('.modal-close')?.addEventListener('click', () => this.finish(null));
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.finish(null);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.modal.classList.contains('active')) {
+                this.finish(null);
+            }
+        });
+    }
+
+    /**
+     * Show diff dialog
+     * @param {Array} rows - [{ field, label, base, mine, server, conflict }] các fields khác nhau giữa mine và server
+     *                       conflict = cả 2 bên đều đã sửa field này
+     * @returns {Promise<Object|null>} { action: 'mine'|'server'|'merge', choices: { field: 'mine'|'server' } } hoặc null nếu hủy
+     */
+    show(rows) {
+        // Hủy dialog cũ nếu đang mở
+        if (this.resolve) this.finish(null);
+
+        this.rows = rows;
+        this.tableBody.innerHTML = rows.map(row => {
+            // Mặc định: field chỉ server sửa -> lấy server, còn lại giữ bản của user
+            const defaultChoice = isSameFieldValue(row.field, row.mine, row.base) ? 'server' : 'mine';
+            return `
+                <tr class="${row.conflict ? 'conflict' : ''}">
+                    <td><strong>${escapeHtml(row.label)}</strong></td>
+                    <td>${escapeHtml(formatFieldValue(row.field, row.base))}</td>
+                    <td>
+                        <label class="conflict-choice">
+                            <input type="radio" name="conflict-${row.field}" value="mine" ${defaultChoice === 'mine' ? 'checked' : ''}>
+                            ${escapeHtml(formatFieldValue(row.field, row.mine))}
+                        </label>
+                    </td>
+                    <td>
+                        <label class="conflict-choice">
+                            <input type="radio" name="conflict-${row.field}" value="server" ${defaultChoice === 'server' ? 'checked' : ''}>
+                            ${escapeHtml(formatFieldValue(row.field, row.server))}
+                        </label>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        this.modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * Đóng dialog và trả kết quả
+     * @param {string|null} action - 'mine', 'server', 'merge' hoặc null (hủy)
+     */
+    finish(action) {
+        if (!this.resolve) return;
+
+        const choices = {};
+        this.rows.forEach(row => {
+            const checked = this.tableBody.querySelector(`input[name="conflict-${row.field}"]:checked`);
+            choices[row.field] = action === 'merge' ? (checked?.value || 'mine') : action;
+        });
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        this.modal.classList.remove('active');
+        document.body.style.overflow = '';
+
+        resolve(action ? { action, choices } : null);
+    }
+}
+
+// Retry Indicator
+// Hiển thị trạng thái "đang thử lại" khi ApiService retry requests bị lỗi tạm thời
+class RetryIndicator {
+    constructor() {
+        this.element = document.getElementById('retryIndicator');
+        this.message = this.element?.querySelector('.retry-indicator-message');
+
+        window.addEventListener('apiRetryStateChanged', (e) => this.update(e.detail));
+    }
+
+    /**
+     * Update indicator theo số requests đang chờ thử lại
+     * @param {Object} detail - { count, latest: { endpoint, attempt, delay }, maxRetries }
+     */
+    update({ count, latest, maxRetries }) {
+        if (!this.element) return;
+
+        if (count === 0) {
+            this.element.classList.add('hidden');
+            return;
+        }
+
+        if (latest && this.message) {
+            const seconds = Math.max(1, Math.round(latest.delay / 1000));
+            this.message.textContent = `Kết nối không ổn định, đang thử lại... (lần ${latest.attempt}/${maxRetries}, sau ${seconds} giây)`;
+        }
+        this.element.classList.remove('hidden');
+    }
+}
+
 // Initialize global instances
 const notifications = new NotificationManager();
 const loading = new LoadingManager();
 const deleteModal = new DeleteModalManager();
+const conflictModal = new ConflictModalManager();
+const retryIndicator = new RetryIndicator();
 
 // Export for global access
 window.notifications = notifications;
 window.loading = loading;
-window.deleteModal = deleteModal;
\ No newline at end of file
+window.deleteModal = deleteModal;
+window.conflictModal = conflictModal;
+window.retryIndicator = retryIndicator;
\ No newline at end of file
@@ -18,20 +18,94 @@ const API_CONFIG = {
     // Backend API base URL
     BASE_URL: 'http://localhost:8000/api/v1',
     
+    // Health check endpoint of the default backend (not under BASE_URL)
+    HEALTH_URL: 'http://localhost:8000/health',
+    
+    // Backend profiles (Settings screen): BASE_URL/HEALTH_URL form the built-in default profile,
+    // users can add others (staging, school server...) and switch at runtime
+    PROFILES_STORAGE_KEY: 'backendProfiles',  // localStorage key { profiles, activeId }
+    CONNECTION_TEST_TIMEOUT: 10000,           // Timeout of the "test connection" button (ms)
+    
     // Default headers for all requests
-    HEADERS: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/xml, text/xml, application/json, */*'  // Accept both XML and JSON
-    },
+    // (Accept and Content-Type are added by ApiService from RESPONSE_FORMAT / REQUEST_FORMAT, see FORMATS)
+    HEADERS: {},
     
     // Request timeout (milliseconds)
     TIMEOUT: 30000, // 30 seconds
     
     // Flag to use mock data (for development without backend)
+    // When true, ApiService serves every endpoint from the in-browser MockBackend (js/mock-api.js)
     USE_MOCK_DATA: false,
     
-    // Response format from backend ('xml' or 'json')
-    RESPONSE_FORMAT: 'xml'
+    // Simulated network latency for mock mode (milliseconds)
+    MOCK_LATENCY: 250,
+    
+    // Fraction of mock requests answered with 503 + Retry-After (to try out retries), 0 = never
+    MOCK_ERROR_RATE: 0,
+    
+    // Response format of the default backend ('xml' or 'json'), requested via Accept.
+    // Backend profiles can override it (see BackendSettingsManager)
+    RESPONSE_FORMAT: 'xml',
+    
+    // Encoding of request bodies ('json' or 'xml'), sent as Content-Type.
+    // The default backend reads JSON bodies; only pick 'xml' for backends that accept XML input
+    REQUEST_FORMAT: 'json',
+    
+    // Headers per wire format
+    FORMATS: {
+        xml: {
+            ACCEPT: 'application/xml, text/xml, application/json, */*',  // Accept both XML and JSON
+            CONTENT_TYPE: 'application/xml; charset=utf-8'
+        },
+        json: {
+            ACCEPT: 'application/json',
+            CONTENT_TYPE: 'application/json'
+        }
+    },
+    
+    // Response cache for read endpoints (cleared after every successful mutation or crawl)
+    CACHE: {
+        ENABLED: true,
+        TTL: {
+            STUDENTS: 30000,       // GET /students (list pages)
+            STUDENT: 30000,        // GET /students/{id}
+            ANALYTICS: 60000,      // GET /analytics/*
+            HEALTH: 15000          // Successful health check
+        },
+        MAX_STALE: 5 * 60 * 1000,  // Expired data can still be shown while revalidating, up to this age
+        MAX_ENTRIES: 200           // Oldest entries are evicted above this size
+    },
+    
+    // Set by the service worker (sw.js) on student/analytics responses it serves from its
+    // offline cache when the backend is unreachable; value = when the response was stored
+    OFFLINE_CACHE_HEADER: 'X-Offline-Cache',
+    
+    // Automatic retries on network errors, 408, 429 and 5xx
+    RETRY: {
+        MAX_ATTEMPTS: 3,           // Total attempts (first request + 2 retries)
+        BASE_DELAY: 500,           // Backoff: 500ms, 1s, 2s... (with jitter)
+        MAX_DELAY: 8000,           // Upper bound for the backoff delay
+        MAX_RETRY_AFTER: 30000,    // Give up instead of retrying if the server asks to wait longer
+        // Methods that are safe to repeat; other methods (POST) only with an idempotency key
+        IDEMPOTENT_METHODS: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+        IDEMPOTENCY_HEADER: 'Idempotency-Key',
+        // The backend deduplicates POSTs carrying IDEMPOTENCY_HEADER. Only then are keys sent and
+        // POSTs retried; the standard backend does not, so a retried POST could create duplicates.
+        // Backend profiles can override it (see BackendSettingsManager)
+        IDEMPOTENCY_KEYS: false
+    },
+
+    // Bearer-token authentication (js/auth.js), see "Authentication" in README.md for the
+    // token contract the backend must implement. Off by default: the standard backend has no auth
+    AUTH: {
+        ENABLED: false,                      // true = login screen + bearer tokens (also enforced by the mock)
+        LOGIN_ENDPOINT: '/auth/login',       // POST { username, password } -> token
+        REFRESH_ENDPOINT: '/auth/refresh',   // POST { refresh_token } -> new token
+        LOGOUT_ENDPOINT: '/auth/logout',     // POST { refresh_token } -> 204
+        STORAGE_KEY: 'authSession',          // localStorage key (shared by all tabs)
+        REFRESH_MARGIN: 30000,               // Refresh the access token this long before it expires
+        EXPIRY_WARNING: 2 * 60 * 1000        // Warn this long before the session (refresh token) expires
+    }
 };
 
 /**
@@ -42,7 +116,10 @@ const APP_CONFIG = {
     // Pagination settings
     PAGINATION: {
         DEFAULT_PAGE_SIZE: 20,    // Default items per page
-        MAX_PAGE_SIZE: 100        // Maximum items per page
+        MAX_PAGE_SIZE: 100,       // Maximum items per page
+        // Above this many students, search/filter/sort/paging is delegated to the server
+        // instead of downloading the whole list (StudentsManager server mode)
+        SERVER_MODE_THRESHOLD: 500
     },
     
     // Validation rules
@@ -68,9 +145,124 @@ const APP_CONFIG = {
     // Notification settings
     NOTIFICATION: {
         DURATION: 5000  // Notification display duration (ms)
+    },
+
+    // Undo settings
+    UNDO: {
+        HISTORY_SIZE: 20,                  // Số thao tác gần nhất được giữ trong lịch sử
+        ACTION_DURATION: 8000,             // Thời gian hiển thị nút "Hoàn tác" trên notification (ms)
+        STORAGE_KEY: 'operationHistory'    // sessionStorage key cho lịch sử thao tác
+    },
+
+    // Cross-tab sync settings
+    SYNC: {
+        CHANNEL_NAME: 'student-management-sync', // BroadcastChannel name
+        STORAGE_KEY: 'tabSyncMessage'            // localStorage key cho fallback qua 'storage' event
+    },
+
+    // Crawl job settings
+    CRAWL: {
+        POLL_INTERVAL: 1500,               // Khoảng thời gian giữa 2 lần poll trạng thái job (ms)
+        POLL_TIMEOUT: 10000,               // Timeout cho mỗi request poll (ms)
+        MAX_POLL_FAILURES: 3,              // Số lần poll lỗi liên tiếp trước khi dừng theo dõi
+        MAX_DURATION: 10 * 60 * 1000,      // Dừng theo dõi job sau 10 phút
+        LEGACY_TIMEOUT: 120000,            // Timeout cho endpoint crawl đồng bộ cũ (ms)
+        HISTORY_SIZE: 20,                  // Số lần crawl giữ trong lịch sử
+        HISTORY_KEY: 'crawlHistory',       // localStorage key cho lịch sử crawl
+        ACTIVE_JOB_KEY: 'activeCrawlJob'   // sessionStorage key cho job đang chạy (resume sau reload)
+    },
+
+    // Dữ liệu lưu trên thiết bị (IndexedDB, xem LocalDatabase)
+    // Thêm object store mới -> tăng VERSION
+    LOCAL_DB: {
+        NAME: 'studentManagement',
+        VERSION: 2,
+        STORES: {
+            mutations: { keyPath: 'id', autoIncrement: true }, // Offline mutation queue
+            snapshots: { keyPath: 'key' }                      // Dữ liệu lần đồng bộ cuối (xem getSnapshotKey())
+        }
+    },
+
+    // Offline mutation queue settings
+    OFFLINE_QUEUE: {
+        LOCK_NAME: 'offline-queue-replay', // Web Lock: chỉ 1 tab replay queue tại 1 thời điểm
+        RETRY_INTERVAL: 30000              // Thử replay lại khi backend chưa phản hồi (ms)
+    },
+
+    // Progressive Web App (service worker + manifest, xem PwaManager)
+    PWA: {
+        ENABLED: true,                          // false = không đăng ký service worker (vd: khi dev)
+        SERVICE_WORKER_URL: 'sw.js',
+        UPDATE_CHECK_INTERVAL: 60 * 60 * 1000   // Kiểm tra version mới định kỳ cho tab mở lâu (ms)
+    },
+
+    // Role-based permissions (role của user đã đăng nhập, xem AuthManager.can())
+    // Role không xác định được có quyền như viewer
+    PERMISSIONS: {
+        viewer: [],
+        editor: ['student.create', 'student.edit'],
+        admin: ['student.create', 'student.edit', 'student.delete', 'student.bulk', 'import', 'crawl']
+    },
+
+    // Import/Export settings
+    IMPORT_EXPORT: {
+        MAX_FILE_SIZE: 10 * 1024 * 1024,             // Maximum upload size (10MB)
+        ACCEPTED_EXTENSIONS: ['xlsx', 'xls', 'csv'], // Accepted import file types
+        MAPPING_PRESETS_KEY: 'importMappingPresets', // localStorage key for column mapping presets
+        ID_LOOKUP_CONCURRENCY: 5,                    // Parallel student_id lookups when checking duplicates in server mode
+        // Student fields in import/export column order
+        FIELDS: [
+            'student_id', 'first_name', 'last_name', 'email', 'birth_date',
+            'hometown', 'math_score', 'literature_score', 'english_score'
+        ]
     }
 };
 
+/**
+ * Student Field Labels
+ * Nhãn hiển thị của các fields (import preview, lịch sử thao tác, conflict dialog...)
+ */
+const STUDENT_FIELD_LABELS = {
+    student_id: 'Mã SV',
+    first_name: 'Họ',
+    last_name: 'Tên',
+    email: 'Email',
+    birth_date: 'Ngày sinh',
+    hometown: 'Quê quán',
+    math_score: 'Điểm Toán',
+    literature_score: 'Điểm Văn',
+    english_score: 'Điểm Anh'
+};
+
+/**
+ * Server Validation Messages
+ * Bản dịch lỗi validation của backend (FastAPI/Pydantic v1 và v2) theo error type
+ * {le}, {ge}, {max_length}... lấy từ ctx của lỗi; thiếu ctx -> dùng message gốc của server
+ */
+const SERVER_VALIDATION_MESSAGES = {
+    'missing': 'Trường này là bắt buộc',
+    'value_error.missing': 'Trường này là bắt buộc',
+    'value_error.email': 'Email không hợp lệ',
+    'less_than_equal': 'Giá trị phải nhỏ hơn hoặc bằng {le}',
+    'value_error.number.not_le': 'Giá trị phải nhỏ hơn hoặc bằng {limit_value}',
+    'greater_than_equal': 'Giá trị phải lớn hơn hoặc bằng {ge}',
+    'value_error.number.not_ge': 'Giá trị phải lớn hơn hoặc bằng {limit_value}',
+    'string_too_short': 'Phải có ít nhất {min_length} ký tự',
+    'value_error.any_str.min_length': 'Phải có ít nhất {limit_value} ký tự',
+    'string_too_long': 'Không được quá {max_length} ký tự',
+    'value_error.any_str.max_length': 'Không được quá {limit_value} ký tự',
+    'string_pattern_mismatch': 'Sai định dạng',
+    'value_error.str.regex': 'Sai định dạng',
+    'float_parsing': 'Phải là số',
+    'int_parsing': 'Phải là số nguyên',
+    'type_error.float': 'Phải là số',
+    'type_error.integer': 'Phải là số nguyên',
+    'date_parsing': 'Ngày không hợp lệ',
+    'date_from_datetime_parsing': 'Ngày không hợp lệ',
+    'value_error.date': 'Ngày không hợp lệ',
+    'unique': 'Giá trị đã tồn tại'
+};
+
 /**
  * Grade Configuration
  * Academic performance grading system configuration
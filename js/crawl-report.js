@@ -0,0 +1,333 @@
+// =====================================================
+// CRAWL REPORT MODULE
+// =====================================================
+// Module compares the student list before and after a crawl and shows
+// what the crawler changed: new students, removed students and field-level
+// changes (old → new). The report can be filtered and exported as CSV.
+// Students are matched by student_id (the crawler may recreate records).
+
+/**
+ * Fields được so sánh giữa 2 snapshots
+ */
+const CRAWL_REPORT_FIELDS = APP_CONFIG.IMPORT_EXPORT.FIELDS.filter(field => field !== 'student_id');
+
+/**
+ * Nhãn hiển thị của các loại thay đổi
+ */
+const CRAWL_CHANGE_LABELS = {
+    added: 'Thêm mới',
+    updated: 'Cập nhật',
+    removed: 'Đã xóa'
+};
+
+class CrawlReportManager {
+    constructor() {
+        // State
+        this.report = null;              // { generatedAt, added, updated, removed }
+        this.filter = 'all';             // all | added | updated | removed
+        this.fieldFilter = '';           // Chỉ hiện thay đổi của 1 field
+        this.searchTerm = '';
+
+        // DOM Elements
+        this.summary = document.getElementById('crawlReportSummary');
+        this.tableBody = document.getElementById('crawlReportBody');
+        this.searchInput = document.getElementById('crawlReportSearch');
+        this.fieldSelect = document.getElementById('crawlReportField');
+        this.exportBtn = document.getElementById('crawlReportExportBtn');
+        this.modal = document.getElementById('crawlReportModal') ? new ModalManager('crawlReportModal') : null;
+
+        this.populateFieldFilter();
+        this.bindEvents();
+    }
+
+    /**
+     * Bind event handlers cho report modal
+     */
+    bindEvents() {
+        if (this.summary) {
+            this.summary.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-report-filter]');
+                if (button) {
+                    this.filter = button.dataset.reportFilter;
+                    this.render();
+                }
+            });
+        }
+
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', debounce((e) => {
+                this.searchTerm = e.target.value.trim().toLowerCase();
+                this.renderRows();
+            }, 200));
+        }
+
+        if (this.fieldSelect) {
+            this.fieldSelect.addEventListener('change', (e) => {
+                this.fieldFilter = e.target.value;
+                this.renderRows();
+            });
+        }
+
+        if (this.exportBtn) {
+            this.exportBtn.addEventListener('click', () => this.exportCSV());
+        }
+    }
+
+    /**
+     * Populate field filter select
+     */
+    populateFieldFilter() {
+        if (!this.fieldSelect) return;
+
+        this.fieldSelect.innerHTML = '<option value="">Tất cả các trường</option>'
+            + CRAWL_REPORT_FIELDS.map(field =>
+                `<option value="${field}">${STUDENT_FIELD_LABELS[field] || field}</option>`
+            ).join('');
+    }
+
+    // =====================================================
+    // DIFF
+    // =====================================================
+
+    /**
+     * So sánh 2 snapshots và lưu lại report
+     * @param {Array} before - Students trước khi crawl
+     * @param {Array} after - Students sau khi crawl
+     * @returns {Object} Report { generatedAt, added, updated, removed }
+     */
+    build(before, after) {
+        const keyOf = (student) => student.student_id || `#${student.id}`;
+        const beforeMap = new Map(before.map(student => [keyOf(student), student]));
+        const afterKeys = new Set();
+
+        const added = [];
+        const updated = [];
+
+        after.forEach(student => {
+            const key = keyOf(student);
+            afterKeys.add(key);
+
+            const previous = beforeMap.get(key);
+            if (!previous) {
+                added.push(student);
+                return;
+            }
+
+            const changes = CRAWL_REPORT_FIELDS
+                .filter(field => !isSameFieldValue(field, previous[field], student[field]))
+                .map(field => ({ field, before: previous[field] ?? null, after: student[field] ?? null }));
+
+            if (changes.length > 0) {
+                updated.push({ student, changes });
+            }
+        });
+
+        const removed = before.filter(student => !afterKeys.has(keyOf(student)));
+
+        this.report = { generatedAt: new Date().toISOString(), added, updated, removed };
+        this.filter = 'all';
+        return this.report;
+    }
+
+    /**
+     * Đếm số thay đổi theo loại
+     * @param {Object} report - Report từ build()
+     * @returns {Object} { added, updated, removed }
+     */
+    getCounts(report = this.report) {
+        return {
+            added: report ? report.added.length : 0,
+            updated: report ? report.updated.length : 0,
+            removed: report ? report.removed.length : 0
+        };
+    }
+
+    /**
+     * Chuyển report thành danh sách rows theo filter hiện tại
+     * Mỗi row là 1 sinh viên: { type, student, changes }
+     * @returns {Array<Object>}
+     */
+    getFilteredRows() {
+        if (!this.report) return [];
+
+        const rows = [
+            ...this.report.added.map(student => ({ type: 'added', student, changes: [] })),
+            ...this.report.updated.map(({ student, changes }) => ({ type: 'updated', student, changes })),
+            ...this.report.removed.map(student => ({ type: 'removed', student, changes: [] }))
+        ];
+
+        return rows
+            .filter(row => this.filter === 'all' || row.type === this.filter)
+            .map(row => this.fieldFilter
+                ? { ...row, changes: row.changes.filter(change => change.field === this.fieldFilter) }
+                : row)
+            // Khi lọc theo field: chỉ giữ các sinh viên có thay đổi ở field đó
+            .filter(row => !this.fieldFilter || row.changes.length > 0)
+            .filter(row => {
+                if (!this.searchTerm) return true;
+                const text = `${row.student.student_id || ''} ${this.getStudentName(row.student)}`.toLowerCase();
+                return text.includes(this.searchTerm);
+            });
+    }
+
+    /**
+     * Lấy họ tên student
+     * @param {Object} student - Student
+     * @returns {string}
+     */
+    getStudentName(student) {
+        return student.full_name || `${student.first_name || ''} ${student.last_name || ''}`.trim();
+    }
+
+    // =====================================================
+    // MODAL
+    // =====================================================
+
+    /**
+     * Mở report modal
+     */
+    show() {
+        if (!this.report) {
+            notifications.info('Chưa có báo cáo thay đổi nào');
+            return;
+        }
+
+        this.render();
+        if (this.modal) {
+            this.modal.show();
+        }
+    }
+
+    /**
+     * Render summary và bảng thay đổi
+     */
+    render() {
+        this.renderSummary();
+        this.renderRows();
+    }
+
+    /**
+     * Render các nút filter kèm số lượng
+     */
+    renderSummary() {
+        if (!this.summary) return;
+
+        const counts = this.getCounts();
+        const total = counts.added + counts.updated + counts.removed;
+        const filters = [
+            { key: 'all', label: 'Tất cả', count: total },
+            ...Object.keys(CRAWL_CHANGE_LABELS).map(key => ({ key, label: CRAWL_CHANGE_LABELS[key], count: counts[key] }))
+        ];
+
+        this.summary.innerHTML = filters.map(({ key, label, count }) => `
+            <button type="button" class="crawl-report-filter ${key} ${this.filter === key ? 'active' : ''}" data-report-filter="${key}">
+                <span class="crawl-report-count">${count}</span>
+                <span>${label}</span>
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Render bảng thay đổi theo filter
+     */
+    renderRows() {
+        if (!this.tableBody) return;
+
+        const rows = this.getFilteredRows();
+        if (this.exportBtn) {
+            this.exportBtn.disabled = rows.length === 0;
+        }
+
+        if (rows.length === 0) {
+            this.tableBody.innerHTML = `
+                <tr><td colspan="4" class="crawl-report-empty">Không có thay đổi nào phù hợp</td></tr>
+            `;
+            return;
+        }
+
+        this.tableBody.innerHTML = rows.map(row => `
+            <tr class="crawl-change ${row.type}">
+                <td><span class="crawl-change-badge ${row.type}">${CRAWL_CHANGE_LABELS[row.type]}</span></td>
+                <td>${escapeHtml(row.student.student_id || '')}</td>
+                <td>${escapeHtml(this.getStudentName(row.student))}</td>
+                <td>${this.renderChanges(row)}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Render chi tiết thay đổi của 1 row
+     * @param {Object} row - { type, student, changes }
+     * @returns {string} HTML
+     */
+    renderChanges(row) {
+        if (row.type !== 'updated') {
+            const { student } = row;
+            return `<span class="crawl-change-details">${escapeHtml(student.hometown || '')}`
+                + ` · TB: ${formatScore(student.average_score)}</span>`;
+        }
+
+        return `<ul class="crawl-change-list">${row.changes.map(change => `
+            <li>
+                <strong>${STUDENT_FIELD_LABELS[change.field] || change.field}:</strong>
+                <span class="crawl-change-old">${escapeHtml(formatFieldValue(change.field, change.before))}</span>
+                →
+                <span class="crawl-change-new">${escapeHtml(formatFieldValue(change.field, change.after))}</span>
+            </li>
+        `).join('')}</ul>`;
+    }
+
+    // =====================================================
+    // EXPORT
+    // =====================================================
+
+    /**
+     * Export các thay đổi đang hiển thị ra CSV (1 dòng cho mỗi field thay đổi)
+     */
+    exportCSV() {
+        const rows = this.getFilteredRows();
+        if (rows.length === 0) {
+            notifications.warning('Không có thay đổi nào để export');
+            return;
+        }
+
+        const columns = ['change_type', 'student_id', 'full_name', 'field', 'old_value', 'new_value'];
+        const toCell = (field, value) => field === 'birth_date' ? formatDateForInput(value) : value;
+
+        const csvRows = [];
+        rows.forEach(({ type, student, changes }) => {
+            const base = {
+                change_type: type,
+                student_id: student.student_id,
+                full_name: this.getStudentName(student)
+            };
+
+            if (changes.length === 0) {
+                csvRows.push(base);
+                return;
+            }
+
+            changes.forEach(change => csvRows.push({
+                ...base,
+                field: change.field,
+                old_value: toCell(change.field, change.before),
+                new_value: toCell(change.field, change.after)
+            }));
+        });
+
+        // BOM để Excel đọc đúng tiếng Việt (UTF-8)
+        const blob = new Blob(['\uFEFF' + toCSV(csvRows, columns)], { type: 'text/csv;charset=utf-8' });
+        const date = formatDateForInput(this.report.generatedAt);
+        downloadFile(blob, `thay-doi-sau-crawl-${date}.csv`);
+        notifications.success(`Đã export ${csvRows.length} dòng thay đổi`);
+    }
+}
+
+// Initialize crawl report manager
+let crawlReport;
+
+document.addEventListener('DOMContentLoaded', () => {
+    crawlReport = new CrawlReportManager();
+    // Export globally
+    window.crawlReport = crawlReport;
+});
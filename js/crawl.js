@@ -0,0 +1,671 @@
+// =====================================================
+// CRAWL MODULE
+// =====================================================
+// Module runs crawls as background jobs: POST /crawler/jobs starts a job,
+// the status is polled until it finishes, and progress is shown in a
+// non-blocking panel so the rest of the UI stays usable.
+// Falls back to the synchronous /crawler/generate-report endpoint when the
+// backend does not support jobs. Finished runs are kept in a local history.
+// The student list is snapshotted before each crawl so that a change report
+// (see CrawlReportManager) can be shown once the crawl completes.
+
+/**
+ * Job statuses kết thúc (dừng poll)
+ */
+const CRAWL_FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Nhãn hiển thị của các trạng thái crawl
+ */
+const CRAWL_STATUS_LABELS = {
+    running: 'Đang chạy',
+    completed: 'Hoàn thành',
+    failed: 'Thất bại',
+    cancelled: 'Đã hủy',
+    timeout: 'Quá thời gian'
+};
+
+class CrawlManager {
+    constructor() {
+        // State
+        this.activeJob = null;           // { jobId, startedAt, progress, message, legacy, cancelling, snapshot }
+        this.lastResult = null;          // History entry của lần crawl vừa kết thúc
+        this.history = this.loadHistory();
+        this.pollTimer = null;
+        this.tickTimer = null;
+        this.pollFailures = 0;           // Số lần poll lỗi liên tiếp
+        this.legacyController = null;    // AbortController cho request crawl đồng bộ
+        this.reportEntryId = null;       // History entry có báo cáo thay đổi (crawlReport.report)
+
+        // DOM Elements
+        this.crawlBtn = document.getElementById('crawlBtn');
+        this.crawlBtnContent = this.crawlBtn ? this.crawlBtn.innerHTML : '';
+        this.panel = document.getElementById('crawlPanel');
+        this.jobStatus = document.getElementById('crawlJobStatus');
+        this.cancelBtn = document.getElementById('crawlCancelBtn');
+        this.historyToggle = document.getElementById('crawlHistoryToggle');
+        this.historyList = document.getElementById('crawlHistory');
+
+        this.bindEvents();
+        this.resumeActiveJob();
+    }
+
+    /**
+     * Bind event handlers cho crawl panel
+     */
+    bindEvents() {
+        const closeBtn = document.getElementById('crawlPanelClose');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.closePanel());
+        }
+
+        if (this.cancelBtn) {
+            this.cancelBtn.addEventListener('click', () => this.cancel());
+        }
+
+        // Nút "Xem thay đổi" trong kết quả crawl (delegation)
+        if (this.jobStatus) {
+            this.jobStatus.addEventListener('click', (e) => {
+                if (e.target.closest('[data-crawl-report]') && window.crawlReport) {
+                    crawlReport.show();
+                }
+            });
+        }
+
+        if (this.historyToggle && this.historyList) {
+            this.historyToggle.addEventListener('click', () => {
+                this.historyList.classList.toggle('hidden');
+                this.renderHistory();
+            });
+        }
+    }
+
+    // =====================================================
+    // JOB LIFECYCLE
+    // =====================================================
+
+    /**
+     * Bắt đầu crawl (nếu đang có job chạy thì chỉ mở panel)
+     */
+    async start() {
+        if (this.activeJob) {
+            this.openPanel();
+            return;
+        }
+        if (!authManager.ensurePermission('crawl')) return;
+
+        const requestData = {
+            current_url: window.location.href,
+            frontend_base_url: window.location.origin,
+            timestamp: new Date().toISOString()
+        };
+
+        this.lastResult = null;
+        this.activeJob = {
+            jobId: null,
+            startedAt: Date.now(),
+            progress: 0,
+            message: 'Đang lưu dữ liệu hiện tại để so sánh...',
+            legacy: false,
+            cancelling: false,
+            snapshot: null
+        };
+        this.pollFailures = 0;
+        this.startTicking();
+        this.openPanel();
+        this.render();
+
+        this.activeJob.snapshot = await this.takeSnapshot();
+        this.activeJob.message = 'Đang khởi tạo crawl...';
+        this.render();
+
+        let job;
+        try {
+            job = await api.startCrawlJob(requestData);
+        } catch (error) {
+            // Backend cũ chưa hỗ trợ jobs -> dùng endpoint đồng bộ
+            if (error.status === 404 || error.status === 405) {
+                await this.runLegacy(requestData);
+                return;
+            }
+
+            console.error('Crawl start error:', error);
+            this.finish('failed', { message: error.message || 'Không thể bắt đầu crawl' });
+            return;
+        }
+
+        this.activeJob.jobId = job.id;
+        this.applyJobStatus(job);
+        this.saveActiveJob();
+
+        if (CRAWL_FINAL_STATUSES.includes(job.status)) {
+            this.finish(job.status, job);
+        } else {
+            this.schedulePoll();
+        }
+    }
+
+    /**
+     * Tiếp tục theo dõi job đang chạy sau khi reload trang
+     */
+    resumeActiveJob() {
+        let stored = null;
+        try {
+            stored = JSON.parse(sessionStorage.getItem(APP_CONFIG.CRAWL.ACTIVE_JOB_KEY));
+        } catch (error) {
+            console.warn('Could not load active crawl job:', error);
+        }
+        if (!stored || !stored.jobId) return;
+
+        this.activeJob = {
+            jobId: stored.jobId,
+            startedAt: stored.startedAt || Date.now(),
+            progress: 0,
+            message: 'Đang kiểm tra trạng thái crawl...',
+            legacy: false,
+            cancelling: false,
+            snapshot: null    // Snapshot không còn sau reload -> không có báo cáo thay đổi
+        };
+        this.startTicking();
+        this.render();
+        this.poll();
+    }
+
+    /**
+     * Lưu lại danh sách sinh viên trước khi crawl
+     * @returns {Promise<Array|null>} Students, null nếu không lấy được
+     */
+    async takeSnapshot() {
+        if (!window.studentsManager) return null;
+
+        try {
+            return await studentsManager.getStudentSnapshot();
+        } catch (error) {
+            console.warn('Could not snapshot students before crawl:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Hẹn lần poll tiếp theo
+     */
+    schedulePoll() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(() => this.poll(), APP_CONFIG.CRAWL.POLL_INTERVAL);
+    }
+
+    /**
+     * Lấy trạng thái job từ server
+     */
+    async poll() {
+        const job = this.activeJob;
+        if (!job || !job.jobId) return;
+
+        if (Date.now() - job.startedAt > APP_CONFIG.CRAWL.MAX_DURATION) {
+            this.finish('timeout', {
+                message: 'Crawl chạy quá lâu, đã dừng theo dõi. Hãy kiểm tra dữ liệu sau.'
+            });
+            return;
+        }
+
+        let status;
+        try {
+            status = await api.getCrawlJob(job.jobId, { timeout: APP_CONFIG.CRAWL.POLL_TIMEOUT });
+        } catch (error) {
+            // Job đã kết thúc/bị hủy trong lúc chờ response
+            if (this.activeJob !== job) return;
+
+            if (error.status === 404) {
+                this.finish('failed', { message: 'Không tìm thấy crawl job trên server' });
+                return;
+            }
+
+            this.pollFailures++;
+            console.warn(`Crawl poll failed (${this.pollFailures}):`, error);
+            if (this.pollFailures >= APP_CONFIG.CRAWL.MAX_POLL_FAILURES) {
+                this.finish('failed', {
+                    message: `Mất kết nối với crawl job: ${error.message || 'Lỗi không xác định'}`
+                });
+            } else {
+                this.schedulePoll();
+            }
+            return;
+        }
+
+        if (this.activeJob !== job) return;
+
+        this.pollFailures = 0;
+        this.applyJobStatus(status);
+
+        if (CRAWL_FINAL_STATUSES.includes(status.status)) {
+            this.finish(status.status, status);
+        } else {
+            this.schedulePoll();
+        }
+    }
+
+    /**
+     * Crawl qua endpoint đồng bộ cũ (không có tiến độ, chỉ hủy được phía client)
+     * @param {Object} requestData - Request data
+     */
+    async runLegacy(requestData) {
+        const job = this.activeJob;
+        job.legacy = true;
+        job.progress = null;
+        job.message = 'Đang crawl (server không hỗ trợ theo dõi tiến độ)...';
+        this.legacyController = new AbortController();
+        this.render();
+
+        try {
+            const report = await api.generateReport(requestData, {
+                timeout: APP_CONFIG.CRAWL.LEGACY_TIMEOUT,
+                signal: this.legacyController.signal
+            });
+            this.finish('completed', report || {});
+        } catch (error) {
+            if (error.isCancelled) {
+                this.finish('cancelled', {
+                    message: 'Đã ngừng chờ. Crawl có thể vẫn tiếp tục chạy trên server.'
+                });
+            } else if (error.status === 408) {
+                this.finish('timeout', {
+                    message: 'Crawl có thể đã hoàn thành nhưng mất nhiều thời gian. Hãy kiểm tra dữ liệu mới.'
+                });
+            } else {
+                console.error('Crawl error:', error);
+                this.finish('failed', { message: error.message || 'Không thể thực hiện crawl' });
+            }
+        } finally {
+            this.legacyController = null;
+        }
+    }
+
+    /**
+     * Hủy crawl đang chạy
+     */
+    async cancel() {
+        const job = this.activeJob;
+        if (!job || job.cancelling) return;
+
+        if (job.legacy) {
+            this.legacyController?.abort();
+            return;
+        }
+        if (!job.jobId) return;
+
+        job.cancelling = true;
+        this.render();
+
+        try {
+            const cancelled = await api.cancelCrawlJob(job.jobId);
+            if (this.activeJob === job) {
+                this.finish('cancelled', cancelled || {});
+            }
+        } catch (error) {
+            if (this.activeJob !== job) return;
+            job.cancelling = false;
+
+            // 409: job đã kết thúc -> lấy trạng thái cuối cùng
+            if (error.status === 409) {
+                clearTimeout(this.pollTimer);
+                this.poll();
+                return;
+            }
+
+            notifications.error(`Không thể hủy crawl: ${error.message || 'Lỗi không xác định'}`);
+            this.render();
+        }
+    }
+
+    /**
+     * Cập nhật state từ job status trả về từ server
+     * @param {Object} status - Job { status, progress, message, ... }
+     */
+    applyJobStatus(status) {
+        if (!this.activeJob || !status) return;
+
+        const progress = parseFloat(status.progress);
+        if (!isNaN(progress)) {
+            this.activeJob.progress = Math.max(0, Math.min(100, progress));
+        }
+        if (status.message) {
+            this.activeJob.message = status.message;
+        }
+        this.render();
+    }
+
+    /**
+     * Kết thúc crawl: ghi lịch sử, thông báo và tải lại dữ liệu nếu thành công
+     * @param {string} status - completed | failed | cancelled | timeout
+     * @param {Object} data - Job status / report từ server
+     */
+    finish(status, data = {}) {
+        const job = this.activeJob;
+        if (!job) return;
+
+        clearTimeout(this.pollTimer);
+        this.stopTicking();
+        this.activeJob = null;
+        this.clearActiveJob();
+
+        const finishedAt = Date.now();
+        const entry = {
+            id: generateId(),
+            jobId: job.jobId,
+            status,
+            startedAt: new Date(job.startedAt).toISOString(),
+            finishedAt: new Date(finishedAt).toISOString(),
+            durationMs: finishedAt - job.startedAt,
+            studentsAdded: parseInt(data.students_added) || 0,
+            studentsUpdated: parseInt(data.students_updated) || 0,
+            message: data.error || data.message || ''
+        };
+
+        this.lastResult = entry;
+        this.history.unshift(entry);
+        this.history = this.history.slice(0, APP_CONFIG.CRAWL.HISTORY_SIZE);
+        this.saveHistory();
+
+        this.render();
+        this.renderHistory();
+
+        if (status !== 'completed') {
+            this.notifyResult(entry);
+            return;
+        }
+
+        // Job hoàn thành qua GET poll nên cache không tự bị xóa
+        api.invalidateCache();
+
+        // Notify các module khác (và các tab khác qua TabSyncManager)
+        window.dispatchEvent(new CustomEvent('crawlCompleted', {
+            detail: { report: data }
+        }));
+
+        this.reloadAndReport(entry, job.snapshot);
+    }
+
+    /**
+     * Tải lại danh sách sau crawl và so sánh với snapshot trước khi crawl
+     * @param {Object} entry - History entry
+     * @param {Array|null} snapshot - Students trước khi crawl
+     */
+    async reloadAndReport(entry, snapshot) {
+        if (!window.studentsManager) {
+            this.notifyResult(entry);
+            return;
+        }
+
+        // Crawl thay đổi dữ liệu trên server -> tải lại danh sách
+        const loaded = await studentsManager.loadAllStudents();
+        if (!loaded || !snapshot || !window.crawlReport) {
+            this.notifyResult(entry);
+            return;
+        }
+
+        try {
+            const after = await studentsManager.getStudentSnapshot();
+            entry.changes = crawlReport.getCounts(crawlReport.build(snapshot, after));
+        } catch (error) {
+            console.warn('Could not build crawl change report:', error);
+            this.notifyResult(entry);
+            return;
+        }
+
+        // Chỉ lần crawl gần nhất có báo cáo chi tiết (giữ trong memory)
+        this.reportEntryId = entry.id;
+        this.saveHistory();
+        this.render();
+        this.renderHistory();
+
+        const { added, updated, removed } = entry.changes;
+        notifications.show(
+            `Crawl thành công! ${added} thêm mới, ${updated} cập nhật, ${removed} bị xóa.`,
+            'success',
+            APP_CONFIG.NOTIFICATION.DURATION,
+            { label: 'Xem thay đổi', onClick: () => crawlReport.show() }
+        );
+    }
+
+    /**
+     * Show notification cho kết quả crawl
+     * @param {Object} entry - History entry
+     */
+    notifyResult(entry) {
+        switch (entry.status) {
+            case 'completed':
+                notifications.success(`Crawl thành công! Thêm ${entry.studentsAdded}, cập nhật ${entry.studentsUpdated} sinh viên.`);
+                break;
+            case 'cancelled':
+                notifications.info(entry.message || 'Đã hủy crawl');
+                break;
+            case 'timeout':
+                notifications.warning(entry.message || 'Crawl mất quá nhiều thời gian');
+                break;
+            default:
+                notifications.error(entry.message || 'Crawl thất bại');
+        }
+    }
+
+    // =====================================================
+    // PERSISTENCE
+    // =====================================================
+
+    /**
+     * Lưu job đang chạy vào sessionStorage để theo dõi tiếp sau khi reload
+     */
+    saveActiveJob() {
+        if (!this.activeJob || !this.activeJob.jobId) return;
+        try {
+            sessionStorage.setItem(APP_CONFIG.CRAWL.ACTIVE_JOB_KEY, JSON.stringify({
+                jobId: this.activeJob.jobId,
+                startedAt: this.activeJob.startedAt
+            }));
+        } catch (error) {
+            console.warn('Could not save active crawl job:', error);
+        }
+    }
+
+    /**
+     * Xóa job đang chạy khỏi sessionStorage
+     */
+    clearActiveJob() {
+        try {
+            sessionStorage.removeItem(APP_CONFIG.CRAWL.ACTIVE_JOB_KEY);
+        } catch (error) {
+            console.warn('Could not clear active crawl job:', error);
+        }
+    }
+
+    /**
+     * Load lịch sử crawl từ localStorage
+     * @returns {Array} History entries (mới nhất ở đầu)
+     */
+    loadHistory() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(APP_CONFIG.CRAWL.HISTORY_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('Could not load crawl history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Lưu lịch sử crawl vào localStorage
+     */
+    saveHistory() {
+        try {
+            localStorage.setItem(APP_CONFIG.CRAWL.HISTORY_KEY, JSON.stringify(this.history));
+        } catch (error) {
+            console.warn('Could not save crawl history:', error);
+        }
+    }
+
+    // =====================================================
+    // PANEL
+    // =====================================================
+
+    /**
+     * Mở crawl panel
+     */
+    openPanel() {
+        if (this.panel) {
+            this.panel.classList.remove('hidden');
+        }
+        this.render();
+    }
+
+    /**
+     * Đóng crawl panel (crawl vẫn tiếp tục chạy nền)
+     */
+    closePanel() {
+        if (this.panel) {
+            this.panel.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Re-render thời gian đã chạy mỗi giây
+     */
+    startTicking() {
+        this.stopTicking();
+        this.tickTimer = setInterval(() => this.render(), 1000);
+    }
+
+    /**
+     * Dừng re-render định kỳ
+     */
+    stopTicking() {
+        clearInterval(this.tickTimer);
+        this.tickTimer = null;
+    }
+
+    /**
+     * Render trạng thái crawl trong panel và trên crawl button
+     */
+    render() {
+        this.renderButton();
+
+        if (!this.jobStatus) return;
+
+        const job = this.activeJob;
+        if (this.cancelBtn) {
+            this.cancelBtn.classList.toggle('hidden', !job);
+            this.cancelBtn.disabled = !job || job.cancelling || (!job.legacy && !job.jobId);
+        }
+
+        if (!job) {
+            this.jobStatus.innerHTML = this.lastResult
+                ? this.renderResult(this.lastResult)
+                : '<p class="crawl-empty">Chưa có crawl nào đang chạy</p>';
+            return;
+        }
+
+        const indeterminate = job.progress === null;
+        const elapsed = formatDuration(Date.now() - job.startedAt);
+
+        this.jobStatus.innerHTML = `
+            <div class="crawl-progress ${indeterminate ? 'indeterminate' : ''}">
+                <div class="crawl-progress-bar" style="width: ${indeterminate ? 100 : job.progress}%"></div>
+            </div>
+            <div class="crawl-job-meta">
+                <span>${job.cancelling ? 'Đang hủy...' : escapeHtml(job.message || '')}</span>
+                <span>${indeterminate ? '' : `${Math.round(job.progress)}% · `}${elapsed}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render kết quả của 1 lần crawl
+     * @param {Object} entry - History entry
+     * @returns {string} HTML
+     */
+    renderResult(entry) {
+        return `
+            <div class="crawl-result">
+                <span class="crawl-status ${entry.status}">${CRAWL_STATUS_LABELS[entry.status] || entry.status}</span>
+                <span>${formatDuration(entry.durationMs)}</span>
+            </div>
+            ${entry.status === 'completed'
+                ? `<p class="crawl-result-summary">${this.formatChanges(entry)}</p>`
+                : ''}
+            ${entry.id === this.reportEntryId
+                ? `<button type="button" class="btn btn-sm btn-secondary" data-crawl-report>
+                        <i class="fas fa-list-ul"></i> Xem thay đổi
+                    </button>`
+                : ''}
+            ${entry.message && entry.status !== 'completed'
+                ? `<p class="crawl-result-summary">${escapeHtml(entry.message)}</p>`
+                : ''}
+        `;
+    }
+
+    /**
+     * Mô tả số thay đổi của 1 lần crawl
+     * Ưu tiên số liệu từ báo cáo so sánh, nếu không có thì dùng số liệu server trả về
+     * @param {Object} entry - History entry
+     * @returns {string}
+     */
+    formatChanges(entry) {
+        if (entry.changes) {
+            const { added, updated, removed } = entry.changes;
+            return `Thêm ${added}, cập nhật ${updated}, xóa ${removed} sinh viên`;
+        }
+        return `Thêm ${entry.studentsAdded}, cập nhật ${entry.studentsUpdated} sinh viên`;
+    }
+
+    /**
+     * Hiển thị spinner và tiến độ trên crawl button khi đang chạy
+     */
+    renderButton() {
+        if (!this.crawlBtn) return;
+
+        const job = this.activeJob;
+        this.crawlBtn.classList.toggle('crawling', !!job);
+
+        if (!job) {
+            this.crawlBtn.innerHTML = this.crawlBtnContent;
+            return;
+        }
+
+        const progress = job.progress === null ? '' : ` ${Math.round(job.progress)}%`;
+        this.crawlBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Đang crawl${progress}`;
+    }
+
+    /**
+     * Render lịch sử crawl
+     */
+    renderHistory() {
+        if (!this.historyList || this.historyList.classList.contains('hidden')) return;
+
+        if (this.history.length === 0) {
+            this.historyList.innerHTML = '<p class="crawl-empty">Chưa có lịch sử crawl</p>';
+            return;
+        }
+
+        this.historyList.innerHTML = this.history.map(entry => `
+            <div class="crawl-history-item">
+                <div class="crawl-result">
+                    <span class="crawl-status ${entry.status}">${CRAWL_STATUS_LABELS[entry.status] || entry.status}</span>
+                    <span class="crawl-history-time">${new Date(entry.startedAt).toLocaleString('vi-VN')}</span>
+                </div>
+                <div class="crawl-history-details">
+                    ${formatDuration(entry.durationMs)}
+                    ${entry.status === 'completed'
+                        ? ` · ${this.formatChanges(entry)}`
+                        : (entry.message ? ` · ${escapeHtml(entry.message)}` : '')}
+                </div>
+            </div>
+        `).join('');
+    }
+}
+
+// Initialize crawl manager
+let crawlManager;
+
+document.addEventListener('DOMContentLoaded', () => {
+    crawlManager = new CrawlManager();
+    // Export globally
+    window.crawlManager = crawlManager;
+});
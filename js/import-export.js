@@ -0,0 +1,1387 @@
+// =====================================================
+// IMPORT/EXPORT MODULE
+// =====================================================
+// Module handles importing students from Excel/CSV files
+// and exporting students (all, filtered, selected) to Excel/CSV
+// Excel support uses SheetJS (global XLSX) loaded from CDN
+
+/**
+ * Columns included in exported files (import fields + computed values)
+ */
+const EXPORT_COLUMNS = [...APP_CONFIG.IMPORT_EXPORT.FIELDS, 'average_score', 'grade'];
+
+/**
+ * Header aliases used to auto-guess the target field of each source column
+ * Compared after normalizeHeader() (lowercase, no accents, no punctuation)
+ * full_name is a virtual target that is split into first_name + last_name
+ */
+const COLUMN_ALIASES = {
+    student_id: ['student_id', 'student id', 'studentid', 'student code', 'ma sv', 'masv', 'mssv', 'ma sinh vien', 'ma so sinh vien'],
+    full_name: ['full_name', 'full name', 'fullname', 'name', 'ho va ten', 'ho ten', 'ho ten sinh vien', 'ten sinh vien'],
+    first_name: ['first_name', 'first name', 'firstname', 'ho', 'ho dem', 'ho lot', 'ho va ten dem'],
+    last_name: ['last_name', 'last name', 'lastname', 'given name', 'ten'],
+    email: ['email', 'e mail', 'mail', 'dia chi email', 'thu dien tu'],
+    birth_date: ['birth_date', 'birth date', 'birthday', 'date of birth', 'dob', 'ngay sinh', 'ngay thang nam sinh'],
+    hometown: ['hometown', 'home town', 'province', 'que', 'que quan', 'tinh', 'tinh thanh'],
+    math_score: ['math_score', 'math score', 'math', 'toan', 'diem toan', 'diem mon toan'],
+    literature_score: ['literature_score', 'literature score', 'literature', 'van', 'ngu van', 'diem van', 'diem ngu van', 'diem mon van'],
+    english_score: ['english_score', 'english score', 'english', 'anh', 'tieng anh', 'diem anh', 'diem tieng anh', 'diem mon anh']
+};
+
+/**
+ * Labels for mapping targets (import fields + virtual full_name)
+ */
+const MAPPING_TARGET_LABELS = {
+    ...STUDENT_FIELD_LABELS,
+    full_name: 'Họ và tên (tự tách Họ/Tên)'
+};
+
+/**
+ * Normalize header text for alias comparison
+ * @param {string} header - Header text
+ * @returns {string} Normalized header (e.g., "Điểm Toán" -> "diem toan")
+ */
+function normalizeHeader(header) {
+    return removeAccents(String(header || ''))
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Status badges for preview rows
+ */
+const IMPORT_ROW_STATUS = {
+    valid: { label: 'Hợp lệ', icon: 'fa-check-circle' },
+    invalid: { label: 'Lỗi', icon: 'fa-times-circle' },
+    duplicate: { label: 'Trùng', icon: 'fa-clone' }
+};
+
+/**
+ * ImportExportManager Class
+ * Quản lý upload file, parse rows thành student objects và export data
+ */
+class ImportExportManager {
+    constructor() {
+        this.selectedFile = null;     // File đang chọn để import
+        this.isImporting = false;     // Flag đang import
+        this.previewRows = [];        // Rows đang preview: { rowNumber, student, errors, status, duplicateOf }
+        this.importData = null;       // Dữ liệu đọc từ file: { headers, rows, rowNumbers }
+        this.columnMapping = {};      // Source header -> target field ('' = bỏ qua)
+        this.serverIdLookup = new Map();      // Server mode: student_id (uppercase) -> đã tồn tại trên server?
+        this.duplicateCheckSkipped = false;   // Không tra được student_id trên server (lỗi kết nối)
+
+        // DOM elements
+        this.fileInput = document.getElementById('importFile');
+        this.dropZone = document.getElementById('importDropZone');
+        this.fileInfo = document.getElementById('importFileInfo');
+        this.importBtn = document.getElementById('importBtn');
+        this.resultsContainer = document.getElementById('importResults');
+        this.previewContainer = document.getElementById('importPreview');
+        this.mappingContainer = document.getElementById('importMapping');
+        this.exportFormatSelect = document.getElementById('exportFormat');
+        this.exportSelectedBtn = document.getElementById('exportSelectedBtn');
+
+        this.bindEvents();
+        this.updateExportSelectedButton();
+    }
+
+    /**
+     * Bind events (file input, drag & drop, import/export buttons)
+     */
+    bindEvents() {
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', (e) => {
+                this.selectFile(e.target.files[0]);
+            });
+        }
+
+        // Drag & drop file vào drop zone
+        if (this.dropZone) {
+            this.dropZone.addEventListener('click', () => this.fileInput?.click());
+
+            this.dropZone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                this.dropZone.classList.add('dragover');
+            });
+
+            this.dropZone.addEventListener('dragleave', () => {
+                this.dropZone.classList.remove('dragover');
+            });
+
+            this.dropZone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                this.dropZone.classList.remove('dragover');
+                this.selectFile(e.dataTransfer.files[0]);
+            });
+        }
+
+        if (this.importBtn) {
+            this.importBtn.addEventListener('click', () => this.handleImport());
+        }
+
+        // Mapping step events (delegate vì step được render lại)
+        if (this.mappingContainer) {
+            this.mappingContainer.addEventListener('change', (e) => {
+                if (e.target.classList.contains('mapping-target-select')) {
+                    this.setColumnMapping(e.target.dataset.header, e.target.value);
+                } else if (e.target.id === 'mappingPresetSelect' && e.target.value) {
+                    this.applyMappingPreset(e.target.value);
+                }
+            });
+
+            this.mappingContainer.addEventListener('click', (e) => {
+                const actionBtn = e.target.closest('[data-action]');
+                if (!actionBtn) return;
+
+                switch (actionBtn.dataset.action) {
+                    case 'save-preset':
+                        this.saveMappingPreset(document.getElementById('mappingPresetName')?.value);
+                        break;
+                    case 'delete-preset':
+                        this.deleteMappingPreset(document.getElementById('mappingPresetSelect')?.value);
+                        break;
+                    case 'confirm-mapping':
+                        this.confirmMapping();
+                        break;
+                    case 'cancel-import':
+                        this.clearPreview();
+                        break;
+                }
+            });
+        }
+
+        // Preview table events (delegate vì table được render lại)
+        if (this.previewContainer) {
+            this.previewContainer.addEventListener('change', (e) => {
+                if (e.target.classList.contains('preview-cell-input')) {
+                    const index = parseInt(e.target.closest('tr').dataset.index);
+                    this.updatePreviewCell(index, e.target.dataset.field, e.target.value);
+                }
+            });
+
+            this.previewContainer.addEventListener('click', (e) => {
+                const actionBtn = e.target.closest('[data-action]');
+                if (!actionBtn) return;
+
+                switch (actionBtn.dataset.action) {
+                    case 'remove-row':
+                        this.removePreviewRow(parseInt(actionBtn.closest('tr').dataset.index));
+                        break;
+                    case 'confirm-import':
+                        this.commitImport();
+                        break;
+                    case 'cancel-import':
+                        this.clearPreview();
+                        break;
+                }
+            });
+        }
+
+        document.getElementById('downloadTemplateBtn')?.addEventListener('click', () => {
+            this.downloadTemplate();
+        });
+
+        document.getElementById('exportAllBtn')?.addEventListener('click', () => {
+            this.exportStudents('all');
+        });
+
+        document.getElementById('exportFilteredBtn')?.addEventListener('click', () => {
+            this.exportStudents('filtered');
+        });
+
+        if (this.exportSelectedBtn) {
+            this.exportSelectedBtn.addEventListener('click', () => {
+                this.exportStudents('selected');
+            });
+        }
+    }
+
+    // =====================================================
+    // IMPORT
+    // =====================================================
+
+    /**
+     * Chọn file để import (validate type và size trước)
+     * @param {File} file - File từ input hoặc drop
+     */
+    selectFile(file) {
+        if (!file) return;
+
+        const error = this.validateFile(file);
+        if (error) {
+            notifications.error(error);
+            this.resetFileSelection();
+            return;
+        }
+
+        this.selectedFile = file;
+
+        if (this.fileInfo) {
+            this.fileInfo.innerHTML = `
+                <i class="fas fa-file-excel"></i>
+                <span>${escapeHtml(file.name)}</span>
+                <span class="file-size">(${formatFileSize(file.size)})</span>
+            `;
+            this.fileInfo.classList.remove('hidden');
+        }
+
+        if (this.importBtn) {
+            this.importBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Reset trạng thái file đang chọn
+     */
+    resetFileSelection() {
+        this.selectedFile = null;
+        if (this.fileInput) this.fileInput.value = '';
+        if (this.fileInfo) this.fileInfo.classList.add('hidden');
+        if (this.importBtn) this.importBtn.disabled = true;
+    }
+
+    /**
+     * Validate file import (extension và size)
+     * @param {File} file - File cần validate
+     * @returns {string|null} Error message hoặc null nếu hợp lệ
+     */
+    validateFile(file) {
+        const { ACCEPTED_EXTENSIONS, MAX_FILE_SIZE } = APP_CONFIG.IMPORT_EXPORT;
+        const extension = getFileExtension(file.name);
+
+        if (!ACCEPTED_EXTENSIONS.includes(extension)) {
+            return `Chỉ hỗ trợ file ${ACCEPTED_EXTENSIONS.map(ext => '.' + ext).join(', ')}`;
+        }
+        if (['xlsx', 'xls'].includes(extension) && typeof XLSX === 'undefined') {
+            return 'Không tải được thư viện đọc Excel. Vui lòng dùng file CSV.';
+        }
+        if (file.size > MAX_FILE_SIZE) {
+            return `File quá lớn (tối đa ${formatFileSize(MAX_FILE_SIZE)})`;
+        }
+        return null;
+    }
+
+    /**
+     * Handle import: đọc file -> ghép cột -> preview để user kiểm tra
+     * Chưa có gì được gửi lên API cho đến khi user confirm (commitImport)
+     */
+    async handleImport() {
+        if (!this.selectedFile || this.isImporting) return;
+        if (!authManager.ensurePermission('import')) return;
+
+        try {
+            setButtonLoading(this.importBtn, true);
+
+            const { headers, rows, rowNumbers } = await this.readFile(this.selectedFile);
+            if (rows.length === 0) {
+                notifications.warning('File không có dữ liệu sinh viên');
+                return;
+            }
+
+            this.importData = { headers, rows, rowNumbers };
+            this.columnMapping = this.findMatchingPreset(headers) || this.guessColumnMapping(headers);
+
+            this.hidePreview();
+            this.renderMappingStep();
+            this.resultsContainer?.classList.add('hidden');
+
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            notifications.error(error.message || 'Không thể đọc file import');
+        } finally {
+            setButtonLoading(this.importBtn, false);
+        }
+    }
+
+    /**
+     * Hiển thị preview cho danh sách students đã parse
+     * @param {Array<Object>} students - Students từ parseRows()
+     * @param {Array<number>} rowNumbers - Số dòng trong file của từng student (xem readFile)
+     */
+    showPreview(students, rowNumbers = []) {
+        this.previewRows = students.map((student, index) => ({
+            rowNumber: rowNumbers[index] ?? index + 2, // Mặc định: +1 header row, +1 vì Excel đánh số từ 1
+            student,
+            errors: {},
+            status: 'valid',
+            duplicateOf: null
+        }));
+
+        this.validatePreviewRows();
+        this.renderPreview();
+    }
+
+    // =====================================================
+    // COLUMN MAPPING
+    // =====================================================
+
+    /**
+     * Đoán target field cho từng cột dựa vào COLUMN_ALIASES
+     * Ưu tiên khớp chính xác, sau đó khớp theo cụm từ dài nhất
+     * Mỗi field chỉ được gán cho một cột (cột đầu tiên khớp)
+     * @param {Array<string>} headers - Source headers
+     * @returns {Object} Mapping { header: field }
+     */
+    guessColumnMapping(headers) {
+        const mapping = {};
+        const usedFields = new Set();
+
+        headers.filter(Boolean).forEach(header => {
+            const field = this.guessField(header);
+            if (field && !usedFields.has(field)) {
+                mapping[header] = field;
+                usedFields.add(field);
+            } else {
+                mapping[header] = '';
+            }
+        });
+
+        // full_name đã bao gồm first_name + last_name
+        if (usedFields.has('full_name') && (usedFields.has('first_name') || usedFields.has('last_name'))) {
+            Object.keys(mapping).forEach(header => {
+                if (mapping[header] === 'full_name') mapping[header] = '';
+            });
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Đoán target field cho một header
+     * @param {string} header - Source header
+     * @returns {string|null} Field name hoặc null nếu không đoán được
+     */
+    guessField(header) {
+        const normalized = normalizeHeader(header);
+        if (!normalized) return null;
+
+        let bestField = null;
+        let bestLength = 0;
+
+        for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+            for (const alias of aliases) {
+                const normalizedAlias = normalizeHeader(alias);
+
+                // Khớp chính xác luôn thắng
+                if (normalized === normalizedAlias) return field;
+
+                // Khớp theo cụm từ (vd: "Điểm thi Toán HK1" chứa "toan")
+                if (` ${normalized} `.includes(` ${normalizedAlias} `) && normalizedAlias.length > bestLength) {
+                    bestField = field;
+                    bestLength = normalizedAlias.length;
+                }
+            }
+        }
+
+        return bestField;
+    }
+
+    /**
+     * Gán target field cho một cột
+     * Nếu field đã được gán cho cột khác thì bỏ gán cột đó (mỗi field một cột)
+     * @param {string} header - Source header
+     * @param {string} field - Target field ('' = bỏ qua)
+     */
+    setColumnMapping(header, field) {
+        if (field) {
+            Object.keys(this.columnMapping).forEach(otherHeader => {
+                if (otherHeader !== header && this.columnMapping[otherHeader] === field) {
+                    this.columnMapping[otherHeader] = '';
+                }
+            });
+        }
+        this.columnMapping[header] = field;
+        this.renderMappingStep();
+    }
+
+    /**
+     * Kiểm tra mapping hiện tại
+     * @returns {Array<string>} Danh sách cảnh báo (rỗng nếu đủ cột bắt buộc)
+     */
+    getMappingWarnings() {
+        const mappedFields = new Set(Object.values(this.columnMapping).filter(Boolean));
+        const warnings = [];
+
+        if (!mappedFields.has('student_id')) {
+            warnings.push('Chưa chọn cột Mã SV');
+        }
+        if (!mappedFields.has('full_name')) {
+            if (!mappedFields.has('first_name')) warnings.push('Chưa chọn cột Họ (hoặc Họ và tên)');
+            if (!mappedFields.has('last_name')) warnings.push('Chưa chọn cột Tên (hoặc Họ và tên)');
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Render bước ghép cột: mỗi source column một dropdown chọn target field
+     */
+    renderMappingStep() {
+        if (!this.mappingContainer || !this.importData) return;
+
+        const { headers, rows } = this.importData;
+        const presets = this.getMappingPresets();
+        const warnings = this.getMappingWarnings();
+        const targetOptions = Object.entries(MAPPING_TARGET_LABELS);
+
+        const rowsHtml = headers.filter(Boolean).map(header => {
+            const samples = rows.slice(0, 3)
+                .map(row => this.formatCellValue(row[header] instanceof Date ? this.formatCellDate(row[header]) : row[header]))
+                .filter(Boolean);
+            const current = this.columnMapping[header] || '';
+
+            return `
+                <tr class="${current ? '' : 'mapping-ignored'}">
+                    <td><strong>${escapeHtml(header)}</strong></td>
+                    <td class="mapping-samples">${samples.map(sample => escapeHtml(sample)).join(', ')}</td>
+                    <td>
+                        <select class="mapping-target-select" data-header="${escapeAttr(header)}">
+                            <option value="">-- Bỏ qua cột này --</option>
+                            ${targetOptions.map(([field, label]) => `
+                                <option value="${field}" ${field === current ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        this.mappingContainer.innerHTML = `
+            <div class="import-preview-header">
+                <h3><i class="fas fa-columns"></i> Ghép cột dữ liệu</h3>
+                <div class="mapping-presets">
+                    <select id="mappingPresetSelect">
+                        <option value="">-- Preset đã lưu --</option>
+                        ${Object.keys(presets).map(name => `
+                            <option value="${escapeAttr(name)}">${escapeHtml(name)}</option>
+                        `).join('')}
+                    </select>
+                    <button class="btn btn-sm btn-secondary" data-action="delete-preset" title="Xóa preset">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                    <input type="text" id="mappingPresetName" placeholder="Tên preset mới">
+                    <button class="btn btn-sm btn-info" data-action="save-preset">
+                        <i class="fas fa-save"></i>
+                        Lưu preset
+                    </button>
+                </div>
+            </div>
+            <table class="import-preview-table mapping-table">
+                <thead>
+                    <tr><th>Cột trong file</th><th>Dữ liệu mẫu</th><th>Trường dữ liệu</th></tr>
+                </thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+            ${warnings.length > 0 ? `
+                <ul class="preview-messages mapping-warnings">
+                    ${warnings.map(warning => `<li>${warning}</li>`).join('')}
+                </ul>
+            ` : ''}
+            <div class="import-preview-footer">
+                <button class="btn btn-secondary" data-action="cancel-import">
+                    <i class="fas fa-times"></i>
+                    Hủy
+                </button>
+                <button class="btn btn-primary" data-action="confirm-mapping" ${warnings.length > 0 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-right"></i>
+                    Tiếp tục
+                </button>
+            </div>
+        `;
+        this.mappingContainer.classList.remove('hidden');
+    }
+
+    /**
+     * Áp dụng mapping cho rows và chuyển sang bước preview
+     */
+    async confirmMapping() {
+        if (!this.importData || this.getMappingWarnings().length > 0) return;
+
+        const mappedRows = this.applyColumnMapping(this.importData.rows, this.columnMapping);
+        const students = this.parseRows(mappedRows);
+        const confirmBtn = this.mappingContainer?.querySelector('[data-action="confirm-mapping"]');
+
+        try {
+            if (confirmBtn) setButtonLoading(confirmBtn, true);
+            await this.lookupExistingIds(students);
+        } finally {
+            if (confirmBtn) setButtonLoading(confirmBtn, false);
+        }
+
+        this.mappingContainer?.classList.add('hidden');
+        this.showPreview(students, this.importData.rowNumbers);
+    }
+
+    /**
+     * Chuyển rows (key = source header) thành rows theo field name
+     * @param {Array<Object>} rows - Rows từ readFile()
+     * @param {Object} mapping - Mapping { header: field }
+     * @returns {Array<Object>} Rows (key = field name)
+     */
+    applyColumnMapping(rows, mapping) {
+        return rows.map(row => {
+            const mapped = {};
+
+            Object.entries(mapping).forEach(([header, field]) => {
+                if (!field) return;
+
+                if (field === 'full_name') {
+                    // Tên là từ cuối cùng, Họ là phần còn lại (vd: "Nguyễn Văn An")
+                    const parts = this.formatCellValue(row[header]).trim().split(/\s+/).filter(Boolean);
+                    mapped.last_name = parts.pop() || '';
+                    mapped.first_name = parts.join(' ');
+                } else {
+                    mapped[field] = row[header];
+                }
+            });
+
+            return mapped;
+        });
+    }
+
+    // =====================================================
+    // MAPPING PRESETS (localStorage)
+    // =====================================================
+
+    /**
+     * Lấy tất cả mapping presets đã lưu
+     * @returns {Object} { presetName: { header: field } }
+     */
+    getMappingPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(APP_CONFIG.IMPORT_EXPORT.MAPPING_PRESETS_KEY)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * Ghi mapping presets vào localStorage
+     * @param {Object} presets - Presets object
+     */
+    setMappingPresets(presets) {
+        localStorage.setItem(APP_CONFIG.IMPORT_EXPORT.MAPPING_PRESETS_KEY, JSON.stringify(presets));
+    }
+
+    /**
+     * Lưu mapping hiện tại thành preset
+     * @param {string} name - Tên preset
+     */
+    saveMappingPreset(name) {
+        const presetName = (name || '').trim();
+        if (!presetName) {
+            notifications.warning('Vui lòng nhập tên preset');
+            return;
+        }
+
+        const presets = this.getMappingPresets();
+        presets[presetName] = { ...this.columnMapping };
+        this.setMappingPresets(presets);
+
+        notifications.success(`Đã lưu preset "${presetName}"`);
+        this.renderMappingStep();
+    }
+
+    /**
+     * Áp dụng preset đã lưu cho file hiện tại
+     * Header không có trong preset sẽ được đoán lại tự động
+     * @param {string} name - Tên preset
+     */
+    applyMappingPreset(name) {
+        const preset = this.getMappingPresets()[name];
+        if (!preset || !this.importData) return;
+
+        const guessed = this.guessColumnMapping(this.importData.headers);
+        this.columnMapping = {};
+        this.importData.headers.filter(Boolean).forEach(header => {
+            this.columnMapping[header] = header in preset ? preset[header] : guessed[header];
+        });
+
+        this.renderMappingStep();
+        const select = document.getElementById('mappingPresetSelect');
+        if (select) select.value = name;
+    }
+
+    /**
+     * Xóa preset đã lưu
+     * @param {string} name - Tên preset
+     */
+    deleteMappingPreset(name) {
+        if (!name) {
+            notifications.warning('Vui lòng chọn preset cần xóa');
+            return;
+        }
+
+        const presets = this.getMappingPresets();
+        delete presets[name];
+        this.setMappingPresets(presets);
+
+        notifications.info(`Đã xóa preset "${name}"`);
+        this.renderMappingStep();
+    }
+
+    /**
+     * Tìm preset có đúng các headers của file (tự động áp dụng)
+     * @param {Array<string>} headers - Source headers
+     * @returns {Object|null} Mapping hoặc null nếu không có preset khớp
+     */
+    findMatchingPreset(headers) {
+        const headerSet = new Set(headers.filter(Boolean));
+
+        for (const preset of Object.values(this.getMappingPresets())) {
+            const presetHeaders = Object.keys(preset);
+            if (presetHeaders.length === headerSet.size && presetHeaders.every(header => headerSet.has(header))) {
+                return { ...preset };
+            }
+        }
+        return null;
+    }
+
+    // =====================================================
+    // IMPORT PREVIEW
+    // =====================================================
+
+    /**
+     * Server mode: allStudents không chứa toàn bộ danh sách -> tra từng student_id trên server
+     * Chỉ tra các mã chưa tra trước đó (kết quả giữ trong serverIdLookup đến khi đóng preview)
+     * Lỗi kết nối -> duplicateCheckSkipped, preview hiển thị cảnh báo thay vì báo "hợp lệ" sai
+     * @param {Array<Object>} students - Students cần kiểm tra
+     */
+    async lookupExistingIds(students) {
+        if (!window.studentsManager?.isServerMode()) return;
+
+        const ids = [...new Set(students.map(student => String(student.student_id || '').toUpperCase()))]
+            .filter(id => id && !this.serverIdLookup.has(id));
+        const concurrency = APP_CONFIG.IMPORT_EXPORT.ID_LOOKUP_CONCURRENCY;
+
+        try {
+            for (let i = 0; i < ids.length; i += concurrency) {
+                await Promise.all(ids.slice(i, i + concurrency).map(async id => {
+                    // search khớp theo chuỗi con -> lọc lại cho đúng mã
+                    const result = await api.getStudents({
+                        search: id,
+                        sort_by: 'student_id',
+                        page_size: APP_CONFIG.PAGINATION.MAX_PAGE_SIZE
+                    });
+                    const exists = (result.items || []).some(s => String(s.student_id || '').toUpperCase() === id);
+                    this.serverIdLookup.set(id, exists);
+                }));
+            }
+            this.duplicateCheckSkipped = false;
+        } catch (error) {
+            console.warn('Could not check student IDs against the server:', error);
+            this.duplicateCheckSkipped = true;
+        }
+    }
+
+    /**
+     * Validate tất cả preview rows
+     * - validateStudentForm() cho từng row
+     * - Duplicate nếu student_id đã có trong hệ thống hoặc xuất hiện ở row trước đó
+     */
+    validatePreviewRows() {
+        const existingIds = window.studentsManager?.isServerMode()
+            ? new Set([...this.serverIdLookup].filter(([, exists]) => exists).map(([id]) => id))
+            : new Set(
+                (window.studentsManager?.allStudents || [])
+                    .map(s => String(s.student_id || '').toUpperCase())
+            );
+        const seenIds = new Map(); // student_id -> rowNumber xuất hiện đầu tiên trong file
+
+        this.previewRows.forEach(row => {
+            row.errors = validateStudentForm(row.student);
+            row.duplicateOf = null;
+
+            const studentId = String(row.student.student_id || '').toUpperCase();
+            if (studentId) {
+                if (existingIds.has(studentId)) {
+                    row.duplicateOf = 'existing';
+                } else if (seenIds.has(studentId)) {
+                    row.duplicateOf = seenIds.get(studentId);
+                } else {
+                    seenIds.set(studentId, row.rowNumber);
+                }
+            }
+
+            if (Object.keys(row.errors).length > 0) {
+                row.status = 'invalid';
+            } else if (row.duplicateOf) {
+                row.status = 'duplicate';
+            } else {
+                row.status = 'valid';
+            }
+        });
+    }
+
+    /**
+     * Đếm số rows theo status
+     * @returns {Object} { valid, invalid, duplicate }
+     */
+    getPreviewCounts() {
+        const counts = { valid: 0, invalid: 0, duplicate: 0 };
+        this.previewRows.forEach(row => counts[row.status]++);
+        return counts;
+    }
+
+    /**
+     * Lấy danh sách messages giải thích status của row
+     * @param {Object} row - Preview row
+     * @returns {Array<string>} Messages
+     */
+    getRowMessages(row) {
+        const messages = Object.values(row.errors);
+        if (row.duplicateOf === 'existing') {
+            messages.push('Mã SV đã tồn tại trong hệ thống');
+        } else if (row.duplicateOf) {
+            messages.push(`Trùng mã SV với dòng ${row.duplicateOf}`);
+        }
+        return messages;
+    }
+
+    /**
+     * Render preview table (mỗi cell là input để sửa trực tiếp)
+     */
+    renderPreview() {
+        if (!this.previewContainer) return;
+
+        if (this.previewRows.length === 0) {
+            this.clearPreview();
+            return;
+        }
+
+        const fields = APP_CONFIG.IMPORT_EXPORT.FIELDS;
+
+        const rowsHtml = this.previewRows.map((row, index) => `
+            <tr data-index="${index}">
+                <td class="preview-row-number">${row.rowNumber}</td>
+                <td class="preview-status"></td>
+                ${fields.map(field => `
+                    <td>
+                        <input type="text" class="preview-cell-input" data-field="${field}"
+                               value="${escapeAttr(this.formatCellValue(row.student[field]))}">
+                    </td>
+                `).join('')}
+                <td>
+                    <button class="btn btn-sm btn-danger" data-action="remove-row" title="Bỏ dòng này">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+
+        this.previewContainer.innerHTML = `
+            <div class="import-preview-header">
+                <h3><i class="fas fa-table"></i> Xem trước dữ liệu import</h3>
+                <div class="import-preview-counts"></div>
+            </div>
+            <div class="import-preview-warning hidden">
+                <i class="fas fa-exclamation-triangle"></i>
+                Không kiểm tra được mã SV trùng với hệ thống (lỗi kết nối).
+                Các dòng có mã SV đã tồn tại sẽ bị server từ chối khi import.
+            </div>
+            <div class="import-preview-table-wrapper">
+                <table class="import-preview-table">
+                    <thead>
+                        <tr>
+                            <th>Dòng</th>
+                            <th>Trạng thái</th>
+                            ${fields.map(field => `<th>${STUDENT_FIELD_LABELS[field]}</th>`).join('')}
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>${rowsHtml}</tbody>
+                </table>
+            </div>
+            <div class="import-preview-footer">
+                <button class="btn btn-secondary" data-action="cancel-import">
+                    <i class="fas fa-times"></i>
+                    Hủy
+                </button>
+                <button class="btn btn-primary" data-action="confirm-import" id="confirmImportBtn">
+                    <i class="fas fa-check"></i>
+                    Import dòng hợp lệ
+                </button>
+            </div>
+        `;
+        this.previewContainer.classList.remove('hidden');
+
+        this.refreshPreviewStatuses();
+    }
+
+    /**
+     * Update status cells, highlight lỗi và counts mà không render lại inputs
+     * (giữ focus khi user đang sửa)
+     */
+    refreshPreviewStatuses() {
+        if (!this.previewContainer) return;
+
+        this.previewContainer.querySelectorAll('tbody tr').forEach(tr => {
+            const row = this.previewRows[parseInt(tr.dataset.index)];
+            const status = IMPORT_ROW_STATUS[row.status];
+            const messages = this.getRowMessages(row);
+
+            tr.className = `preview-row-${row.status}`;
+            tr.querySelector('.preview-status').innerHTML = `
+                <span class="preview-badge ${row.status}">
+                    <i class="fas ${status.icon}"></i> ${status.label}
+                </span>
+                ${messages.length > 0 ? `
+                    <ul class="preview-messages">
+                        ${messages.map(message => `<li>${escapeHtml(message)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            `;
+
+            tr.querySelectorAll('.preview-cell-input').forEach(input => {
+                input.classList.toggle('error', Boolean(row.errors[input.dataset.field]));
+                input.title = row.errors[input.dataset.field] || '';
+            });
+        });
+
+        const counts = this.getPreviewCounts();
+        const countsEl = this.previewContainer.querySelector('.import-preview-counts');
+        if (countsEl) {
+            countsEl.innerHTML = Object.entries(IMPORT_ROW_STATUS).map(([key, status]) => `
+                <span class="preview-badge ${key}">${status.label}: ${counts[key]}</span>
+            `).join('');
+        }
+
+        this.previewContainer.querySelector('.import-preview-warning')
+            ?.classList.toggle('hidden', !this.duplicateCheckSkipped);
+
+        const confirmBtn = document.getElementById('confirmImportBtn');
+        if (confirmBtn) {
+            confirmBtn.disabled = counts.valid === 0 || this.isImporting;
+            confirmBtn.innerHTML = `<i class="fas fa-check"></i> Import ${counts.valid} dòng hợp lệ`;
+        }
+    }
+
+    /**
+     * Sửa giá trị một cell trong preview, sau đó validate lại toàn bộ
+     * (duplicate status của các row khác có thể thay đổi theo)
+     * @param {number} index - Index trong previewRows
+     * @param {string} field - Field name
+     * @param {string} value - Giá trị mới
+     */
+    async updatePreviewCell(index, field, value) {
+        const row = this.previewRows[index];
+        if (!row) return;
+
+        const values = {};
+        APP_CONFIG.IMPORT_EXPORT.FIELDS.forEach(key => {
+            values[key] = this.formatCellValue(row.student[key]);
+        });
+        values[field] = value;
+
+        row.student = this.parseStudentRow(values);
+        this.validatePreviewRows();
+        this.refreshPreviewStatuses();
+
+        // Mã SV mới chưa được tra trên server (server mode)
+        if (field === 'student_id') {
+            await this.lookupExistingIds([row.student]);
+            this.validatePreviewRows();
+            this.refreshPreviewStatuses();
+        }
+    }
+
+    /**
+     * Bỏ một row khỏi preview
+     * @param {number} index - Index trong previewRows
+     */
+    removePreviewRow(index) {
+        this.previewRows.splice(index, 1);
+        this.validatePreviewRows();
+        this.renderPreview();
+    }
+
+    /**
+     * Ẩn preview table
+     */
+    hidePreview() {
+        this.previewRows = [];
+        if (this.previewContainer) {
+            this.previewContainer.innerHTML = '';
+            this.previewContainer.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Đóng mapping + preview và reset file đang chọn
+     */
+    clearPreview() {
+        this.hidePreview();
+        this.importData = null;
+        this.columnMapping = {};
+        this.serverIdLookup.clear();
+        this.duplicateCheckSkipped = false;
+        if (this.mappingContainer) {
+            this.mappingContainer.innerHTML = '';
+            this.mappingContainer.classList.add('hidden');
+        }
+        this.resetFileSelection();
+    }
+
+    /**
+     * Format giá trị field để hiển thị trong input
+     * @param {any} value - Field value
+     * @returns {string} Text
+     */
+    formatCellValue(value) {
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    /**
+     * Import các rows hợp lệ, bỏ qua rows lỗi/trùng, sau đó hiển thị báo cáo
+     */
+    async commitImport() {
+        if (this.isImporting) return;
+        if (!authManager.ensurePermission('import')) return;
+
+        // Khóa trước khi tra mã SV trên server: click lần nữa lúc đang tra không import 2 lần
+        this.isImporting = true;
+        const confirmBtn = document.getElementById('confirmImportBtn');
+        if (confirmBtn) confirmBtn.disabled = true;
+
+        try {
+            await this.lookupExistingIds(this.previewRows.map(row => row.student));
+            this.validatePreviewRows();
+            const validRows = this.previewRows.filter(row => row.status === 'valid');
+            const skippedRows = this.previewRows.filter(row => row.status !== 'valid');
+
+            if (validRows.length === 0) {
+                notifications.warning('Không có dòng hợp lệ để import');
+                return;
+            }
+
+            this.previewContainer?.classList.add('hidden');
+
+            const results = await this.importStudents(validRows);
+
+            results.total = this.previewRows.length;
+            results.skipped = skippedRows.length;
+            results.skippedRows = skippedRows.map(row => ({
+                row: row.rowNumber,
+                student_id: row.student.student_id,
+                message: this.getRowMessages(row).join('; ')
+            }));
+
+            this.renderImportResults(results);
+
+            if (results.created > 0) {
+                notifications.success(`Đã import ${results.created}/${results.total} sinh viên`);
+                window.dispatchEvent(new CustomEvent('studentsUpdated'));
+            } else {
+                notifications.error('Không import được sinh viên nào');
+            }
+
+            this.clearPreview();
+
+        } catch (error) {
+            console.error('Error importing students:', error);
+            notifications.error(error.message || 'Không thể import dữ liệu');
+            this.previewContainer?.classList.remove('hidden');
+        } finally {
+            this.isImporting = false;
+            this.refreshPreviewStatuses();
+        }
+    }
+
+    /**
+     * Đọc file thành headers + mảng row objects (key = header của cột)
+     * @param {File} file - File Excel/CSV
+     * @returns {Promise<Object>} { headers, rows, rowNumbers }
+     */
+    async readFile(file) {
+        const extension = getFileExtension(file.name);
+        let table;
+        let firstRow = 0;  // Index (0-based) của dòng đầu tiên trong table so với file
+
+        // Giữ các dòng trống để số dòng báo lỗi khớp với file gốc
+        if (extension === 'csv') {
+            const text = await file.text();
+            table = parseCSV(text, ',', false);
+        } else {
+            const buffer = await file.arrayBuffer();
+            const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            if (!sheet || !sheet['!ref']) return { headers: [], rows: [], rowNumbers: [] };
+
+            table = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '', blankrows: true });
+            firstRow = XLSX.utils.decode_range(sheet['!ref']).s.r;
+        }
+
+        const isBlank = cells => !cells.some(cell => String(cell).trim() !== '');
+        const headerIndex = table.findIndex(cells => !isBlank(cells));
+        if (headerIndex === -1) return { headers: [], rows: [], rowNumbers: [] };
+
+        const headers = table[headerIndex].map(header => String(header).trim());
+        const rows = [];
+        const rowNumbers = [];  // Số dòng trong file (đánh số từ 1 như Excel) của từng row
+
+        for (let i = headerIndex + 1; i < table.length; i++) {
+            const cells = table[i];
+            if (isBlank(cells)) continue;
+
+            const row = {};
+            headers.forEach((header, index) => {
+                if (header) row[header] = cells[index];
+            });
+            rows.push(row);
+            rowNumbers.push(firstRow + i + 1);
+        }
+
+        return { headers, rows, rowNumbers };
+    }
+
+    /**
+     * Parse rows thành student objects
+     * @param {Array<Object>} rows - Rows từ readFile()
+     * @returns {Array<Object>} Students (cùng shape với ApiService.parseStudent)
+     */
+    parseRows(rows) {
+        return rows.map(row => this.parseStudentRow(row));
+    }
+
+    /**
+     * Parse một row thành student object
+     * Shape giống ApiService.parseStudent() để dùng chung với phần còn lại của app
+     * @param {Object} row - Row object (header -> cell value)
+     * @returns {Object} Student object
+     */
+    parseStudentRow(row) {
+        const getTextContent = (field) => {
+            const value = row[field];
+            if (value === null || value === undefined) return null;
+            if (value instanceof Date) return this.formatCellDate(value);
+            const text = String(value).trim();
+            return text !== '' ? text : null;
+        };
+
+        // Giữ nguyên text nếu không phải số để validation báo lỗi thay vì bỏ qua
+        const getNumberContent = (field) => {
+            const text = getTextContent(field);
+            if (text === null) return null;
+            const number = Number(text.replace(',', '.'));
+            return isNaN(number) ? text : number;
+        };
+
+        const student = {
+            id: null,
+            student_id: getTextContent('student_id'),
+            first_name: getTextContent('first_name'),
+            last_name: getTextContent('last_name'),
+            full_name: null,
+            email: getTextContent('email'),
+            birth_date: this.normalizeDate(row.birth_date),
+            hometown: getTextContent('hometown'),
+            math_score: getNumberContent('math_score'),
+            literature_score: getNumberContent('literature_score'),
+            english_score: getNumberContent('english_score'),
+            average_score: null,
+            grade: null
+        };
+
+        student.full_name = [student.first_name, student.last_name].filter(Boolean).join(' ') || null;
+
+        // Tính điểm TB & xếp loại giống server để hiển thị trước khi import
+        const scores = [student.math_score, student.literature_score, student.english_score]
+            .filter(score => typeof score === 'number');
+        if (scores.length > 0) {
+            student.average_score = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 100) / 100;
+            student.grade = calculateGrade(student.average_score);
+        }
+
+        return student;
+    }
+
+    /**
+     * Normalize ngày sinh về dạng YYYY-MM-DD
+     * Hỗ trợ Date (Excel), YYYY-MM-DD và DD/MM/YYYY
+     * @param {any} value - Cell value
+     * @returns {string|null} Date string hoặc text gốc nếu không nhận dạng được
+     */
+    normalizeDate(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (value instanceof Date) return this.formatCellDate(value);
+
+        const text = String(value).trim();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+        const match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+        if (match) {
+            const [, day, month, year] = match;
+            return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Format Date từ Excel cell theo local time (tránh lệch ngày do timezone)
+     * @param {Date} date - Date object
+     * @returns {string} YYYY-MM-DD
+     */
+    formatCellDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Chuyển student object thành payload cho api.createStudent()
+     * @param {Object} student - Student object
+     * @returns {Object} Payload chỉ gồm các import fields
+     */
+    toPayload(student) {
+        const payload = {};
+        APP_CONFIG.IMPORT_EXPORT.FIELDS.forEach(field => {
+            payload[field] = student[field];
+        });
+        return cleanFormData(payload);
+    }
+
+    /**
+     * Tạo students qua API lần lượt từng row
+     * @param {Array<Object>} rows - Preview rows cần tạo ({ rowNumber, student })
+     * @returns {Promise<Object>} { total, created, failed, errors: [{ row, student_id, message }] }
+     */
+    async importStudents(rows) {
+        const results = { total: rows.length, created: 0, failed: 0, errors: [] };
+
+        for (let i = 0; i < rows.length; i++) {
+            this.renderImportProgress(i, rows.length);
+
+            try {
+                await api.createStudent(this.toPayload(rows[i].student));
+                results.created++;
+            } catch (error) {
+                results.failed++;
+                results.errors.push({
+                    row: rows[i].rowNumber,
+                    student_id: rows[i].student.student_id,
+                    message: error.message || 'Lỗi không xác định'
+                });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Hiển thị progress trong quá trình import
+     * @param {number} done - Số rows đã xử lý
+     * @param {number} total - Tổng số rows
+     */
+    renderImportProgress(done, total) {
+        if (!this.resultsContainer) return;
+
+        const percent = total > 0 ? Math.round(done / total * 100) : 0;
+        this.resultsContainer.innerHTML = `
+            <div class="import-progress">
+                <div class="import-progress-label">Đang import ${done}/${total} sinh viên...</div>
+                <div class="progress-bar"><div class="progress-bar-fill" style="width: ${percent}%"></div></div>
+            </div>
+        `;
+        this.resultsContainer.classList.remove('hidden');
+    }
+
+    /**
+     * Render kết quả import (số lượng thành công/thất bại + chi tiết lỗi)
+     * @param {Object} results - Kết quả từ importStudents()
+     */
+    renderImportResults(results) {
+        if (!this.resultsContainer) return;
+
+        const details = [
+            ...results.errors.map(err => ({ ...err, type: 'Thất bại' })),
+            ...(results.skippedRows || []).map(err => ({ ...err, type: 'Bỏ qua' }))
+        ].sort((a, b) => a.row - b.row);
+
+        const errorsHtml = details.length > 0 ? `
+            <table class="import-errors-table">
+                <thead>
+                    <tr><th>Dòng</th><th>Mã SV</th><th>Kết quả</th><th>Lý do</th></tr>
+                </thead>
+                <tbody>
+                    ${details.map(err => `
+                        <tr>
+                            <td>${err.row}</td>
+                            <td>${escapeHtml(err.student_id || '')}</td>
+                            <td>${err.type}</td>
+                            <td>${escapeHtml(err.message)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '';
+
+        this.resultsContainer.innerHTML = `
+            <h3><i class="fas fa-clipboard-check"></i> Kết quả import</h3>
+            <div class="import-summary">
+                <div class="import-summary-item">
+                    <span class="import-summary-value">${results.total}</span>
+                    <span class="import-summary-label">Tổng số dòng</span>
+                </div>
+                <div class="import-summary-item success">
+                    <span class="import-summary-value">${results.created}</span>
+                    <span class="import-summary-label">Thành công</span>
+                </div>
+                <div class="import-summary-item warning">
+                    <span class="import-summary-value">${results.skipped || 0}</span>
+                    <span class="import-summary-label">Bỏ qua</span>
+                </div>
+                <div class="import-summary-item error">
+                    <span class="import-summary-value">${results.failed}</span>
+                    <span class="import-summary-label">Thất bại</span>
+                </div>
+            </div>
+            ${errorsHtml}
+        `;
+        this.resultsContainer.classList.remove('hidden');
+    }
+
+    // =====================================================
+    // EXPORT
+    // =====================================================
+
+    /**
+     * Lấy danh sách students theo phạm vi export
+     * Server mode: tải toàn bộ từ API vì client chỉ giữ trang hiện tại
+     * @param {string} scope - 'all', 'filtered' hoặc 'selected'
+     * @returns {Promise<Array<Object>>} Students
+     */
+    async getStudentsForExport(scope) {
+        if (!window.studentsManager) return [];
+
+        switch (scope) {
+            case 'filtered':
+                return studentsManager.getFilteredStudents();
+            case 'selected':
+                return studentsManager.getSelectedStudents();
+            default:
+                return studentsManager.isServerMode()
+                    ? studentsManager.fetchAllStudents()
+                    : studentsManager.allStudents;
+        }
+    }
+
+    /**
+     * Export students ra file Excel/CSV
+     * @param {string} scope - 'all', 'filtered' hoặc 'selected'
+     */
+    async exportStudents(scope = 'all') {
+        try {
+            loading.show();
+
+            const students = await this.getStudentsForExport(scope);
+            if (students.length === 0) {
+                notifications.warning('Không có sinh viên nào để export');
+                return;
+            }
+
+            const format = this.exportFormatSelect?.value || 'xlsx';
+            const rows = students.map(student => this.buildExportRow(student));
+            const date = formatDateForInput(new Date().toISOString());
+
+            this.writeFile(rows, EXPORT_COLUMNS, format, `sinh-vien-${scope}-${date}`);
+            notifications.success(`Đã export ${students.length} sinh viên`);
+        } catch (error) {
+            console.error('Error exporting students:', error);
+            notifications.error(error.message || 'Không thể export dữ liệu');
+        } finally {
+            loading.hide();
+        }
+    }
+
+    /**
+     * Chuyển student object thành row cho file export
+     * @param {Object} student - Student object
+     * @returns {Object} Row (column -> value)
+     */
+    buildExportRow(student) {
+        const row = {};
+        EXPORT_COLUMNS.forEach(column => {
+            const value = student[column];
+            row[column] = value === null || value === undefined ? '' : value;
+        });
+        row.birth_date = formatDateForInput(student.birth_date);
+        row.grade = student.grade || calculateGrade(student.average_score);
+        return row;
+    }
+
+    /**
+     * Ghi rows ra file và trigger download
+     * @param {Array<Object>} rows - Data rows
+     * @param {Array<string>} columns - Column keys
+     * @param {string} format - 'xlsx' hoặc 'csv'
+     * @param {string} baseName - Tên file (không có extension)
+     */
+    writeFile(rows, columns, format, baseName) {
+        if (format === 'csv') {
+            // BOM để Excel đọc đúng tiếng Việt (UTF-8)
+            const blob = new Blob(['\uFEFF' + toCSV(rows, columns)], { type: 'text/csv;charset=utf-8' });
+            downloadFile(blob, `${baseName}.csv`);
+            return;
+        }
+
+        if (typeof XLSX === 'undefined') {
+            throw new Error('Không tải được thư viện Excel. Vui lòng chọn định dạng CSV.');
+        }
+
+        const worksheet = XLSX.utils.json_to_sheet(rows, { header: columns });
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Students');
+        XLSX.writeFile(workbook, `${baseName}.xlsx`);
+    }
+
+    /**
+     * Download file template mẫu để import
+     */
+    downloadTemplate() {
+        const sample = {
+            student_id: 'SV000001',
+            first_name: 'Nguyễn Văn',
+            last_name: 'An',
+            email: 'an.nguyen@example.com',
+            birth_date: '2004-05-20',
+            hometown: 'Hà Nội',
+            math_score: 8.5,
+            literature_score: 7.0,
+            english_score: 9.0
+        };
+        const format = this.exportFormatSelect?.value || 'xlsx';
+
+        try {
+            this.writeFile([sample], APP_CONFIG.IMPORT_EXPORT.FIELDS, format, 'mau-import-sinh-vien');
+        } catch (error) {
+            notifications.error(error.message);
+        }
+    }
+
+    /**
+     * Update nút "Export đã chọn" theo số students đang được chọn
+     * Được gọi từ StudentsManager mỗi khi selection thay đổi
+     */
+    updateExportSelectedButton() {
+        if (!this.exportSelectedBtn) return;
+
+        const count = window.studentsManager ? studentsManager.selectedStudents.size : 0;
+        this.exportSelectedBtn.disabled = count === 0;
+
+        const countEl = this.exportSelectedBtn.querySelector('.selected-count');
+        if (countEl) {
+            countEl.textContent = count;
+        }
+    }
+}
+
+// Initialize import/export manager
+let importExportManager;
+
+document.addEventListener('DOMContentLoaded', () => {
+    importExportManager = new ImportExportManager();
+    // Export globally
+    window.importExportManager = importExportManager;
+});
@@ -0,0 +1,141 @@
+// =====================================================
+// LOCAL DATABASE MODULE
+// =====================================================
+// Small promise wrapper around IndexedDB for data kept on the device
+// (offline mutation queue...). Object stores are declared in
+// APP_CONFIG.LOCAL_DB.STORES and created on upgrade; the connection is
+// opened lazily and shared by all modules through `localDatabase`.
+
+class LocalDatabase {
+    /**
+     * @param {Object} config - { NAME, VERSION, STORES }
+     */
+    constructor(config = APP_CONFIG.LOCAL_DB) {
+        this.config = config;
+        this.connection = null;   // Promise<IDBDatabase>
+    }
+
+    /**
+     * Browser có hỗ trợ IndexedDB không
+     * @returns {boolean}
+     */
+    get isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Mở database (tạo các object stores còn thiếu khi version tăng)
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.connection) return this.connection;
+
+        if (!this.isSupported) {
+            return Promise.reject(new Error('IndexedDB is not supported'));
+        }
+
+        this.connection = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.config.NAME, this.config.VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(this.config.STORES).forEach(([name, options]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Tab khác mở version mới hơn -> đóng để không chặn upgrade
+                db.onversionchange = () => {
+                    db.close();
+                    this.connection = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('IndexedDB upgrade blocked by another tab');
+        });
+
+        // Lần mở lỗi không được cache, lần gọi sau thử lại
+        this.connection.catch(() => {
+            this.connection = null;
+        });
+        return this.connection;
+    }
+
+    /**
+     * Chạy 1 request trên object store
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' hoặc 'readwrite'
+     * @param {Function} callback - (store) => IDBRequest
+     * @returns {Promise<*>} Result của request (sau khi transaction complete)
+     */
+    async run(storeName, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Lấy tất cả records (theo thứ tự key)
+     * @param {string} storeName - Object store
+     * @returns {Promise<Array>}
+     */
+    getAll(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Lấy 1 record
+     * @param {string} storeName - Object store
+     * @param {*} key - Key
+     * @returns {Promise<*>} Record hoặc undefined
+     */
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Thêm hoặc ghi đè 1 record
+     * @param {string} storeName - Object store
+     * @param {Object} value - Record
+     * @returns {Promise<*>} Key của record (autoIncrement key nếu record chưa có)
+     */
+    put(storeName, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    /**
+     * Xóa 1 record
+     * @param {string} storeName - Object store
+     * @param {*} key - Key
+     * @returns {Promise<void>}
+     */
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Xóa các records có key (string) bắt đầu bằng prefix
+     * @param {string} storeName - Object store
+     * @param {string} prefix - Key prefix
+     * @returns {Promise<void>}
+     */
+    deleteByPrefix(storeName, prefix) {
+        return this.run(storeName, 'readwrite', store => store.delete(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+    }
+}
+
+/**
+ * Shared instance (connection mở khi cần lần đầu)
+ */
+const localDatabase = new LocalDatabase();
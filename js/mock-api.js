@@ -0,0 +1,1096 @@
+/**
+ * =====================================================
+ * MOCK BACKEND (OFFLINE MODE)
+ * =====================================================
+ * In-browser replacement for the FastAPI backend
+ * Used by ApiService when API_CONFIG.USE_MOCK_DATA is true (registered as an api interceptor)
+ *
+ * Features:
+ * - Student store seeded with realistic Vietnamese data
+ * - Persisted in localStorage (survives reload, shared between tabs)
+ * - Returns real Response objects with the same XML shapes as the backend
+ *   (converted to JSON when the request does not accept XML, e.g. RESPONSE_FORMAT 'json')
+ * - Request bodies as JSON or XML (<student>, <login>... see ApiService.encodeBody)
+ * - Supports paging, search, filters and sorting like GET /students
+ * - Background crawl jobs with simulated progress (/crawler/jobs)
+ * - Idempotency-Key support for POST and optional random 503s (API_CONFIG.MOCK_ERROR_RATE)
+ * - Bearer-token auth (/auth/login, /auth/refresh, /auth/logout); when API_CONFIG.AUTH.ENABLED,
+ *   every other endpoint except /health answers 401 without a valid access token
+ * - Roles: viewer (read only), editor (create/update), admin (also delete and crawl), 403 otherwise.
+ *   Demo accounts: admin / admin123, editor / editor123, viewer / viewer123
+ * =====================================================
+ */
+
+// Seed data for generating students
+const MOCK_FAMILY_NAMES = ['Nguyễn', 'Trần', 'Lê', 'Phạm', 'Hoàng', 'Huỳnh', 'Phan', 'Vũ', 'Võ', 'Đặng', 'Bùi', 'Đỗ', 'Hồ', 'Ngô', 'Dương', 'Lý'];
+const MOCK_MIDDLE_NAMES = ['Văn', 'Thị', 'Minh', 'Quang', 'Thanh', 'Ngọc', 'Đức', 'Thu', 'Hoài', 'Gia', 'Bảo', 'Hữu', 'Khánh', 'Phương'];
+const MOCK_GIVEN_NAMES = ['An', 'Bình', 'Châu', 'Dũng', 'Giang', 'Hà', 'Hải', 'Hạnh', 'Hiếu', 'Hoa', 'Hùng', 'Huy', 'Khoa', 'Lan', 'Linh', 'Long', 'Mai', 'Nam', 'Ngân', 'Nhung', 'Phúc', 'Quân', 'Sơn', 'Tâm', 'Thảo', 'Trang', 'Trung', 'Tuấn', 'Vy', 'Yến'];
+const MOCK_CRAWL_DURATION = 6000; // Thời gian giả lập của 1 crawl job (ms)
+const MOCK_ACCESS_TOKEN_TTL = 15 * 60;       // Thời hạn access token (giây)
+const MOCK_REFRESH_TOKEN_TTL = 8 * 60 * 60;  // Thời hạn refresh token (giây)
+const MOCK_USERS = [
+    { username: 'admin', password: 'admin123', full_name: 'Quản trị viên', role: 'admin' },
+    { username: 'editor', password: 'editor123', full_name: 'Nguyễn Văn Biên', role: 'editor' },
+    { username: 'viewer', password: 'viewer123', full_name: 'Trần Thị Xem', role: 'viewer' }
+];
+const MOCK_HOMETOWNS = ['Hà Nội', 'TP. Hồ Chí Minh', 'Đà Nẵng', 'Hải Phòng', 'Cần Thơ', 'Nghệ An', 'Thanh Hóa', 'Huế', 'Quảng Nam', 'Bình Định', 'Nam Định', 'Thái Bình', 'Đồng Nai', 'Khánh Hòa', 'Lâm Đồng'];
+
+/**
+ * MockBackend Class
+ * Xử lý requests giống backend thật nhưng chạy hoàn toàn trong browser
+ */
+class MockBackend {
+    constructor() {
+        this.storageKey = 'mockStudentStore';  // localStorage key
+        this.authStorageKey = 'mockAuthTokens'; // localStorage key cho tokens đã cấp (dùng chung giữa các tabs)
+        this.latency = API_CONFIG.MOCK_LATENCY; // Simulated network latency (ms)
+        this.store = null;                      // { nextId, students: [] } - loaded lazily
+        this.crawlJobs = new Map();             // jobId -> crawl job (in-memory)
+        this.nextJobId = 1;
+        this.idempotentResponses = new Map();   // Idempotency-Key -> Response của lần xử lý đầu
+    }
+
+    // =====================================================
+    // STORE
+    // =====================================================
+
+    /**
+     * Load store từ localStorage (seed nếu chưa có)
+     * @returns {Object} Store object
+     */
+    getStore() {
+        if (this.store) return this.store;
+
+        try {
+            this.store = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch {
+            this.store = null;
+        }
+
+        if (!this.store || !Array.isArray(this.store.students)) {
+            this.store = this.seed();
+            this.saveStore();
+        }
+        return this.store;
+    }
+
+    /**
+     * Lưu store vào localStorage
+     */
+    saveStore() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.store));
+        } catch (error) {
+            console.warn('Mock store could not be persisted:', error);
+        }
+    }
+
+    /**
+     * Reload store từ localStorage (khi tab khác đã thay đổi data)
+     */
+    reloadStore() {
+        this.store = null;
+        return this.getStore();
+    }
+
+    /**
+     * Xóa store và seed lại data mẫu
+     */
+    reset() {
+        this.store = this.seed();
+        this.saveStore();
+    }
+
+    /**
+     * Tạo data mẫu (deterministic để demo luôn giống nhau)
+     * @param {number} count - Số students cần tạo
+     * @returns {Object} Store object
+     */
+    seed(count = 120) {
+        const random = this.createRandom(20241016);
+        const pick = (list) => list[Math.floor(random() * list.length)];
+        const score = () => random() < 0.05 ? null : Math.round((3 + random() * 7) * 10) / 10;
+        const now = new Date().toISOString();
+        const students = [];
+
+        for (let i = 1; i <= count; i++) {
+            const givenName = pick(MOCK_GIVEN_NAMES);
+            const year = 2000 + Math.floor(random() * 6);
+            const month = String(1 + Math.floor(random() * 12)).padStart(2, '0');
+            const day = String(1 + Math.floor(random() * 28)).padStart(2, '0');
+            const studentId = `SV${String(i).padStart(6, '0')}`;
+
+            students.push({
+                id: i,
+                student_id: studentId,
+                first_name: `${pick(MOCK_FAMILY_NAMES)} ${pick(MOCK_MIDDLE_NAMES)}`,
+                last_name: givenName,
+                email: `${removeAccents(givenName).toLowerCase()}.${studentId.toLowerCase()}@student.edu.vn`,
+                birth_date: `${year}-${month}-${day}`,
+                hometown: pick(MOCK_HOMETOWNS),
+                math_score: score(),
+                literature_score: score(),
+                english_score: score(),
+                created_at: now,
+                updated_at: now
+            });
+        }
+
+        return { nextId: count + 1, students };
+    }
+
+    /**
+     * Seeded pseudo-random generator (mulberry32)
+     * @param {number} seed - Seed value
+     * @returns {Function} Function trả về số trong [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed;
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Thêm các fields server tự tính (full_name, average_score, grade)
+     * @param {Object} student - Student trong store
+     * @returns {Object} Student object đầy đủ
+     */
+    withComputedFields(student) {
+        const scores = [student.math_score, student.literature_score, student.english_score]
+            .filter(score => score !== null && score !== undefined);
+        const averageScore = scores.length > 0
+            ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 100) / 100
+            : null;
+
+        return {
+            ...student,
+            full_name: `${student.first_name} ${student.last_name}`,
+            average_score: averageScore,
+            grade: averageScore !== null ? calculateGrade(averageScore) : null
+        };
+    }
+
+    // =====================================================
+    // REQUEST HANDLING
+    // =====================================================
+
+    /**
+     * Handle request giống window.fetch()
+     * @param {string} url - Full request URL
+     * @param {Object} options - Fetch options (method, body, signal)
+     * @returns {Promise<Response>} Response object
+     */
+    async handle(url, options = {}) {
+        await this.delay(options.signal);
+
+        // Giả lập lỗi tạm thời của server để thử retry
+        if (API_CONFIG.MOCK_ERROR_RATE > 0 && Math.random() < API_CONFIG.MOCK_ERROR_RATE) {
+            return this.xmlResponse(
+                '<error><detail>Service temporarily unavailable</detail></error>',
+                503,
+                { 'Retry-After': '1' }
+            );
+        }
+
+        // POST gửi lại với cùng Idempotency-Key -> trả lại kết quả lần đầu, không xử lý lần nữa
+        const method = (options.method || 'GET').toUpperCase();
+        const idempotencyKey = method === 'POST'
+            ? new Headers(options.headers || {}).get(API_CONFIG.RETRY.IDEMPOTENCY_HEADER)
+            : null;
+        if (idempotencyKey && this.idempotentResponses.has(idempotencyKey)) {
+            return this.negotiate(this.idempotentResponses.get(idempotencyKey).clone(), options.headers);
+        }
+
+        const response = this.route(url, options);
+        if (idempotencyKey && response.status < 500) {
+            this.idempotentResponses.set(idempotencyKey, response.clone());
+        }
+        return this.negotiate(response, options.headers);
+    }
+
+    /**
+     * Content negotiation: handlers trả XML, chuyển sang JSON nếu client không nhận XML
+     * JSON có cùng shape với kết quả parse XML của ApiService (giống 1 JSON backend)
+     * @param {Response} response - Response từ handler
+     * @param {Object} headers - Request headers
+     * @returns {Promise<Response>} Response theo format client yêu cầu
+     */
+    async negotiate(response, headers) {
+        const accept = new Headers(headers || {}).get('Accept') || '*/*';
+        const contentType = response.headers.get('Content-Type') || '';
+        if (/xml|\*\/\*/.test(accept) || !contentType.includes('xml')) {
+            return response;
+        }
+
+        const data = api.parseXMLResponse(await response.text());
+        const responseHeaders = new Headers(response.headers);
+        responseHeaders.set('Content-Type', 'application/json');
+        return new Response(JSON.stringify(data), { status: response.status, headers: responseHeaders });
+    }
+
+    /**
+     * Chuyển request đến handler tương ứng
+     * @param {string} url - Full request URL
+     * @param {Object} options - Fetch options
+     * @returns {Response} Response object
+     */
+    route(url, options) {
+        const { pathname, searchParams } = new URL(url, window.location.origin);
+        const path = pathname.replace(/^.*?\/api\/v1/, '').replace(/\/+$/, '') || '/';
+        const method = (options.method || 'GET').toUpperCase();
+        const studentMatch = path.match(/^\/students\/(\d+)$/);
+
+        try {
+            // Health check URL được cấu hình riêng cho mỗi backend profile: chỉ trả lời đúng URL
+            // của profile đang dùng, URL khác ngoài /api/v1 -> 404 (như server thật)
+            if (this.isHealthURL(url)) {
+                return this.xmlResponse('<health><status>ok</status><mode>mock</mode></health>');
+            }
+            if (!/\/api\/v1(\/|$)/.test(pathname)) {
+                return this.errorResponse(404, 'Not Found');
+            }
+            if (path === '/auth/login' && method === 'POST') {
+                return this.login(this.parseBody(options));
+            }
+            if (path === '/auth/refresh' && method === 'POST') {
+                return this.refreshToken(this.parseBody(options));
+            }
+            if (path === '/auth/logout' && method === 'POST') {
+                return this.logout(this.parseBody(options));
+            }
+
+            // Các endpoint còn lại cần access token hợp lệ và đủ quyền (khi bật authentication)
+            if (API_CONFIG.AUTH.ENABLED !== false) {
+                const { user, error: authError } = this.authenticate(options.headers);
+                if (authError) {
+                    return authError;
+                }
+                const permission = this.getRequiredPermission(path, method);
+                if (permission && !(APP_CONFIG.PERMISSIONS[user.role] || []).includes(permission)) {
+                    return this.errorResponse(403, 'Not enough permissions');
+                }
+            }
+
+            if (path === '/students' && method === 'GET') {
+                return this.listStudents(searchParams);
+            }
+            if (path === '/students' && method === 'POST') {
+                return this.createStudent(this.parseBody(options));
+            }
+            if (studentMatch && method === 'GET') {
+                return this.getStudent(parseInt(studentMatch[1]));
+            }
+            if (studentMatch && method === 'PUT') {
+                const headers = new Headers(options.headers || {});
+                return this.updateStudent(parseInt(studentMatch[1]), this.parseBody(options), {
+                    ifMatch: headers.get('If-Match'),
+                    ifUnmodifiedSince: headers.get('If-Unmodified-Since')
+                });
+            }
+            if (studentMatch && method === 'DELETE') {
+                return this.deleteStudent(parseInt(studentMatch[1]));
+            }
+            if (path === '/analytics/summary' && method === 'GET') {
+                return this.analyticsSummary();
+            }
+            if (path === '/analytics/score-comparison' && method === 'GET') {
+                return this.scoreComparison();
+            }
+            if (path === '/analytics/hometown-analysis' && method === 'GET') {
+                return this.hometownAnalysis();
+            }
+            if (path === '/crawler/generate-report' && method === 'POST') {
+                return this.generateReport();
+            }
+            if (path === '/crawler/jobs' && method === 'POST') {
+                return this.startCrawlJob();
+            }
+            const jobMatch = path.match(/^\/crawler\/jobs\/([\w-]+)$/);
+            if (jobMatch && method === 'GET') {
+                return this.getCrawlJob(jobMatch[1]);
+            }
+            if (jobMatch && method === 'DELETE') {
+                return this.cancelCrawlJob(jobMatch[1]);
+            }
+
+            return this.errorResponse(404, 'Not Found');
+        } catch (error) {
+            console.error('Mock backend error:', error);
+            return this.errorResponse(500, error.message || 'Internal Server Error');
+        }
+    }
+
+    /**
+     * URL có phải health check URL của backend profile đang dùng không (bỏ qua query string)
+     * @param {string} url - Request URL
+     * @returns {boolean}
+     */
+    isHealthURL(url) {
+        const strip = (value) => {
+            const parsed = new URL(value, window.location.origin);
+            return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+        };
+        return strip(url) === strip(api.healthURL);
+    }
+
+    /**
+     * Giả lập network latency (có thể bị abort bởi signal)
+     * @param {AbortSignal} signal - Abort signal từ request
+     * @returns {Promise<void>}
+     */
+    delay(signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, this.latency);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Parse request body theo Content-Type (JSON hoặc XML)
+     * XML: các child elements của root (<student>, <login>...) thành fields, element rỗng = ''
+     * @param {Object} options - Fetch options (body, headers)
+     * @returns {Object} Parsed data
+     */
+    parseBody({ body, headers }) {
+        if (!body) return {};
+
+        const contentType = new Headers(headers || {}).get('Content-Type') || '';
+        if (contentType.includes('xml')) {
+            const xmlDoc = new DOMParser().parseFromString(body, 'application/xml');
+            if (xmlDoc.querySelector('parsererror') || !xmlDoc.documentElement) {
+                throw new Error('Invalid request body');
+            }
+            return Object.fromEntries(
+                Array.from(xmlDoc.documentElement.children).map(child => [child.tagName, child.textContent])
+            );
+        }
+
+        try {
+            return JSON.parse(body);
+        } catch {
+            throw new Error('Invalid request body');
+        }
+    }
+
+    // =====================================================
+    // AUTH ENDPOINTS
+    // =====================================================
+
+    /**
+     * Load tokens đã cấp từ localStorage (bỏ các tokens đã hết hạn)
+     * @returns {Object} { access: { token: { username, expiresAt } }, refresh: {...} }
+     */
+    getTokens() {
+        let tokens;
+        try {
+            tokens = JSON.parse(localStorage.getItem(this.authStorageKey));
+        } catch {
+            tokens = null;
+        }
+
+        const now = Date.now();
+        const valid = (map) => Object.fromEntries(
+            Object.entries(map || {}).filter(([, entry]) => entry.expiresAt > now)
+        );
+        return { access: valid(tokens?.access), refresh: valid(tokens?.refresh) };
+    }
+
+    /**
+     * Lưu tokens vào localStorage
+     * @param {Object} tokens - Tokens từ getTokens()
+     */
+    saveTokens(tokens) {
+        try {
+            localStorage.setItem(this.authStorageKey, JSON.stringify(tokens));
+        } catch (error) {
+            console.warn('Mock tokens could not be persisted:', error);
+        }
+    }
+
+    /**
+     * Kiểm tra Authorization header
+     * @param {Object} headers - Request headers
+     * @returns {Object} { user } nếu token hợp lệ, { error: 401 Response } nếu không
+     */
+    authenticate(headers) {
+        const authorization = new Headers(headers || {}).get('Authorization') || '';
+        const match = authorization.match(/^Bearer\s+(\S+)$/i);
+        if (!match) {
+            return { error: this.unauthorizedResponse('Not authenticated') };
+        }
+
+        const entry = this.getTokens().access[match[1]];
+        const user = entry && MOCK_USERS.find(item => item.username === entry.username);
+        if (!user) {
+            return { error: this.unauthorizedResponse('Invalid or expired token') };
+        }
+        return { user };
+    }
+
+    /**
+     * Permission cần để gọi 1 endpoint
+     * Dùng chung bảng APP_CONFIG.PERMISSIONS với client (authManager.can) để 2 bên không lệch nhau
+     * @param {string} path - Path (sau /api/v1)
+     * @param {string} method - HTTP method
+     * @returns {string|null} Permission, null = mọi user đã đăng nhập
+     */
+    getRequiredPermission(path, method) {
+        if (path.startsWith('/crawler')) return 'crawl';
+        if (path.startsWith('/students')) {
+            if (method === 'POST') return 'student.create';
+            if (method === 'PUT') return 'student.edit';
+            if (method === 'DELETE') return 'student.delete';
+        }
+        return null;
+    }
+
+    /**
+     * Cấp cặp access/refresh token mới cho user
+     * @param {Object} user - Mock user
+     * @returns {Response} XML token
+     */
+    issueTokens(user) {
+        const tokens = this.getTokens();
+        const now = Date.now();
+        const accessToken = `mock-access-${generateId()}`;
+        const refreshToken = `mock-refresh-${generateId()}`;
+
+        tokens.access[accessToken] = { username: user.username, expiresAt: now + MOCK_ACCESS_TOKEN_TTL * 1000 };
+        tokens.refresh[refreshToken] = { username: user.username, expiresAt: now + MOCK_REFRESH_TOKEN_TTL * 1000 };
+        this.saveTokens(tokens);
+
+        const xml = '<token>'
+            + `<access_token>${accessToken}</access_token>`
+            + `<refresh_token>${refreshToken}</refresh_token>`
+            + '<token_type>bearer</token_type>'
+            + `<expires_in>${MOCK_ACCESS_TOKEN_TTL}</expires_in>`
+            + `<refresh_expires_in>${MOCK_REFRESH_TOKEN_TTL}</refresh_expires_in>`
+            + `<username>${this.escapeXML(user.username)}</username>`
+            + `<full_name>${this.escapeXML(user.full_name)}</full_name>`
+            + `<role>${user.role}</role>`
+            + '</token>';
+        return this.xmlResponse(xml);
+    }
+
+    /**
+     * POST /auth/login
+     * @param {Object} data - { username, password }
+     * @returns {Response} XML token hoặc 401
+     */
+    login(data) {
+        const user = MOCK_USERS.find(item => item.username === data.username && item.password === data.password);
+        if (!user) {
+            return this.unauthorizedResponse('Incorrect username or password');
+        }
+        return this.issueTokens(user);
+    }
+
+    /**
+     * POST /auth/refresh
+     * Refresh token chỉ dùng được 1 lần (rotation): token cũ bị thu hồi khi cấp token mới
+     * @param {Object} data - { refresh_token }
+     * @returns {Response} XML token hoặc 401
+     */
+    refreshToken(data) {
+        const tokens = this.getTokens();
+        const entry = tokens.refresh[data.refresh_token];
+        const user = entry && MOCK_USERS.find(item => item.username === entry.username);
+        if (!user) {
+            return this.unauthorizedResponse('Invalid or expired refresh token');
+        }
+
+        delete tokens.refresh[data.refresh_token];
+        this.saveTokens(tokens);
+        return this.issueTokens(user);
+    }
+
+    /**
+     * POST /auth/logout
+     * @param {Object} data - { refresh_token }
+     * @returns {Response} 204
+     */
+    logout(data) {
+        const tokens = this.getTokens();
+        delete tokens.refresh[data.refresh_token];
+        this.saveTokens(tokens);
+        return new Response(null, { status: 204 });
+    }
+
+    // =====================================================
+    // STUDENT ENDPOINTS
+    // =====================================================
+
+    /**
+     * GET /students - paging, search, hometown, grade, sort_by, order
+     * @param {URLSearchParams} params - Query parameters
+     * @returns {Response} XML student list
+     */
+    listStudents(params) {
+        let students = this.getStore().students.map(s => this.withComputedFields(s));
+
+        const search = (params.get('search') || '').trim().toLowerCase();
+        if (search) {
+            students = students.filter(s =>
+                [s.student_id, s.first_name, s.last_name, s.full_name, s.email, s.hometown]
+                    .some(value => value?.toLowerCase().includes(search))
+            );
+        }
+
+        const hometown = params.get('hometown');
+        if (hometown) {
+            students = students.filter(s => s.hometown === hometown);
+        }
+
+        const grade = params.get('grade');
+        if (grade) {
+            students = students.filter(s => s.grade === grade);
+        }
+
+        const sortBy = params.get('sort_by') || 'id';
+        const order = params.get('order') === 'desc' ? -1 : 1;
+        students.sort((a, b) => {
+            let aVal = a[sortBy];
+            let bVal = b[sortBy];
+            // Null luôn nằm cuối bất kể order
+            if (aVal === null || aVal === undefined) return 1;
+            if (bVal === null || bVal === undefined) return -1;
+            if (typeof aVal === 'string') aVal = aVal.toLowerCase();
+            if (typeof bVal === 'string') bVal = bVal.toLowerCase();
+            return aVal < bVal ? -order : aVal > bVal ? order : 0;
+        });
+
+        const pageSize = Math.min(Math.max(parseInt(params.get('page_size')) || APP_CONFIG.PAGINATION.DEFAULT_PAGE_SIZE, 1), APP_CONFIG.PAGINATION.MAX_PAGE_SIZE);
+        const total = students.length;
+        const totalPages = Math.max(1, Math.ceil(total / pageSize));
+        const page = Math.max(parseInt(params.get('page')) || 1, 1);
+        const items = students.slice((page - 1) * pageSize, page * pageSize);
+
+        const xml = `<students total="${total}" page="${page}" page_size="${pageSize}" total_pages="${totalPages}" has_next="${page < totalPages}" has_prev="${page > 1}">`
+            + items.map(s => this.studentToXML(s)).join('')
+            + '</students>';
+        return this.xmlResponse(xml);
+    }
+
+    /**
+     * GET /students/{id}
+     * @param {number} id - Student ID
+     * @returns {Response} XML student hoặc 404
+     */
+    getStudent(id) {
+        const student = this.getStore().students.find(s => s.id === id);
+        if (!student) return this.errorResponse(404, 'Student not found');
+        return this.studentResponse(student);
+    }
+
+    /**
+     * POST /students
+     * @param {Object} data - Student data
+     * @returns {Response} XML student (201), 400 nếu trùng mã SV, 422 (lỗi theo field) nếu không hợp lệ
+     */
+    createStudent(data) {
+        const errors = this.validateStudent(data);
+        if (errors) return this.validationErrorResponse(errors);
+
+        const store = this.getStore();
+        if (store.students.some(s => s.student_id.toUpperCase() === String(data.student_id).toUpperCase())) {
+            return this.errorResponse(400, `Student ID ${data.student_id} already exists`);
+        }
+
+        const now = new Date().toISOString();
+        const student = {
+            ...this.pickStudentFields(data),
+            id: store.nextId++,
+            created_at: now,
+            updated_at: now
+        };
+        store.students.push(student);
+        this.saveStore();
+
+        return this.studentResponse(student, 201);
+    }
+
+    /**
+     * PUT /students/{id}
+     * @param {number} id - Student ID
+     * @param {Object} data - New data
+     * @param {Object} preconditions - Version client đã đọc
+     * @param {string|null} preconditions.ifMatch - If-Match header (ETag)
+     * @param {string|null} preconditions.ifUnmodifiedSince - If-Unmodified-Since header (HTTP date)
+     * @returns {Response} XML student hoặc 404/400/412/422
+     */
+    updateStudent(id, data, { ifMatch = null, ifUnmodifiedSince = null } = {}) {
+        const store = this.getStore();
+        const index = store.students.findIndex(s => s.id === id);
+        if (index === -1) return this.errorResponse(404, 'Student not found');
+
+        // Optimistic concurrency: từ chối nếu student đã bị sửa sau khi client đọc
+        // (If-Unmodified-Since có độ chính xác giây như HTTP date)
+        const current = store.students[index];
+        const modifiedAt = Math.floor(Date.parse(current.updated_at) / 1000) * 1000;
+        if ((ifMatch && ifMatch !== '*' && ifMatch !== this.etag(current)) ||
+            (ifUnmodifiedSince && modifiedAt > Date.parse(ifUnmodifiedSince))) {
+            return this.errorResponse(412, 'Student has been modified by another user');
+        }
+
+        const updated = { ...store.students[index], ...this.pickStudentFields(data) };
+        const errors = this.validateStudent(updated);
+        if (errors) return this.validationErrorResponse(errors);
+
+        if (store.students.some(s => s.id !== id && s.student_id.toUpperCase() === String(updated.student_id).toUpperCase())) {
+            return this.errorResponse(400, `Student ID ${updated.student_id} already exists`);
+        }
+
+        updated.updated_at = new Date().toISOString();
+        store.students[index] = updated;
+        this.saveStore();
+
+        return this.studentResponse(updated);
+    }
+
+    /**
+     * DELETE /students/{id}
+     * @param {number} id - Student ID
+     * @returns {Response} 204 hoặc 404
+     */
+    deleteStudent(id) {
+        const store = this.getStore();
+        const index = store.students.findIndex(s => s.id === id);
+        if (index === -1) return this.errorResponse(404, 'Student not found');
+
+        store.students.splice(index, 1);
+        this.saveStore();
+
+        return new Response(null, { status: 204 });
+    }
+
+    /**
+     * Lấy các fields student hợp lệ từ request data
+     * @param {Object} data - Request data
+     * @returns {Object} Student fields (scores là number hoặc null)
+     */
+    pickStudentFields(data) {
+        const fields = {};
+        APP_CONFIG.IMPORT_EXPORT.FIELDS.forEach(field => {
+            if (!(field in data)) return;
+            const value = data[field];
+            if (field.endsWith('_score')) {
+                fields[field] = value === null || value === '' ? null : Number(value);
+            } else {
+                fields[field] = value === '' ? null : value;
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * Validate student giống backend (dùng lại validation của frontend)
+     * @param {Object} data - Student data
+     * @returns {Object|null} { field: message } hoặc null nếu hợp lệ
+     */
+    validateStudent(data) {
+        const errors = validateStudentForm(data);
+        return Object.keys(errors).length > 0 ? errors : null;
+    }
+
+    // =====================================================
+    // ANALYTICS ENDPOINTS
+    // =====================================================
+
+    /**
+     * Tính trung bình của một field
+     * @param {Array<Object>} students - Students
+     * @param {string} field - Field name
+     * @returns {number|null} Average (2 chữ số thập phân)
+     */
+    average(students, field) {
+        const values = students.map(s => s[field]).filter(v => v !== null && v !== undefined);
+        if (values.length === 0) return null;
+        return Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 100) / 100;
+    }
+
+    /**
+     * GET /analytics/summary
+     * @returns {Response} XML analytics summary, grade distribution và score ranges
+     */
+    analyticsSummary() {
+        const students = this.getStore().students.map(s => this.withComputedFields(s));
+        const averages = students.map(s => s.average_score).filter(v => v !== null);
+        const gradeDistribution = { A: 0, B: 0, C: 0, D: 0, F: 0 };
+        students.forEach(s => {
+            if (s.grade) gradeDistribution[s.grade]++;
+        });
+
+        const scoreRanges = { '0-5': 0, '5-6.5': 0, '6.5-8': 0, '8-10': 0 };
+        averages.forEach(score => {
+            if (score < 5) scoreRanges['0-5']++;
+            else if (score < 6.5) scoreRanges['5-6.5']++;
+            else if (score < 8) scoreRanges['6.5-8']++;
+            else scoreRanges['8-10']++;
+        });
+
+        const currentYear = new Date().getFullYear();
+        const ages = students
+            .filter(s => s.birth_date)
+            .map(s => ({ age: currentYear - new Date(s.birth_date).getFullYear() }));
+
+        const xml = '<analytics><summary>'
+            + `<total_students>${students.length}</total_students>`
+            + `<students_with_scores>${averages.length}</students_with_scores>`
+            + `<average_age>${this.average(ages, 'age') ?? ''}</average_age>`
+            + `<average_score>${this.average(students, 'average_score') ?? 0}</average_score>`
+            + `<highest_score>${averages.length ? Math.max(...averages) : 0}</highest_score>`
+            + `<lowest_score>${averages.length ? Math.min(...averages) : 0}</lowest_score>`
+            + '</summary><grade_distribution>'
+            + Object.entries(gradeDistribution).map(([grade, count]) => `<grade name="${grade}">${count}</grade>`).join('')
+            + '</grade_distribution><score_ranges>'
+            + Object.entries(scoreRanges).map(([range, count]) => `<range name="${range}">${count}</range>`).join('')
+            + '</score_ranges></analytics>';
+        return this.xmlResponse(xml);
+    }
+
+    /**
+     * GET /analytics/score-comparison
+     * @returns {Response} XML average score by subject và by hometown
+     */
+    scoreComparison() {
+        const students = this.getStore().students.map(s => this.withComputedFields(s));
+        const byHometown = this.groupByHometown(students);
+
+        const xml = '<analytics><by_subject>'
+            + `<math>${this.average(students, 'math_score') ?? ''}</math>`
+            + `<literature>${this.average(students, 'literature_score') ?? ''}</literature>`
+            + `<english>${this.average(students, 'english_score') ?? ''}</english>`
+            + '</by_subject><by_hometown>'
+            + Object.entries(byHometown).map(([hometown, group]) =>
+                `<hometown name="${this.escapeXML(hometown)}">${this.average(group, 'average_score') ?? ''}</hometown>`
+            ).join('')
+            + '</by_hometown></analytics>';
+        return this.xmlResponse(xml);
+    }
+
+    /**
+     * GET /analytics/hometown-analysis
+     * @returns {Response} XML count và average score theo hometown
+     */
+    hometownAnalysis() {
+        const students = this.getStore().students.map(s => this.withComputedFields(s));
+        const byHometown = this.groupByHometown(students);
+
+        const xml = '<analytics><by_hometown>'
+            + Object.entries(byHometown).map(([hometown, group]) =>
+                `<hometown name="${this.escapeXML(hometown)}" count="${group.length}" avg_score="${this.average(group, 'average_score') ?? ''}"/>`
+            ).join('')
+            + '</by_hometown></analytics>';
+        return this.xmlResponse(xml);
+    }
+
+    /**
+     * Group students theo hometown
+     * @param {Array<Object>} students - Students
+     * @returns {Object} { hometown: [students] }
+     */
+    groupByHometown(students) {
+        const groups = {};
+        students.forEach(s => {
+            if (!s.hometown) return;
+            (groups[s.hometown] = groups[s.hometown] || []).push(s);
+        });
+        return groups;
+    }
+
+    // =====================================================
+    // CRAWLER ENDPOINT
+    // =====================================================
+
+    /**
+     * POST /crawler/generate-report
+     * Crawl đồng bộ (endpoint cũ): chạy crawl và trả report ngay
+     * @returns {Response} XML crawl report
+     */
+    generateReport() {
+        const { addedCount, updatedCount, finishedAt } = this.runCrawl();
+
+        const xml = '<report>'
+            + '<status>success</status>'
+            + `<students_added>${addedCount}</students_added>`
+            + `<students_updated>${updatedCount}</students_updated>`
+            + `<generated_at>${finishedAt}</generated_at>`
+            + '</report>';
+        return this.xmlResponse(xml);
+    }
+
+    /**
+     * POST /crawler/jobs
+     * Tạo crawl job chạy nền, tiến độ tăng dần theo thời gian
+     * @returns {Response} XML job (202)
+     */
+    startCrawlJob() {
+        const job = {
+            id: `crawl-${this.nextJobId++}`,
+            status: 'running',
+            progress: 0,
+            message: 'Đang khởi tạo crawler',
+            students_added: 0,
+            students_updated: 0,
+            started_at: new Date().toISOString(),
+            finished_at: null
+        };
+        this.crawlJobs.set(job.id, job);
+
+        return this.xmlResponse(this.jobToXML(job), 202);
+    }
+
+    /**
+     * GET /crawler/jobs/{id}
+     * @param {string} jobId - Job ID
+     * @returns {Response} XML job hoặc 404
+     */
+    getCrawlJob(jobId) {
+        const job = this.crawlJobs.get(jobId);
+        if (!job) return this.errorResponse(404, 'Crawl job not found');
+
+        this.advanceCrawlJob(job);
+        return this.xmlResponse(this.jobToXML(job));
+    }
+
+    /**
+     * DELETE /crawler/jobs/{id}
+     * @param {string} jobId - Job ID
+     * @returns {Response} XML job (cancelled), 404 hoặc 409 nếu job đã kết thúc
+     */
+    cancelCrawlJob(jobId) {
+        const job = this.crawlJobs.get(jobId);
+        if (!job) return this.errorResponse(404, 'Crawl job not found');
+
+        this.advanceCrawlJob(job);
+        if (job.status !== 'running') {
+            return this.errorResponse(409, `Crawl job already ${job.status}`);
+        }
+
+        job.status = 'cancelled';
+        job.message = 'Crawl đã bị hủy';
+        job.finished_at = new Date().toISOString();
+        return this.xmlResponse(this.jobToXML(job));
+    }
+
+    /**
+     * Cập nhật tiến độ job theo thời gian đã chạy, chạy crawl thật khi đạt 100%
+     * @param {Object} job - Crawl job
+     */
+    advanceCrawlJob(job) {
+        if (job.status !== 'running') return;
+
+        const elapsed = Date.now() - Date.parse(job.started_at);
+        job.progress = Math.min(100, Math.floor(elapsed / MOCK_CRAWL_DURATION * 100));
+
+        if (job.progress < 30) {
+            job.message = 'Đang tải danh sách nguồn dữ liệu';
+        } else if (job.progress < 70) {
+            job.message = 'Đang thu thập dữ liệu sinh viên';
+        } else if (job.progress < 100) {
+            job.message = 'Đang cập nhật cơ sở dữ liệu';
+        } else {
+            const { addedCount, updatedCount, finishedAt } = this.runCrawl();
+            job.status = 'completed';
+            job.message = 'Crawl hoàn thành';
+            job.students_added = addedCount;
+            job.students_updated = updatedCount;
+            job.finished_at = finishedAt;
+        }
+    }
+
+    /**
+     * Giả lập crawl: thêm vài students mới và cập nhật điểm một số students
+     * @returns {Object} { addedCount, updatedCount, finishedAt }
+     */
+    runCrawl() {
+        const store = this.getStore();
+        const random = this.createRandom(Date.now() % 100000);
+        const pick = (list) => list[Math.floor(random() * list.length)];
+        const now = new Date().toISOString();
+
+        // Cập nhật điểm cho một vài students
+        let updatedCount = 0;
+        store.students.forEach(student => {
+            if (random() < 0.05) {
+                student.math_score = Math.round((3 + random() * 7) * 10) / 10;
+                student.updated_at = now;
+                updatedCount++;
+            }
+        });
+
+        // Thêm students mới
+        const addedCount = 1 + Math.floor(random() * 3);
+        for (let i = 0; i < addedCount; i++) {
+            const id = store.nextId++;
+            const givenName = pick(MOCK_GIVEN_NAMES);
+            store.students.push({
+                id,
+                student_id: `SV${String(id).padStart(6, '0')}`,
+                first_name: `${pick(MOCK_FAMILY_NAMES)} ${pick(MOCK_MIDDLE_NAMES)}`,
+                last_name: givenName,
+                email: `${removeAccents(givenName).toLowerCase()}.sv${String(id).padStart(6, '0')}@student.edu.vn`,
+                birth_date: `${2000 + Math.floor(random() * 6)}-0${1 + Math.floor(random() * 9)}-1${Math.floor(random() * 9)}`,
+                hometown: pick(MOCK_HOMETOWNS),
+                math_score: Math.round((3 + random() * 7) * 10) / 10,
+                literature_score: Math.round((3 + random() * 7) * 10) / 10,
+                english_score: Math.round((3 + random() * 7) * 10) / 10,
+                created_at: now,
+                updated_at: now
+            });
+        }
+        this.saveStore();
+
+        return { addedCount, updatedCount, finishedAt: now };
+    }
+
+    /**
+     * Chuyển crawl job thành XML
+     * @param {Object} job - Crawl job
+     * @returns {string} XML <job>
+     */
+    jobToXML(job) {
+        const fields = ['id', 'status', 'progress', 'message', 'students_added', 'students_updated', 'started_at', 'finished_at'];
+        const children = fields
+            .filter(field => job[field] !== null && job[field] !== undefined)
+            .map(field => `<${field}>${this.escapeXML(job[field])}</${field}>`)
+            .join('');
+        return `<job>${children}</job>`;
+    }
+
+    // =====================================================
+    // XML HELPERS
+    // =====================================================
+
+    /**
+     * Escape text cho XML
+     * @param {any} value - Value
+     * @returns {string} Escaped text
+     */
+    escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Serialize student thành <student> element (schema mà parseStudent() đọc)
+     * @param {Object} student - Student object (đã có computed fields)
+     * @returns {string} XML string
+     */
+    studentToXML(student) {
+        const fields = ['student_id', 'first_name', 'last_name', 'full_name', 'email', 'birth_date', 'hometown',
+            'math_score', 'literature_score', 'english_score', 'average_score', 'grade', 'created_at', 'updated_at'];
+
+        return `<student id="${student.id}">`
+            + fields
+                .filter(field => student[field] !== null && student[field] !== undefined)
+                .map(field => `<${field}>${this.escapeXML(student[field])}</${field}>`)
+                .join('')
+            + '</student>';
+    }
+
+    /**
+     * ETag của student (đổi mỗi khi updated_at đổi)
+     * @param {Object} student - Stored student
+     * @returns {string} Quoted ETag
+     */
+    etag(student) {
+        return `"${student.id}-${Date.parse(student.updated_at).toString(36)}"`;
+    }
+
+    /**
+     * Tạo XML Response cho 1 student (kèm ETag header)
+     * @param {Object} student - Stored student
+     * @param {number} status - HTTP status code
+     * @returns {Response} Response object
+     */
+    studentResponse(student, status = 200) {
+        return this.xmlResponse(this.studentToXML(this.withComputedFields(student)), status, {
+            'ETag': this.etag(student)
+        });
+    }
+
+    /**
+     * Tạo XML Response
+     * @param {string} xml - XML body (không có declaration)
+     * @param {number} status - HTTP status code
+     * @param {Object} headers - Extra headers
+     * @returns {Response} Response object
+     */
+    xmlResponse(xml, status = 200, headers = {}) {
+        return new Response(`<?xml version="1.0" encoding="UTF-8"?>${xml}`, {
+            status,
+            headers: { 'Content-Type': 'application/xml; charset=utf-8', ...headers }
+        });
+    }
+
+    /**
+     * Tạo XML error Response (giống <error><detail> của backend)
+     * @param {number} status - HTTP status code
+     * @param {string} detail - Error message
+     * @returns {Response} Response object
+     */
+    errorResponse(status, detail) {
+        return this.xmlResponse(`<error><detail>${this.escapeXML(detail)}</detail></error>`, status);
+    }
+
+    /**
+     * Tạo 422 Response với danh sách lỗi theo field (parse về dạng detail[] của FastAPI)
+     * @param {Object} errors - { field: message }
+     * @returns {Response} Response object
+     */
+    validationErrorResponse(errors) {
+        const items = Object.entries(errors).map(([field, message]) =>
+            `<error field="${field}" type="value_error">${this.escapeXML(message)}</error>`
+        );
+        return this.xmlResponse(`<error><detail>${items.join('')}</detail></error>`, 422);
+    }
+
+    /**
+     * Tạo 401 Response (kèm WWW-Authenticate như backend)
+     * @param {string} detail - Error message
+     * @returns {Response} Response object
+     */
+    unauthorizedResponse(detail) {
+        return this.xmlResponse(`<error><detail>${this.escapeXML(detail)}</detail></error>`, 401, {
+            'WWW-Authenticate': 'Bearer'
+        });
+    }
+}
+
+/**
+ * Global mock backend instance (used by ApiService when USE_MOCK_DATA is true)
+ */
+const mockBackend = new MockBackend();
+
+/**
+ * Route requests đến mock backend thay vì window.fetch
+ * order lớn -> chạy sau cùng, nhận request đã qua các interceptors khác
+ */
+api.use({
+    name: 'mock-backend',
+    order: 1000,
+    request(request) {
+        if (API_CONFIG.USE_MOCK_DATA === true) {
+            request.adapter = (url, init) => mockBackend.handle(url, init);
+        }
+    }
+});
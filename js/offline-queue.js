@@ -0,0 +1,647 @@
+// =====================================================
+// OFFLINE QUEUE MODULE
+// =====================================================
+// Module keeps create/edit/delete operations made while the backend is
+// unreachable in an IndexedDB queue (see LocalDatabase). Queued students stay
+// in the table as pending rows; the queue is replayed in order once the
+// browser is online and the health check passes again. Conflicts (student
+// changed on the server meanwhile) and failures wait in the queue panel for
+// manual resolution.
+// Each entry records the user and backend it was made for: only entries of the
+// current user on the current backend are shown and replayed. Logging out
+// drops the user's unsynced entries, another user logging in drops the
+// entries left behind by the previous user of that backend.
+
+class OfflineQueueManager {
+    constructor() {
+        // State
+        this.entries = [];            // Mutations chờ đồng bộ của user/máy chủ hiện tại, theo thứ tự tạo
+        this.isReplaying = false;     // Đang replay queue
+        this.retryTimer = null;       // Thử replay định kỳ khi backend vẫn chưa phản hồi
+
+        // DOM Elements
+        this.queueBtn = document.getElementById('offlineQueueBtn');
+        this.queueList = document.getElementById('offlineQueueList');
+        this.syncBtn = document.getElementById('offlineQueueSyncBtn');
+        this.modal = document.getElementById('offlineQueueModal') ? new ModalManager('offlineQueueModal') : null;
+
+        this.bindEvents();
+        this.ready = this.load();
+    }
+
+    /**
+     * Bind event handlers cho queue button, panel và connectivity events
+     */
+    bindEvents() {
+        if (this.queueBtn) {
+            this.queueBtn.addEventListener('click', () => this.openPanel());
+        }
+
+        if (this.syncBtn) {
+            this.syncBtn.addEventListener('click', () => this.replay());
+        }
+
+        // Buttons trên từng entry (delegation)
+        if (this.queueList) {
+            this.queueList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-queue-action]');
+                if (!button || button.disabled) return;
+
+                const entry = this.getEntry(Number(button.dataset.queueId) || button.dataset.queueId);
+                if (!entry) return;
+
+                switch (button.dataset.queueAction) {
+                    case 'retry':
+                        this.retry(entry);
+                        break;
+                    case 'resolve':
+                        this.resolve(entry);
+                        break;
+                    case 'discard':
+                        this.discard(entry);
+                        break;
+                }
+            });
+        }
+
+        // Có mạng lại -> replay
+        window.addEventListener('online', () => this.replay());
+
+        // Đăng nhập lại -> tải queue của user đó rồi replay
+        // Đăng xuất -> bỏ các thay đổi chưa đồng bộ; hết hạn session -> ẩn, giữ lại cho lần đăng nhập sau
+        window.addEventListener('authStateChanged', (e) => {
+            if (e.detail.authenticated) {
+                this.reload({ purgeOtherUsers: true });
+            } else if (e.detail.reason === 'logout') {
+                this.clear();
+            } else {
+                this.reload();
+            }
+        });
+
+        // Đổi máy chủ backend -> chỉ giữ các thay đổi làm trên máy chủ mới
+        window.addEventListener('backendChanged', () => this.reload());
+    }
+
+    // =====================================================
+    // QUEUE
+    // =====================================================
+
+    /**
+     * Load queue của user/máy chủ hiện tại từ IndexedDB, hiển thị các rows đang chờ và thử đồng bộ
+     */
+    async load() {
+        try {
+            const owner = this.getOwner();
+            this.entries = (await localDatabase.getAll('mutations')).filter(entry => this.isOwnEntry(entry, owner));
+        } catch (error) {
+            console.warn('Could not load offline queue:', error);
+            this.entries = [];
+        }
+
+        this.render();
+        if (this.entries.length > 0) {
+            studentsManager.applyOfflineQueue();
+            this.replay();
+        }
+    }
+
+    /**
+     * Tải lại queue sau khi đổi user/máy chủ
+     * Entries cũ được bỏ khỏi bộ nhớ ngay để data tải lại không còn rows của user/máy chủ trước
+     * @param {Object} options
+     * @param {boolean} options.purgeOtherUsers - Xóa entries của user khác trên máy chủ này
+     */
+    async reload({ purgeOtherUsers = false } = {}) {
+        clearTimeout(this.retryTimer);
+        this.entries = [];
+        this.render();
+
+        if (purgeOtherUsers) {
+            const owner = this.getOwner();
+            await this.deleteStored(entry => entry.baseURL === owner.baseURL && entry.username !== owner.username);
+        }
+        this.ready = this.load();
+        await this.ready;
+    }
+
+    /**
+     * Bỏ toàn bộ thay đổi chưa đồng bộ của user vừa đăng xuất
+     */
+    async clear() {
+        const cleared = new Set(this.entries.map(entry => entry.id));
+        clearTimeout(this.retryTimer);
+        this.entries = [];
+        this.render();
+
+        if (cleared.size === 0) return;
+        await this.deleteStored(entry => cleared.has(entry.id));
+        notifications.warning(`Đã bỏ ${cleared.size} thay đổi offline chưa đồng bộ`);
+    }
+
+    /**
+     * Xóa các entries trong IndexedDB thỏa điều kiện
+     * @param {Function} predicate - (entry) => boolean
+     */
+    async deleteStored(predicate) {
+        try {
+            const stored = await localDatabase.getAll('mutations');
+            await Promise.all(stored.filter(predicate).map(entry => localDatabase.delete('mutations', entry.id)));
+        } catch (error) {
+            console.warn('Could not clear offline queue:', error);
+        }
+    }
+
+    /**
+     * User và máy chủ hiện tại - chủ của các thao tác được đưa vào queue
+     * @returns {Object} { username, baseURL } (username null khi không bật đăng nhập)
+     */
+    getOwner() {
+        return {
+            username: authManager.getUser()?.username || null,
+            baseURL: api.baseURL
+        };
+    }
+
+    /**
+     * Entry được tạo bởi user hiện tại trên máy chủ hiện tại không
+     * @param {Object} entry - Entry
+     * @param {Object} owner - Kết quả getOwner()
+     * @returns {boolean}
+     */
+    isOwnEntry(entry, owner = this.getOwner()) {
+        return entry.username === owner.username && entry.baseURL === owner.baseURL;
+    }
+
+    /**
+     * Trình duyệt đang offline
+     * @returns {boolean}
+     */
+    isOffline() {
+        return navigator.onLine === false;
+    }
+
+    /**
+     * Thao tác lỗi có nên đưa vào queue không (mất mạng / không kết nối được server)
+     * @param {Error} error - Error từ API
+     * @returns {boolean}
+     */
+    shouldQueue(error) {
+        if (error?.isCancelled) return false;
+        return Boolean(error?.isNetworkError) || this.isOffline();
+    }
+
+    /**
+     * Đưa 1 thao tác vào queue
+     * @param {string} type - 'create', 'update' hoặc 'delete'
+     * @param {Object} student - Row hiển thị trong table (create: row tạm với temp ID)
+     * @param {Object} options
+     * @param {Object} options.data - Payload cho API (create/update)
+     * @param {Object} options.base - Student trên server trước khi sửa/xóa (phát hiện conflict)
+     * @param {string} options.idempotencyKey - Key của request create đã gửi (nếu có)
+     * @returns {Promise<Object>} Entry
+     */
+    async enqueue(type, student, { data = null, base = null, idempotencyKey = null } = {}) {
+        const entry = {
+            ...this.getOwner(),
+            type,
+            studentId: student.id,
+            student,
+            data,
+            base,
+            idempotencyKey: type === 'create' ? (idempotencyKey || generateId()) : null,
+            status: 'pending',
+            error: null,
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            entry.id = await localDatabase.put('mutations', entry);
+        } catch (error) {
+            // Không có IndexedDB: vẫn giữ trong bộ nhớ (mất khi reload)
+            console.warn('Offline mutation could not be persisted:', error);
+            entry.id = `memory-${generateId()}`;
+        }
+
+        this.entries.push(entry);
+        this.render();
+        this.scheduleRetry();
+        notifications.warning('Không có kết nối. Thay đổi đã được lưu và sẽ tự đồng bộ khi có kết nối lại.');
+
+        return entry;
+    }
+
+    /**
+     * Ghi lại entry sau khi đổi trạng thái
+     * @param {Object} entry - Entry
+     */
+    async saveEntry(entry) {
+        if (typeof entry.id !== 'number') return;
+        try {
+            await localDatabase.put('mutations', entry);
+        } catch (error) {
+            console.warn('Could not save offline mutation:', error);
+        }
+    }
+
+    /**
+     * Xóa entry khỏi queue
+     * @param {Object} entry - Entry
+     */
+    async removeEntry(entry) {
+        this.entries = this.entries.filter(item => item !== entry);
+        this.render();
+
+        if (typeof entry.id !== 'number') return;
+        try {
+            await localDatabase.delete('mutations', entry.id);
+        } catch (error) {
+            console.warn('Could not remove offline mutation:', error);
+        }
+    }
+
+    /**
+     * Tìm entry theo ID
+     * @param {number|string} entryId - Entry ID
+     * @returns {Object|undefined}
+     */
+    getEntry(entryId) {
+        return this.entries.find(entry => entry.id === entryId);
+    }
+
+    /**
+     * Row hiển thị của 1 entry (đánh dấu đang chờ đồng bộ)
+     * @param {Object} entry - Entry
+     * @returns {Object} Student
+     */
+    decorate(entry) {
+        return { ...entry.student, _queued: entry.type, _queueStatus: entry.status };
+    }
+
+    /**
+     * Áp dụng queue lên danh sách students vừa tải từ server
+     * @param {Array<Object>} students - Students
+     * @param {boolean} includeCreated - Thêm rows của các students tạo offline
+     * @returns {Array<Object>} Students với các rows đang chờ đồng bộ
+     */
+    overlay(students, includeCreated = true) {
+        const result = students.map(student => {
+            const entry = this.entries.find(item => item.type !== 'create' && item.studentId === student.id);
+            return entry ? this.decorate(entry) : student;
+        });
+
+        if (includeCreated) {
+            this.entries
+                .filter(entry => entry.type === 'create' && !result.some(student => student.id === entry.studentId))
+                .forEach(entry => result.push(this.decorate(entry)));
+        }
+        return result;
+    }
+
+    // =====================================================
+    // REPLAY
+    // =====================================================
+
+    /**
+     * Gửi lại các thao tác đang chờ theo thứ tự
+     * Chỉ 1 tab replay tại 1 thời điểm (Web Locks nếu có)
+     */
+    async replay() {
+        if (this.isReplaying || this.isOffline() || !this.entries.some(entry => entry.status === 'pending')) return;
+
+        this.isReplaying = true;
+        this.render();
+
+        try {
+            if (navigator.locks) {
+                await navigator.locks.request(APP_CONFIG.OFFLINE_QUEUE.LOCK_NAME, () => this.replayEntries());
+            } else {
+                await this.replayEntries();
+            }
+        } catch (error) {
+            console.error('Offline queue replay failed:', error);
+        } finally {
+            this.isReplaying = false;
+            this.render();
+            this.scheduleRetry();
+        }
+    }
+
+    /**
+     * Replay từng entry, dừng lại nếu vẫn mất kết nối
+     */
+    async replayEntries() {
+        const isHealthy = await api.healthCheck({ cache: false });
+        if (!isHealthy) return;
+
+        await this.syncWithStore();
+
+        const owner = this.getOwner();
+        let synced = 0;
+        for (const entry of [...this.entries]) {
+            // Đã đăng xuất / đổi máy chủ trong lúc replay
+            if (!this.isOwnEntry(entry, owner) || !this.entries.includes(entry)) break;
+            if (entry.status !== 'pending') continue;
+
+            const result = await this.process(entry);
+            if (result === 'offline') break;
+            if (result === 'synced') synced++;
+        }
+
+        const problems = this.entries.filter(entry => entry.status !== 'pending').length;
+        if (synced > 0) {
+            notifications.success(`Đã đồng bộ ${synced} thay đổi thực hiện khi offline`);
+        }
+        if (problems > 0) {
+            notifications.show(`${problems} thay đổi offline cần được xử lý`, 'warning', APP_CONFIG.UNDO.ACTION_DURATION, {
+                label: 'Xem',
+                onClick: () => this.openPanel()
+            });
+        }
+    }
+
+    /**
+     * Đọc lại queue từ IndexedDB: tab khác có thể đã replay/bỏ hoặc thêm entries
+     */
+    async syncWithStore() {
+        let stored;
+        try {
+            const owner = this.getOwner();
+            stored = (await localDatabase.getAll('mutations')).filter(entry => this.isOwnEntry(entry, owner));
+        } catch {
+            return;
+        }
+
+        const storedIds = new Set(stored.map(entry => entry.id));
+        const removed = this.entries.filter(entry => typeof entry.id === 'number' && !storedIds.has(entry.id));
+        removed.forEach(entry => {
+            // Student thật đến qua cross-tab sync, bỏ row tạm
+            if (entry.type === 'create') {
+                studentsManager.removeLocalStudent(entry.studentId);
+            }
+        });
+
+        const known = new Set(this.entries.map(entry => entry.id));
+        const added = stored.filter(entry => !known.has(entry.id));
+
+        this.entries = [
+            ...stored.map(entry => this.entries.find(item => item.id === entry.id) || entry),
+            ...this.entries.filter(entry => typeof entry.id !== 'number')
+        ];
+        if (added.length > 0) {
+            studentsManager.applyOfflineQueue();
+        }
+        this.render();
+    }
+
+    /**
+     * Gửi 1 entry lên server
+     * @param {Object} entry - Entry
+     * @returns {Promise<string>} 'synced', 'failed' hoặc 'offline'
+     */
+    async process(entry) {
+        try {
+            if (entry.type === 'create') {
+                const created = await api.createStudent(entry.data, { idempotencyKey: entry.idempotencyKey });
+                if (created && created.id !== undefined) {
+                    studentsManager.upsertLocalStudent(created, entry.studentId);
+                } else {
+                    studentsManager.removeLocalStudent(entry.studentId);
+                    studentsManager.loadAllStudents();
+                }
+                window.dispatchEvent(new CustomEvent('studentCreated', {
+                    detail: { student: created }
+                }));
+            } else if (entry.type === 'update') {
+                const preconditions = await studentsManager.getVersionPreconditions(entry.base);
+                const updated = await api.updateStudent(entry.studentId, entry.data, preconditions);
+                const saved = updated && updated.id !== undefined ? updated : studentsManager.withComputedFields({ ...entry.base, ...entry.data });
+                studentsManager.upsertLocalStudent(saved);
+                window.dispatchEvent(new CustomEvent('studentUpdated', {
+                    detail: { id: entry.studentId, data: entry.data, student: saved }
+                }));
+            } else {
+                await this.deleteStudent(entry.studentId);
+                studentsManager.removeLocalStudent(entry.studentId);
+                window.dispatchEvent(new CustomEvent('studentDeleted', {
+                    detail: { id: entry.studentId, student: entry.base }
+                }));
+            }
+
+            await this.removeEntry(entry);
+            return 'synced';
+        } catch (error) {
+            if (error.isNetworkError || error.isCancelled) {
+                return 'offline';
+            }
+
+            console.error('Offline mutation failed:', error);
+            entry.status = error.status === 409 || error.status === 412 ? 'conflict' : 'failed';
+            entry.error = error.message || 'Lỗi không xác định';
+            entry.errorStatus = error.status;
+            entry.errorData = error.data || {};
+            await this.saveEntry(entry);
+            studentsManager.upsertLocalStudent(this.decorate(entry));
+            this.render();
+            return 'failed';
+        }
+    }
+
+    /**
+     * Xóa student, 404 (đã bị xóa trước đó) vẫn coi là thành công
+     * @param {number} studentId - Student ID
+     */
+    async deleteStudent(studentId) {
+        try {
+            await api.deleteStudent(studentId);
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            api.invalidateCache();
+        }
+    }
+
+    /**
+     * Thử replay định kỳ khi còn entries chờ (backend có thể down dù trình duyệt vẫn online)
+     */
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        if (!this.entries.some(entry => entry.status === 'pending')) return;
+
+        this.retryTimer = setTimeout(() => this.replay(), APP_CONFIG.OFFLINE_QUEUE.RETRY_INTERVAL);
+    }
+
+    // =====================================================
+    // MANUAL RESOLUTION
+    // =====================================================
+
+    /**
+     * Gửi lại 1 entry bị lỗi
+     * @param {Object} entry - Entry
+     */
+    async retry(entry) {
+        entry.status = 'pending';
+        entry.error = null;
+        await this.saveEntry(entry);
+        studentsManager.upsertLocalStudent(this.decorate(entry));
+        this.render();
+        this.replay();
+    }
+
+    /**
+     * Giải quyết entry: conflict -> so sánh với bản trên server; lỗi validation -> mở lại form
+     * @param {Object} entry - Entry
+     */
+    async resolve(entry) {
+        if (this.modal) {
+            this.modal.hide();
+        }
+        await this.removeEntry(entry);
+
+        if (entry.status === 'conflict') {
+            await studentsManager.resolveConflict(entry.base, entry.data, entry.errorData?.latest || null);
+            return;
+        }
+
+        // Lỗi validation: bỏ row tạm/khôi phục bản trên server rồi cho user sửa lại
+        this.revert(entry);
+        studentsManager.handleSaveError(
+            new ApiError(entry.error, entry.errorStatus, entry.errorData),
+            entry.type === 'update' ? entry.base : null,
+            entry.data
+        );
+    }
+
+    /**
+     * Bỏ 1 thao tác offline, table trở về dữ liệu trên server
+     * @param {Object} entry - Entry
+     */
+    async discard(entry) {
+        await this.removeEntry(entry);
+        this.revert(entry);
+        notifications.info(`Đã bỏ thay đổi offline của sinh viên ${entry.student.student_id}`);
+    }
+
+    /**
+     * Hoàn lại row của entry trong table
+     * @param {Object} entry - Entry
+     */
+    revert(entry) {
+        if (entry.type === 'create') {
+            studentsManager.removeLocalStudent(entry.studentId);
+        } else {
+            // Conflict: bản mới nhất trên server đã được tải khi replay
+            studentsManager.upsertLocalStudent(entry.errorData?.latest || entry.base);
+        }
+    }
+
+    // =====================================================
+    // PANEL
+    // =====================================================
+
+    /**
+     * Mở panel các thay đổi chờ đồng bộ
+     */
+    openPanel() {
+        this.render();
+        if (this.modal) {
+            this.modal.show();
+        }
+    }
+
+    /**
+     * Render queue button và danh sách entries
+     */
+    render() {
+        if (this.queueBtn) {
+            this.queueBtn.classList.toggle('hidden', this.entries.length === 0);
+            this.queueBtn.classList.toggle('has-problems', this.entries.some(entry => entry.status !== 'pending'));
+            const countEl = this.queueBtn.querySelector('.offline-queue-count');
+            if (countEl) {
+                countEl.textContent = this.entries.length;
+            }
+        }
+
+        if (this.syncBtn) {
+            this.syncBtn.disabled = this.isReplaying || !this.entries.some(entry => entry.status === 'pending');
+            this.syncBtn.innerHTML = this.isReplaying
+                ? '<i class="fas fa-spinner fa-spin"></i> Đang đồng bộ...'
+                : '<i class="fas fa-sync-alt"></i> Đồng bộ ngay';
+        }
+
+        if (!this.queueList) return;
+
+        if (this.entries.length === 0) {
+            this.queueList.innerHTML = '<p class="history-empty">Không có thay đổi nào chờ đồng bộ</p>';
+            return;
+        }
+
+        const typeLabels = { create: 'Thêm', update: 'Sửa', delete: 'Xóa' };
+        const typeIcons = { create: 'fa-plus', update: 'fa-edit', delete: 'fa-trash' };
+
+        this.queueList.innerHTML = this.entries.map(entry => `
+            <div class="history-item offline-queue-item ${entry.status}">
+                <div class="history-item-icon ${entry.type}">
+                    <i class="fas ${typeIcons[entry.type]}"></i>
+                </div>
+                <div class="history-item-info">
+                    <div class="history-item-label">
+                        ${typeLabels[entry.type]} sinh viên ${escapeHtml(entry.student.student_id || '')} - ${escapeHtml(entry.student.full_name || '')}
+                    </div>
+                    <div class="history-item-time">${new Date(entry.createdAt).toLocaleString('vi-VN')}</div>
+                    ${this.renderEntryStatus(entry)}
+                </div>
+                <div class="offline-queue-actions">
+                    ${this.renderEntryActions(entry)}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render trạng thái của 1 entry
+     * @param {Object} entry - Entry
+     * @returns {string} HTML
+     */
+    renderEntryStatus(entry) {
+        if (entry.status === 'conflict') {
+            return '<div class="offline-queue-status conflict"><i class="fas fa-code-branch"></i> Sinh viên đã bị thay đổi trên server</div>';
+        }
+        if (entry.status === 'failed') {
+            return `<div class="offline-queue-status failed"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(entry.error || '')}</div>`;
+        }
+        return '<div class="offline-queue-status"><i class="fas fa-clock"></i> Chờ đồng bộ</div>';
+    }
+
+    /**
+     * Render các nút xử lý của 1 entry
+     * @param {Object} entry - Entry
+     * @returns {string} HTML
+     */
+    renderEntryActions(entry) {
+        const disabled = this.isReplaying ? 'disabled' : '';
+        const buttons = [];
+
+        if (entry.status === 'conflict') {
+            buttons.push(`<button type="button" class="btn btn-sm btn-primary" data-queue-action="resolve" data-queue-id="${entry.id}" ${disabled}>So sánh</button>`);
+        } else if (entry.status === 'failed' && entry.errorStatus === 422 && entry.type !== 'delete') {
+            buttons.push(`<button type="button" class="btn btn-sm btn-primary" data-queue-action="resolve" data-queue-id="${entry.id}" ${disabled}>Sửa lại</button>`);
+        }
+        if (entry.status === 'failed') {
+            buttons.push(`<button type="button" class="btn btn-sm btn-secondary" data-queue-action="retry" data-queue-id="${entry.id}" ${disabled}>Thử lại</button>`);
+        }
+        buttons.push(`<button type="button" class="btn btn-sm btn-danger" data-queue-action="discard" data-queue-id="${entry.id}" ${disabled} title="Bỏ thay đổi này">
+            <i class="fas fa-times"></i>
+        </button>`);
+
+        return buttons.join('');
+    }
+}
+
+// Initialize offline queue
+let offlineQueue;
+
+document.addEventListener('DOMContentLoaded', () => {
+    offlineQueue = new OfflineQueueManager();
+    // Export globally
+    window.offlineQueue = offlineQueue;
+});
@@ -0,0 +1,189 @@
+// =====================================================
+// PWA MODULE
+// =====================================================
+// Module registers the service worker (sw.js) that caches the app shell and
+// the last student/analytics responses, prompts the user when a new version
+// has been installed, shows a banner while data comes from the offline cache
+// and offers the browser's "install app" prompt.
+
+class PwaManager {
+    constructor() {
+        // State
+        this.registration = null;     // ServiceWorkerRegistration
+        this.waitingWorker = null;    // Version mới đã cài, chờ user xác nhận
+        this.isUpdating = false;      // User đã chọn cập nhật -> reload khi worker mới nắm quyền
+        this.installPrompt = null;    // beforeinstallprompt event (Chrome/Edge)
+        this.dataUser = window.authManager?.getUser()?.username || null;  // User của dữ liệu trong offline cache
+
+        // DOM Elements
+        this.updateBanner = document.getElementById('updateBanner');
+        this.offlineBanner = document.getElementById('offlineDataBanner');
+        this.installBtn = document.getElementById('installAppBtn');
+
+        this.bindEvents();
+
+        // Đăng ký sau khi trang tải xong để không tranh băng thông với lần tải đầu
+        if (this.isSupported) {
+            window.addEventListener('load', () => this.register());
+        }
+    }
+
+    /**
+     * Trình duyệt hỗ trợ và config cho phép dùng service worker
+     * @returns {boolean}
+     */
+    get isSupported() {
+        return APP_CONFIG.PWA.ENABLED && 'serviceWorker' in navigator;
+    }
+
+    /**
+     * Bind event handlers
+     */
+    bindEvents() {
+        document.getElementById('updateReloadBtn')?.addEventListener('click', () => this.applyUpdate());
+        document.getElementById('updateDismissBtn')?.addEventListener('click', () => {
+            this.updateBanner?.classList.add('hidden');
+        });
+
+        // Dữ liệu đang hiển thị lấy từ offline cache của service worker (xem ApiService.trackOfflineData)
+        window.addEventListener('offlineDataChanged', (e) => this.renderOfflineBanner(e.detail.storedAt));
+
+        // Cài đặt ứng dụng
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.installPrompt = e;
+            this.installBtn?.classList.remove('hidden');
+        });
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            this.installBtn?.classList.add('hidden');
+            notifications.success('Đã cài đặt ứng dụng');
+        });
+        this.installBtn?.addEventListener('click', () => this.install());
+
+        // Hết session (đăng xuất, hết hạn, đổi máy chủ...) / user khác đăng nhập
+        // -> xóa dữ liệu sinh viên đã lưu cho offline
+        window.addEventListener('authStateChanged', (e) => {
+            const username = e.detail.user?.username || null;
+            if (!e.detail.authenticated || username !== this.dataUser) {
+                this.postMessage({ type: 'CLEAR_DATA' });
+            }
+            this.dataUser = e.detail.authenticated ? username : null;
+        });
+    }
+
+    // =====================================================
+    // SERVICE WORKER
+    // =====================================================
+
+    /**
+     * Đăng ký service worker và theo dõi version mới
+     */
+    async register() {
+        try {
+            this.registration = await navigator.serviceWorker.register(APP_CONFIG.PWA.SERVICE_WORKER_URL);
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+            return;
+        }
+
+        const registration = this.registration;
+
+        // Version mới đã cài từ lần mở trước nhưng chưa được kích hoạt
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Có controller = đây là bản cập nhật, không phải lần cài đầu tiên
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt(worker);
+                }
+            });
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.isUpdating) {
+                window.location.reload();
+            }
+        });
+
+        // Tab mở lâu: kiểm tra version mới định kỳ
+        setInterval(() => {
+            registration.update().catch(() => {});
+        }, APP_CONFIG.PWA.UPDATE_CHECK_INTERVAL);
+    }
+
+    /**
+     * Gửi message cho service worker đang điều khiển trang
+     * @param {Object} message - Message
+     */
+    postMessage(message) {
+        navigator.serviceWorker?.controller?.postMessage(message);
+    }
+
+    /**
+     * Hiển thị thông báo có version mới
+     * @param {ServiceWorker} worker - Worker đang chờ
+     */
+    showUpdatePrompt(worker) {
+        this.waitingWorker = worker;
+        this.updateBanner?.classList.remove('hidden');
+    }
+
+    /**
+     * Kích hoạt version mới, trang được tải lại khi worker mới nắm quyền
+     */
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+
+        this.isUpdating = true;
+        this.updateBanner?.classList.add('hidden');
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    // =====================================================
+    // OFFLINE DATA / INSTALL
+    // =====================================================
+
+    /**
+     * Banner "đang xem dữ liệu đã lưu"
+     * @param {string|null} storedAt - Thời điểm lưu dữ liệu (null = dữ liệu từ server)
+     */
+    renderOfflineBanner(storedAt) {
+        if (!this.offlineBanner) return;
+
+        this.offlineBanner.classList.toggle('hidden', !storedAt);
+        if (storedAt) {
+            this.offlineBanner.querySelector('.offline-data-time').textContent =
+                new Date(storedAt).toLocaleString('vi-VN');
+        }
+    }
+
+    /**
+     * Mở hộp thoại cài đặt ứng dụng của trình duyệt
+     */
+    async install() {
+        if (!this.installPrompt) return;
+
+        const prompt = this.installPrompt;
+        this.installPrompt = null;
+        this.installBtn?.classList.add('hidden');
+
+        prompt.prompt();
+        await prompt.userChoice;
+    }
+}
+
+// Initialize PWA manager
+let pwaManager;
+
+document.addEventListener('DOMContentLoaded', () => {
+    pwaManager = new PwaManager();
+    // Export globally
+    window.pwaManager = pwaManager;
+});
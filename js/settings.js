@@ -0,0 +1,449 @@
+// =====================================================
+// BACKEND SETTINGS MODULE
+// =====================================================
+// Module manages backend profiles (local, staging, school server...):
+// each profile has its own API base URL, an explicit health check URL and
+// the wire format the backend speaks (XML or JSON responses, JSON or XML request bodies).
+// Users pick the active profile at runtime, test connectivity before or after
+// switching, and the choice is persisted in localStorage.
+// The built-in default profile comes from API_CONFIG.BASE_URL / HEALTH_URL / RESPONSE_FORMAT /
+// REQUEST_FORMAT.
+
+/**
+ * Profile mặc định (không sửa/xóa được)
+ */
+const BACKEND_DEFAULT_PROFILE = {
+    id: 'default',
+    name: 'Mặc định',
+    baseURL: API_CONFIG.BASE_URL,
+    healthURL: API_CONFIG.HEALTH_URL,
+    format: API_CONFIG.RESPONSE_FORMAT,
+    requestFormat: API_CONFIG.REQUEST_FORMAT,
+    idempotencyKeys: API_CONFIG.RETRY.IDEMPOTENCY_KEYS,
+    builtIn: true
+};
+
+class BackendSettingsManager {
+    constructor() {
+        // State
+        const stored = this.loadProfiles();
+        this.profiles = stored.profiles;     // Profiles do user thêm (không gồm profile mặc định)
+        this.activeId = stored.activeId;
+        this.editingId = null;               // Profile đang sửa trong form (null = thêm mới)
+        this.testResults = new Map();        // profileId -> { ok, status, latency, error } | 'testing'
+
+        // DOM Elements
+        this.settingsBtn = document.getElementById('settingsBtn');
+        this.loginServerBtn = document.getElementById('loginServerBtn');
+        this.loginServerName = document.getElementById('loginServerName');
+        this.profileList = document.getElementById('profileList');
+        this.formTitle = document.getElementById('profileFormTitle');
+        this.cancelEditBtn = document.getElementById('profileCancelEditBtn');
+        this.testFormBtn = document.getElementById('profileTestBtn');
+        this.formTestResult = document.getElementById('profileFormTestResult');
+        this.modal = document.getElementById('settingsModal') ? new ModalManager('settingsModal') : null;
+        this.form = document.getElementById('profileForm') ? new FormHandler('profileForm') : null;
+
+        this.setupForm();
+        this.bindEvents();
+        this.applyActiveProfile();
+    }
+
+    /**
+     * Setup validators và submit handler cho profile form
+     */
+    setupForm() {
+        if (!this.form) return;
+
+        this.form.setValidator('name', (value) => value.trim() ? null : 'Name is required');
+        this.form.setValidator('baseURL', (value) => validateUrl(value.trim(), 'API base URL'));
+        this.form.setValidator('healthURL', (value) => validateUrl(value.trim(), 'Health check URL'));
+        this.form.onSubmit = (data) => this.saveProfile(data);
+    }
+
+    /**
+     * Bind event handlers cho settings buttons và profile list
+     */
+    bindEvents() {
+        if (this.settingsBtn) {
+            this.settingsBtn.addEventListener('click', () => this.openPanel());
+        }
+
+        if (this.loginServerBtn) {
+            this.loginServerBtn.addEventListener('click', () => this.openPanel());
+        }
+
+        if (this.cancelEditBtn) {
+            this.cancelEditBtn.addEventListener('click', () => this.resetForm());
+        }
+
+        if (this.testFormBtn) {
+            this.testFormBtn.addEventListener('click', () => this.testFormProfile());
+        }
+
+        // Buttons trên từng profile (delegation)
+        if (this.profileList) {
+            this.profileList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-profile-action]');
+                if (!button || button.disabled) return;
+
+                const { profileAction, profileId } = button.dataset;
+                switch (profileAction) {
+                    case 'select':
+                        this.selectProfile(profileId);
+                        break;
+                    case 'test':
+                        this.testProfile(profileId);
+                        break;
+                    case 'edit':
+                        this.editProfile(profileId);
+                        break;
+                    case 'delete':
+                        this.deleteProfile(profileId);
+                        break;
+                }
+            });
+        }
+    }
+
+    // =====================================================
+    // PROFILES
+    // =====================================================
+
+    /**
+     * Load profiles từ localStorage
+     * @returns {Object} { profiles, activeId }
+     */
+    loadProfiles() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(API_CONFIG.PROFILES_STORAGE_KEY));
+            if (stored && Array.isArray(stored.profiles)) {
+                return { profiles: stored.profiles, activeId: stored.activeId || BACKEND_DEFAULT_PROFILE.id };
+            }
+        } catch (error) {
+            console.warn('Could not load backend profiles:', error);
+        }
+        return { profiles: [], activeId: BACKEND_DEFAULT_PROFILE.id };
+    }
+
+    /**
+     * Lưu profiles và profile đang dùng vào localStorage
+     */
+    saveProfiles() {
+        try {
+            localStorage.setItem(API_CONFIG.PROFILES_STORAGE_KEY, JSON.stringify({
+                profiles: this.profiles,
+                activeId: this.activeId
+            }));
+        } catch (error) {
+            console.warn('Could not save backend profiles:', error);
+        }
+    }
+
+    /**
+     * Tất cả profiles (profile mặc định đứng đầu)
+     * @returns {Array<Object>}
+     */
+    getProfiles() {
+        return [BACKEND_DEFAULT_PROFILE, ...this.profiles];
+    }
+
+    /**
+     * Tìm profile theo ID
+     * @param {string} profileId - Profile ID
+     * @returns {Object|undefined}
+     */
+    getProfile(profileId) {
+        return this.getProfiles().find(profile => profile.id === profileId);
+    }
+
+    /**
+     * Profile đang dùng (profile mặc định nếu profile đã lưu không còn)
+     * @returns {Object}
+     */
+    getActiveProfile() {
+        return this.getProfile(this.activeId) || BACKEND_DEFAULT_PROFILE;
+    }
+
+    /**
+     * Áp dụng profile đang dùng cho ApiService
+     */
+    applyActiveProfile() {
+        api.configure(this.getActiveProfile());
+        this.renderServerName();
+    }
+
+    /**
+     * Chuyển sang profile khác
+     * Session đăng nhập và data đã tải thuộc về backend cũ (xem 'backendChanged' listeners)
+     * @param {string} profileId - Profile ID
+     */
+    selectProfile(profileId) {
+        const profile = this.getProfile(profileId);
+        if (!profile || profile.id === this.getActiveProfile().id) return;
+
+        this.activeId = profile.id;
+        this.saveProfiles();
+        this.activate(`Đã chuyển sang máy chủ "${profile.name}"`);
+    }
+
+    /**
+     * Áp dụng profile đang dùng và báo cho các modules khác
+     * @param {string} message - Notification message
+     * @param {Object} action - Optional notification action { label, onClick }
+     */
+    activate(message, action = null) {
+        this.applyActiveProfile();
+        this.renderProfiles();
+        notifications.show(message, 'info', action ? APP_CONFIG.UNDO.ACTION_DURATION : undefined, action);
+
+        window.dispatchEvent(new CustomEvent('backendChanged', {
+            detail: { profile: this.getActiveProfile() }
+        }));
+    }
+
+    /**
+     * Thêm hoặc cập nhật profile từ form
+     * @param {Object} data - { name, baseURL, healthURL, format, requestFormat, idempotencyKeys }
+     */
+    saveProfile(data) {
+        const profile = {
+            id: this.editingId || `profile-${generateId()}`,
+            name: data.name.trim(),
+            baseURL: data.baseURL.trim().replace(/\/+$/, ''),
+            healthURL: data.healthURL.trim(),
+            format: data.format === 'json' ? 'json' : 'xml',
+            requestFormat: data.requestFormat === 'xml' ? 'xml' : 'json',
+            idempotencyKeys: data.idempotencyKeys === 'yes'
+        };
+
+        const index = this.profiles.findIndex(item => item.id === profile.id);
+        if (index >= 0) {
+            this.profiles[index] = profile;
+        } else {
+            this.profiles.push(profile);
+        }
+        this.testResults.delete(profile.id);
+        this.saveProfiles();
+        this.resetForm();
+
+        // Sửa URL/format của profile đang dùng -> áp dụng ngay
+        if (profile.id === this.getActiveProfile().id) {
+            this.activate(`Đã cập nhật máy chủ "${profile.name}"`);
+        } else {
+            this.renderProfiles();
+            notifications.success(`Đã lưu máy chủ "${profile.name}"`);
+        }
+    }
+
+    /**
+     * Điền profile vào form để sửa
+     * @param {string} profileId - Profile ID
+     */
+    editProfile(profileId) {
+        const profile = this.getProfile(profileId);
+        if (!profile || profile.builtIn || !this.form) return;
+
+        this.editingId = profile.id;
+        this.form.clearForm();
+        this.form.setFormData({
+            ...profile,
+            format: profile.format || API_CONFIG.RESPONSE_FORMAT,
+            requestFormat: profile.requestFormat || API_CONFIG.REQUEST_FORMAT,
+            idempotencyKeys: profile.idempotencyKeys ? 'yes' : 'no'
+        });
+        this.renderForm();
+    }
+
+    /**
+     * Xóa profile (có thể hoàn tác). Xóa profile đang dùng -> quay về profile mặc định
+     * @param {string} profileId - Profile ID
+     */
+    deleteProfile(profileId) {
+        const index = this.profiles.findIndex(profile => profile.id === profileId);
+        if (index < 0) return;
+
+        const [profile] = this.profiles.splice(index, 1);
+        const wasActive = this.activeId === profile.id;
+        if (this.editingId === profile.id) {
+            this.resetForm();
+        }
+
+        const undoAction = {
+            label: 'Hoàn tác',
+            onClick: () => {
+                this.profiles.splice(Math.min(index, this.profiles.length), 0, profile);
+                this.saveProfiles();
+                this.renderProfiles();
+            }
+        };
+
+        if (wasActive) {
+            this.activeId = BACKEND_DEFAULT_PROFILE.id;
+            this.saveProfiles();
+            this.activate(`Đã xóa máy chủ "${profile.name}", quay về máy chủ mặc định`, undoAction);
+        } else {
+            this.saveProfiles();
+            this.renderProfiles();
+            notifications.show(`Đã xóa máy chủ "${profile.name}"`, 'success', APP_CONFIG.UNDO.ACTION_DURATION, undoAction);
+        }
+    }
+
+    // =====================================================
+    // CONNECTION TEST
+    // =====================================================
+
+    /**
+     * Kiểm tra kết nối đến health URL của 1 profile
+     * @param {string} profileId - Profile ID
+     */
+    async testProfile(profileId) {
+        const profile = this.getProfile(profileId);
+        if (!profile) return;
+
+        this.testResults.set(profile.id, 'testing');
+        this.renderProfiles();
+
+        const result = await api.testConnection(profile.healthURL);
+        this.testResults.set(profile.id, result);
+        this.renderProfiles();
+    }
+
+    /**
+     * Kiểm tra kết nối với health URL đang nhập trong form (trước khi lưu)
+     */
+    async testFormProfile() {
+        if (!this.form || !this.form.validateField('healthURL', this.form.getFormData().healthURL.trim())) return;
+
+        this.renderTestResult(this.formTestResult, 'testing');
+        const result = await api.testConnection(this.form.getFormData().healthURL.trim());
+        this.renderTestResult(this.formTestResult, result);
+    }
+
+    // =====================================================
+    // PANEL
+    // =====================================================
+
+    /**
+     * Mở settings panel
+     */
+    openPanel() {
+        this.resetForm();
+        this.renderProfiles();
+        if (this.modal) {
+            this.modal.show();
+        }
+    }
+
+    /**
+     * Reset form về trạng thái thêm mới
+     */
+    resetForm() {
+        this.editingId = null;
+        if (this.form) {
+            this.form.clearForm();
+        }
+        this.renderTestResult(this.formTestResult, null);
+        this.renderForm();
+    }
+
+    /**
+     * Render tên máy chủ đang dùng (login screen)
+     */
+    renderServerName() {
+        if (this.loginServerName) {
+            this.loginServerName.textContent = this.getActiveProfile().name;
+        }
+    }
+
+    /**
+     * Render tiêu đề và nút hủy của form theo chế độ thêm/sửa
+     */
+    renderForm() {
+        if (this.formTitle) {
+            this.formTitle.textContent = this.editingId ? 'Sửa máy chủ' : 'Thêm máy chủ';
+        }
+        if (this.cancelEditBtn) {
+            this.cancelEditBtn.classList.toggle('hidden', !this.editingId);
+        }
+    }
+
+    /**
+     * Render danh sách profiles
+     */
+    renderProfiles() {
+        if (!this.profileList) return;
+
+        const activeId = this.getActiveProfile().id;
+
+        this.profileList.innerHTML = this.getProfiles().map(profile => {
+            const isActive = profile.id === activeId;
+            const testResult = this.testResults.get(profile.id);
+
+            return `
+                <div class="profile-item ${isActive ? 'active' : ''}">
+                    <div class="profile-item-info">
+                        <div class="profile-item-name">
+                            ${escapeHtml(profile.name)}
+                            ${isActive ? '<span class="profile-badge">Đang dùng</span>' : ''}
+                        </div>
+                        <div class="profile-item-url" title="API"><i class="fas fa-link"></i> ${escapeHtml(profile.baseURL)}</div>
+                        <div class="profile-item-url" title="Health check"><i class="fas fa-heartbeat"></i> ${escapeHtml(profile.healthURL)}</div>
+                        <div class="profile-item-url" title="Định dạng dữ liệu"><i class="fas fa-code"></i> ${(profile.format || API_CONFIG.RESPONSE_FORMAT).toUpperCase()} / gửi ${(profile.requestFormat || API_CONFIG.REQUEST_FORMAT).toUpperCase()}</div>
+                        <div class="profile-test-result">${this.formatTestResult(testResult)}</div>
+                    </div>
+                    <div class="profile-item-actions">
+                        ${isActive ? '' : `<button type="button" class="btn btn-sm btn-primary" data-profile-action="select" data-profile-id="${profile.id}">Sử dụng</button>`}
+                        <button type="button" class="btn btn-sm btn-secondary" data-profile-action="test" data-profile-id="${profile.id}" ${testResult === 'testing' ? 'disabled' : ''} title="Kiểm tra kết nối">
+                            <i class="fas fa-plug"></i>
+                        </button>
+                        ${profile.builtIn ? '' : `
+                            <button type="button" class="btn btn-sm btn-warning" data-profile-action="edit" data-profile-id="${profile.id}" title="Sửa">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button type="button" class="btn btn-sm btn-danger" data-profile-action="delete" data-profile-id="${profile.id}" title="Xóa">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        `}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render kết quả kiểm tra kết nối vào 1 element
+     * @param {HTMLElement} element - Element hiển thị
+     * @param {Object|string|null} result - Kết quả, 'testing' hoặc null (xóa)
+     */
+    renderTestResult(element, result) {
+        if (element) {
+            element.innerHTML = this.formatTestResult(result);
+        }
+    }
+
+    /**
+     * Format kết quả kiểm tra kết nối
+     * @param {Object|string|undefined} result - Kết quả từ api.testConnection() hoặc 'testing'
+     * @returns {string} HTML
+     */
+    formatTestResult(result) {
+        if (!result) return '';
+        if (result === 'testing') {
+            return '<span class="connection-status testing"><i class="fas fa-spinner fa-spin"></i> Đang kiểm tra...</span>';
+        }
+        if (result.ok) {
+            return `<span class="connection-status ok"><i class="fas fa-check-circle"></i> Kết nối được (${result.latency} ms)</span>`;
+        }
+        return `<span class="connection-status failed"><i class="fas fa-times-circle"></i> Không kết nối được: ${escapeHtml(result.error || '')}</span>`;
+    }
+}
+
+// Initialize backend settings (trước các modules tải data để requests đầu tiên dùng đúng backend)
+let backendSettings;
+
+document.addEventListener('DOMContentLoaded', () => {
+    backendSettings = new BackendSettingsManager();
+    // Export globally
+    window.backendSettings = backendSettings;
+});
@@ -18,14 +18,29 @@ class StudentsManager {
         
         // Data storage
         this.students = [];                // Current students (after filter & sort)
-        this.allStudents = [];             // All students from API
-        this.filteredStudents = [];        // Students after filtering
+        this.allStudents = [];             // All students from API (client mode only)
+        this.filteredStudents = [];        // Students after filtering (client mode only)
+        
+        // Data mode: 'client' = load all & filter locally, 'server' = server-side paging/filter/sort
+        this.dataMode = 'client';
+        this.serverTotal = 0;              // Total students on server (without filters)
+        this.serverHometowns = [];         // Hometown filter options (server mode)
+        this.serverSubjectAverages = null; // Subject averages for stats cards (server mode)
+        
+        // Cached pages đã hết hạn được hiển thị ngay, tải lại 1 lần khi các trang có data mới
+        this.reloadRevalidated = debounce(() => this.loadAllStudents(), 300);
+        
+        // Snapshot trên thiết bị (IndexedDB): hiển thị ngay khi mở app, API tải lại ở nền
+        this.lastSyncedAt = null;          // Thời điểm tải toàn bộ list từ server lần cuối (ISO string)
+        this.scheduleSnapshotSave = debounce(() => this.saveSnapshot(), 500);
         
         // UI state
         this.editingStudent = null;        // Student being edited
+        this.latestEditingStudent = null;  // Dữ liệu mới hơn của editingStudent từ tab khác
         this.currentSort = { sortBy: 'student_id', order: 'asc' }; // Current sort
         this.searchTimeout = null;         // Debounce timeout for search
         this.selectedStudents = new Set(); // Set containing IDs of selected students
+        this.selectionCache = new Map();   // id -> student object của selected students (giữ được qua các trang/server mode)
         
         // Wait for DOM to be ready before initializing
         if (document.readyState === 'loading') {
@@ -132,6 +147,20 @@ class StudentsManager {
             });
         }
         
+        // Select all checkbox trên header - chọn/bỏ chọn trang hiện tại
+        const selectAllCheckbox = document.getElementById('selectAllStudents');
+        if (selectAllCheckbox) {
+            selectAllCheckbox.addEventListener('change', (e) => {
+                this.toggleSelectAll(e.target.checked);
+            });
+        }
+        
+        // Edit modal: tải lại dữ liệu mới nhất khi student bị sửa ở tab khác
+        const reloadEditingBtn = document.getElementById('reloadEditingBtn');
+        if (reloadEditingBtn) {
+            reloadEditingBtn.addEventListener('click', () => this.reloadEditingStudent());
+        }
+        
         // Table sorting
         this.bindSortingEvents();
         
@@ -239,79 +268,70 @@ class StudentsManager {
     
     /**
      * Load tất cả students từ API
-     * Hàm này handle nhiều scenarios: load with/without pagination, fallback strategies
+     * Dựa vào tổng số students để chọn mode:
+     * - client: tải toàn bộ list, filter/sort/paginate locally
+     * - server: chỉ tải trang hiện tại, search/filter/sort do server xử lý
+     * Client mode: list hiện có (hoặc snapshot trên thiết bị) được giữ trong lúc tải lại,
+     * chỉ những students thay đổi được cập nhật (xem applyServerList)
+     * Lần load mới hủy lần load trước đang chạy (request group 'students:list')
+     * @returns {Promise<boolean>} false nếu không tải được dữ liệu hoặc bị hủy bởi lần load mới hơn
      */
     async loadAllStudents() {
+        const signal = api.startRequestGroup('students:list');
+        
         try {
-            this.table.setLoadingState();
-            this.allStudents = [];
+            const hasData = this.isServerMode() || this.allStudents.length > 0 || await this.restoreSnapshot();
+            if (!hasData) {
+                this.table.setLoadingState();
+            }
+            this.renderSyncStatus(true);
             
             // First check API health
+            // (có service worker: vẫn tải tiếp, danh sách lần trước được trả về từ offline cache)
             const isHealthy = await api.healthCheck();
-            if (!isHealthy) {
+            if (!isHealthy && !navigator.serviceWorker?.controller) {
                 throw new Error('Server không phản hồi. Vui lòng kiểm tra kết nối.');
             }
             
-            try {
-                // Try different parameter combinations to find what works
-                console.log('Trying to load students with minimal parameters...');
-                
-                let response;
-                try {
-                    // Try with page and page_size parameters
-                    response = await api.getStudents({ page: 1, page_size: 100 });
-                    console.log('Success with page=1, page_size=100');
-                } catch (pageError) {
-                    console.warn('Failed with page_size=100, trying with page=1 only:', pageError);
-                    // Try with just page parameter
-                    response = await api.getStudents({ page: 1 });
-                    console.log('Success with page=1');
-                }
-                
-                this.allStudents = response.items || [];
-                console.log(`Loaded ${this.allStudents.length} students from API`);
-            } catch (defaultError) {
-                console.warn('Failed with specific parameters, trying pagination:', defaultError);
-                
-                // Fallback: Load with pagination using server default page_size
-                let allStudents = [];
-                let currentPage = 1;
-                let hasMorePages = true;
-                
-                while (hasMorePages) {
-                    try {
-                        // Use server's default page_size, just specify page number
-                        const response = await api.getStudents({ page: currentPage });
-                        
-                        const items = response.items || [];
-                        allStudents = allStudents.concat(items);
-                        
-                        // Use response pagination info
-                        hasMorePages = response.has_next === true;
-                        currentPage++;
-                        
-                        console.log(`Loaded page ${currentPage - 1}: ${items.length} students (has_next: ${response.has_next})`);
-                        
-                        // Prevent infinite loop
-                        if (currentPage > 100) {
-                            console.warn('Stopped loading after 100 pages to prevent infinite loop');
-                            break;
-                        }
-                        
-                    } catch (pageError) {
-                        console.error(`Error loading page ${currentPage}:`, pageError);
-                        break;
-                    }
-                }
-                
-                this.allStudents = allStudents;
-                console.log(`Loaded total ${this.allStudents.length} students from API (paginated)`);
+            const firstPage = await this.loadFirstPage(signal);
+            this.serverTotal = firstPage.total;
+            
+            // Chọn mode dựa vào kích thước dataset
+            const useServerMode = firstPage.total > APP_CONFIG.PAGINATION.SERVER_MODE_THRESHOLD;
+            this.setDataMode(useServerMode ? 'server' : 'client');
+            
+            if (this.isServerMode()) {
+                console.log(`${firstPage.total} students on server, using server-side pagination`);
+                this.allStudents = [];
+                this.filteredStudents = [];
+                await Promise.all([
+                    this.loadServerPage(),
+                    this.loadServerFilterOptions()
+                ]);
+                this.markSynced();
+                this.deleteSnapshot();  // Không giữ toàn bộ list trên thiết bị ở server mode
+                return true;
             }
             
-            this.applyLocalFilters();
-            this.updateHometownFilter();
+            const students = await this.loadRemainingPages(firstPage, signal);
+            const changes = this.applyServerList(students);
+            console.log(`Loaded ${students.length} students from API (${changes} changed)`);
+            
+            if (changes > 0 || !hasData) {
+                this.pruneSelection();
+                this.applyLocalFilters();
+                this.updateHometownFilter();
+            }
+            this.markSynced();
+            this.saveSnapshot();
+            return true;
 
         } catch (error) {
+            // Đã có lần load mới hơn -> bỏ qua kết quả cũ
+            if (error.isCancelled) {
+                return false;
+            }
+            
             console.error('Error loading students from API:', error);
             
             let errorMessage = 'Không thể tải danh sách sinh viên từ server';
@@ -325,15 +345,376 @@ class StudentsManager {
                 errorMessage = error.message;
             }
             
+            // Đã có dữ liệu (lần tải trước / snapshot trên thiết bị) -> giữ lại
+            if (!this.isServerMode() && this.lastSyncedAt) {
+                notifications.warning(`${errorMessage}. Đang hiển thị dữ liệu đồng bộ lúc ${new Date(this.lastSyncedAt).toLocaleString('vi-VN')}.`);
+                this.renderSyncStatus();
+                return false;
+            }
+            
             notifications.error(errorMessage);
             this.table.setEmptyState('Lỗi khi tải dữ liệu từ server');
+            this.renderSyncStatus();
             
-            // Reset to empty state
-            this.allStudents = [];
+            // Reset to empty state (chỉ còn các students tạo khi offline)
+            this.setDataMode('client');
+            this.allStudents = this.withOfflineQueue([]);
             this.applyLocalFilters();
+            return false;
+        } finally {
+            api.endRequestGroup('students:list', signal);
+        }
+    }
+
+    /**
+     * Load trang đầu tiên (không filter) để biết tổng số students
+     * Fallback về page size mặc định của server nếu server không chấp nhận page_size=100
+     * @param {AbortSignal} signal - Signal hủy lần load
+     * @returns {Promise<Object>} Student list response
+     */
+    async loadFirstPage(signal) {
+        const options = { signal, onRevalidate: this.reloadRevalidated };
+        
+        try {
+            return await api.getStudents({ page: 1, page_size: APP_CONFIG.PAGINATION.MAX_PAGE_SIZE }, options);
+        } catch (pageError) {
+            if (pageError.isCancelled) throw pageError;
+            
+            console.warn(`Failed with page_size=${APP_CONFIG.PAGINATION.MAX_PAGE_SIZE}, trying with page=1 only:`, pageError);
+            return await api.getStudents({ page: 1 }, options);
+        }
+    }
+
+    /**
+     * Load các trang còn lại sau trang đầu (client mode)
+     * @param {Object} firstPage - Response của trang đầu
+     * @param {AbortSignal} signal - Signal hủy lần load
+     * @returns {Promise<Array>} Tất cả students
+     */
+    async loadRemainingPages(firstPage, signal) {
+        let allStudents = firstPage.items || [];
+        let currentPage = firstPage.page || 1;
+        let hasMorePages = firstPage.has_next === true;
+        const pageSize = firstPage.page_size;
+        
+        while (hasMorePages) {
+            currentPage++;
+            
+            // Prevent infinite loop
+            if (currentPage > 100) {
+                console.warn('Stopped loading after 100 pages to prevent infinite loop');
+                break;
+            }
+            
+            try {
+                const response = await api.getStudents(
+                    { page: currentPage, page_size: pageSize },
+                    { signal, onRevalidate: this.reloadRevalidated }
+                );
+                const items = response.items || [];
+                allStudents = allStudents.concat(items);
+                hasMorePages = response.has_next === true && items.length > 0;
+                
+                console.log(`Loaded page ${currentPage}: ${items.length} students (has_next: ${response.has_next})`);
+            } catch (pageError) {
+                if (pageError.isCancelled) throw pageError;
+                
+                console.error(`Error loading page ${currentPage}:`, pageError);
+                break;
+            }
+        }
+        
+        return allStudents;
+    }
+
+    // =====================================================
+    // LOCAL SNAPSHOT
+    // =====================================================
+    
+    /**
+     * Hiển thị list đã lưu trên thiết bị ở lần đồng bộ trước (cùng user, cùng backend)
+     * @returns {Promise<boolean>} true nếu có dữ liệu để hiển thị
+     */
+    async restoreSnapshot() {
+        let snapshot;
+        try {
+            snapshot = await localDatabase.get('snapshots', getSnapshotKey('students'));
+        } catch (error) {
+            console.warn('Could not read students snapshot:', error);
+            return false;
+        }
+        
+        // Lần load khác đã có dữ liệu trong lúc đọc IndexedDB
+        if (this.allStudents.length > 0) return true;
+        if (!snapshot) return false;
+        
+        this.allStudents = this.withOfflineQueue(snapshot.items);
+        this.lastSyncedAt = snapshot.syncedAt;
+        this.applyLocalFilters();
+        this.updateHometownFilter();
+        console.log(`Restored ${snapshot.items.length} students from local snapshot (${snapshot.syncedAt})`);
+        return true;
+    }
+
+    /**
+     * Lưu list hiện tại lên thiết bị (client mode)
+     * List đang lấy từ offline cache của service worker thì không ghi đè bản đã lưu
+     */
+    async saveSnapshot() {
+        if (this.isServerMode() || !this.lastSyncedAt || api.offlineDataSince) return;
+        
+        try {
+            await localDatabase.put('snapshots', {
+                key: getSnapshotKey('students'),
+                syncedAt: this.lastSyncedAt,
+                items: this.getConfirmedStudents()
+            });
+        } catch (error) {
+            console.warn('Could not save students snapshot:', error);
         }
     }
 
+    /**
+     * Xóa list đã lưu trên thiết bị (server mode, hết session)
+     * @param {boolean} allUsers - Xóa bản của mọi user/máy chủ (user hiện tại đã không còn)
+     */
+    deleteSnapshot(allUsers = false) {
+        const request = allUsers
+            ? localDatabase.deleteByPrefix('snapshots', 'students:')
+            : localDatabase.delete('snapshots', getSnapshotKey('students'));
+        request.catch(error => {
+            console.warn('Could not delete students snapshot:', error);
+        });
+    }
+
+    /**
+     * Students đã được server xác nhận: bỏ rows tạm, rows chờ đồng bộ dùng bản trên server
+     * @returns {Array<Object>}
+     */
+    getConfirmedStudents() {
+        return this.allStudents.flatMap(student => {
+            if (student._pending || student._queued === 'create') return [];
+            if (student._queued) {
+                const entry = window.offlineQueue?.entries.find(item => item.studentId === student.id);
+                return entry?.base ? [entry.base] : [];
+            }
+            return [student];
+        });
+    }
+
+    /**
+     * Áp dụng list mới tải từ server, chỉ thay các students đã thêm/sửa/xóa
+     * (students không đổi giữ nguyên object -> selection, rows đang hiển thị không bị ảnh hưởng)
+     * @param {Array<Object>} students - Students từ server
+     * @returns {number} Số students đã thêm/sửa/xóa
+     */
+    applyServerList(students) {
+        const current = new Map(this.allStudents.map(student => [student.id, student]));
+        let changes = 0;
+        
+        const merged = this.withOfflineQueue(students).map(student => {
+            const existing = current.get(student.id);
+            current.delete(student.id);
+            if (existing && JSON.stringify(existing) === JSON.stringify(student)) {
+                return existing;
+            }
+            changes++;
+            return student;
+        });
+        
+        // Còn lại = đã bị xóa trên server
+        changes += current.size;
+        this.allStudents = merged;
+        return changes;
+    }
+
+    /**
+     * Đánh dấu vừa đồng bộ xong với server
+     * Dữ liệu từ offline cache của service worker: thời điểm lưu bản đó, không phải bây giờ
+     */
+    markSynced() {
+        this.lastSyncedAt = api.offlineDataSince || new Date().toISOString();
+        this.renderSyncStatus();
+    }
+
+    /**
+     * Render "Đồng bộ lần cuối"
+     * @param {boolean} isSyncing - Đang tải lại từ server
+     */
+    renderSyncStatus(isSyncing = false) {
+        renderLastSynced(document.getElementById('studentsSyncStatus'), this.lastSyncedAt, isSyncing);
+    }
+
+    // =====================================================
+    // SERVER MODE
+    // =====================================================
+    
+    /**
+     * Check xem đang dùng server-side pagination không
+     * @returns {boolean}
+     */
+    isServerMode() {
+        return this.dataMode === 'server';
+    }
+
+    /**
+     * Set data mode (client/server)
+     * @param {string} mode - 'client' hoặc 'server'
+     */
+    setDataMode(mode) {
+        if (this.dataMode === mode) return;
+        
+        this.dataMode = mode;
+        this.currentPage = 1;
+        console.log(`Students data mode: ${mode}`);
+    }
+
+    /**
+     * Build query params cho api.getStudents() từ filters, sort và pagination hiện tại
+     * @param {Object} overrides - Params ghi đè (vd: page, page_size)
+     * @returns {Object} Query params
+     */
+    buildServerQuery(overrides = {}) {
+        const filters = this.filters.getFilters();
+        let { sortBy, order } = this.currentSort;
+        
+        // Server không có grade column riêng: A->F tương ứng average_score giảm dần
+        if (sortBy === 'grade') {
+            sortBy = 'average_score';
+            order = order === 'asc' ? 'desc' : 'asc';
+        }
+        
+        return {
+            page: this.currentPage,
+            page_size: this.pageSize,
+            search: filters.search,
+            hometown: filters.hometown,
+            grade: filters.grade,
+            sort_by: sortBy,
+            order,
+            ...overrides
+        };
+    }
+
+    /**
+     * Load trang hiện tại từ server (server mode)
+     * Request mới hủy request cũ đang chạy (user gõ search nhanh) qua request group 'students:page'
+     */
+    async loadServerPage() {
+        try {
+            this.table.setLoadingState();
+            const response = await api.getStudents(this.buildServerQuery(), {
+                group: 'students:page',
+                onRevalidate: () => this.loadServerPage()
+            });
+            
+            this.students = this.withOfflineQueue(response.items || [], response.page === 1);
+            this.totalItems = response.total;
+            this.totalPages = response.total_pages;
+            this.currentPage = response.page || this.currentPage;
+            
+            // Trang hiện tại không còn tồn tại (vd: sau khi filter) -> về trang cuối
+            if (this.students.length === 0 && this.totalPages > 0 && this.currentPage > this.totalPages) {
+                this.currentPage = this.totalPages;
+                return this.loadServerPage();
+            }
+            
+            this.renderStudentsTable();
+            this.renderPagination();
+            this.updateStats();
+        } catch (error) {
+            if (error.isCancelled) return;
+            
+            console.error('Error loading server page:', error);
+            notifications.error(error.message || 'Không thể tải danh sách sinh viên từ server');
+            this.table.setEmptyState('Lỗi khi tải dữ liệu từ server');
+        }
+    }
+
+    /**
+     * Load options cho hometown filter và stats từ analytics endpoints (server mode)
+     */
+    async loadServerFilterOptions() {
+        const options = { onRevalidate: () => this.loadServerFilterOptions() };
+        
+        try {
+            const [hometownAnalysis, scoreComparison] = await Promise.all([
+                api.getHometownAnalysis(options),
+                api.getScoreComparison(options)
+            ]);
+            
+            this.serverHometowns = this.extractHometowns(hometownAnalysis);
+            this.serverSubjectAverages = scoreComparison?.by_subject || null;
+            
+            this.updateHometownFilter();
+            this.updateStats();
+        } catch (error) {
+            console.warn('Could not load filter options from analytics endpoints:', error);
+        }
+    }
+
+    /**
+     * Lấy danh sách hometown từ response hometown-analysis
+     * Hỗ trợ cả dạng array [{ hometown, count }] và object { hometown: count }
+     * @param {Array|Object} data - Response data
+     * @returns {Array<string>} Hometowns
+     */
+    extractHometowns(data) {
+        const source = data?.by_hometown || data;
+        if (Array.isArray(source)) {
+            return source.map(item => item.hometown || item.name).filter(Boolean);
+        }
+        return source && typeof source === 'object' ? Object.keys(source) : [];
+    }
+
+    /**
+     * Load tất cả students khớp với query (dùng cho export/bulk trong server mode)
+     * @param {Object} query - Filter params (search, hometown, grade, sort_by, order)
+     * @returns {Promise<Array>} Students
+     */
+    async fetchAllStudents(query = {}) {
+        const firstPage = await api.getStudents({
+            ...query,
+            page: 1,
+            page_size: APP_CONFIG.PAGINATION.MAX_PAGE_SIZE
+        });
+        
+        let students = firstPage.items || [];
+        for (let page = 2; page <= firstPage.total_pages; page++) {
+            const response = await api.getStudents({
+                ...query,
+                page,
+                page_size: APP_CONFIG.PAGINATION.MAX_PAGE_SIZE
+            });
+            students = students.concat(response.items || []);
+        }
+        return students;
+    }
+
+    /**
+     * Lấy tất cả students khớp filter hiện tại (không phân trang)
+     * @returns {Promise<Array>} Students
+     */
+    async getFilteredStudents() {
+        if (!this.isServerMode()) {
+            return this.filteredStudents;
+        }
+        const { page, page_size, ...query } = this.buildServerQuery();
+        return this.fetchAllStudents(query);
+    }
+
+    /**
+     * Lấy toàn bộ students (không filter) để so sánh trước/sau khi dữ liệu thay đổi
+     * Client mode dùng allStudents đã tải, server mode tải toàn bộ từ server
+     * @returns {Promise<Array>} Students (bản copy)
+     */
+    async getStudentSnapshot() {
+        if (!this.isServerMode()) {
+            return this.allStudents.map(student => ({ ...student }));
+        }
+        return this.fetchAllStudents();
+    }
+
     /**
      * Refresh toàn bộ display sau khi data thay đổi
      */
@@ -346,7 +727,8 @@ class StudentsManager {
     }
 
     /**
-     * Setup listener cho API changes (cross-tab synchronization)
+     * Setup listener cho data change events trong tab hiện tại
+     * (thay đổi từ tab khác được apply qua TabSyncManager -> applyRemoteChange)
      */
     setupStorageListener() {
         // Listen for custom events when data changes
@@ -356,22 +738,302 @@ class StudentsManager {
         });
         
         // Listen for individual student operations
-        window.addEventListener('studentCreated', () => {
-            console.log('Student created, reloading from API...');
-            this.loadAllStudents();
+        // Mutations của chính tab này đã được apply locally (optimistic) trước khi dispatch,
+        // nên chỉ apply những thay đổi chưa có trong local data
+        window.addEventListener('studentCreated', (e) => {
+            const student = e.detail?.student;
+            if (student && student.id !== undefined && !this.findLocalStudent(student.id)) {
+                this.upsertLocalStudent(student);
+            }
         });
         
-        window.addEventListener('studentUpdated', () => {
-            console.log('Student updated, reloading from API...');
-            this.loadAllStudents();
+        window.addEventListener('studentUpdated', (e) => {
+            const student = e.detail?.student;
+            if (student && this.findLocalStudent(student.id) !== student) {
+                this.upsertLocalStudent(student);
+            }
         });
         
-        window.addEventListener('studentDeleted', () => {
-            console.log('Student deleted, reloading from API...');
-            this.loadAllStudents();
+        window.addEventListener('studentDeleted', (e) => {
+            const id = e.detail?.id;
+            if (id !== undefined && this.findLocalStudent(id)) {
+                this.removeLocalStudent(id);
+            }
+        });
+
+        // Đổi user/role -> render lại các nút thao tác trên table
+        // Hết session (đăng xuất, hết hạn, đổi máy chủ...) -> không giữ danh sách sinh viên trên thiết bị
+        window.addEventListener('authStateChanged', (e) => {
+            if (!e.detail.authenticated) {
+                this.lastSyncedAt = null;
+                this.deleteSnapshot(true);
+                this.renderSyncStatus();
+            }
+            this.renderStudentsTable();
         });
     }
 
+    // =====================================================
+    // LOCAL MUTATIONS (OPTIMISTIC UI)
+    // =====================================================
+    
+    /**
+     * Tìm student trong local data (allStudents ở client mode, trang hiện tại ở server mode)
+     * @param {number} studentId - ID của student
+     * @returns {Object|undefined}
+     */
+    findLocalStudent(studentId) {
+        return this.allStudents.find(s => s.id === studentId) ||
+            this.students.find(s => s.id === studentId);
+    }
+
+    /**
+     * Tính tạm các fields do server tính (full_name, average_score, grade)
+     * để hiển thị ngay trước khi có response
+     * @param {Object} student - Student data
+     * @returns {Object} Student với computed fields
+     */
+    withComputedFields(student) {
+        const scores = ['math_score', 'literature_score', 'english_score']
+            .map(field => student[field])
+            .filter(score => score !== null && score !== undefined && score !== '')
+            .map(Number);
+        const averageScore = scores.length > 0
+            ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 100) / 100
+            : null;
+        
+        return {
+            ...student,
+            full_name: `${student.first_name || ''} ${student.last_name || ''}`.trim(),
+            average_score: averageScore,
+            grade: calculateGrade(averageScore)
+        };
+    }
+
+    /**
+     * Thêm hoặc thay thế 1 student trong local data rồi render lại
+     * @param {Object} student - Student mới
+     * @param {number} replaceId - ID cần thay thế (vd: temp ID của student đang tạo), mặc định student.id
+     */
+    upsertLocalStudent(student, replaceId = student.id) {
+        const list = this.isServerMode() ? this.students : this.allStudents;
+        const index = list.findIndex(s => s.id === replaceId);
+        
+        if (index !== -1) {
+            list[index] = student;
+        } else if (this.isServerMode()) {
+            list.unshift(student);
+            this.totalItems++;
+            this.serverTotal++;
+        } else {
+            list.push(student);
+        }
+        
+        // Giữ selection theo ID mới
+        if (this.selectedStudents.has(replaceId)) {
+            this.selectedStudents.delete(replaceId);
+            this.selectionCache.delete(replaceId);
+            this.selectedStudents.add(student.id);
+            this.selectionCache.set(student.id, student);
+        }
+        
+        this.refreshLocalView();
+    }
+
+    /**
+     * Xóa 1 student khỏi local data rồi render lại
+     * @param {number} studentId - ID của student
+     * @returns {Object|null} Snapshot để rollback ({ student, index, wasSelected })
+     */
+    removeLocalStudent(studentId) {
+        const list = this.isServerMode() ? this.students : this.allStudents;
+        const index = list.findIndex(s => s.id === studentId);
+        if (index === -1) return null;
+        
+        const [student] = list.splice(index, 1);
+        const wasSelected = this.selectedStudents.has(studentId);
+        this.selectedStudents.delete(studentId);
+        this.selectionCache.delete(studentId);
+        
+        if (this.isServerMode()) {
+            this.totalItems = Math.max(0, this.totalItems - 1);
+            this.serverTotal = Math.max(0, this.serverTotal - 1);
+        }
+        
+        this.refreshLocalView();
+        return { student, index, wasSelected };
+    }
+
+    /**
+     * Áp dụng offline queue lên danh sách vừa tải (rows chờ đồng bộ)
+     * @param {Array<Object>} students - Students từ server
+     * @param {boolean} includeCreated - Thêm rows của students tạo khi offline
+     * @returns {Array<Object>}
+     */
+    withOfflineQueue(students, includeCreated = true) {
+        return window.offlineQueue ? offlineQueue.overlay(students, includeCreated) : students;
+    }
+
+    /**
+     * Áp dụng lại offline queue lên local data (sau khi queue được load từ IndexedDB)
+     */
+    applyOfflineQueue() {
+        if (this.isServerMode()) {
+            this.students = this.withOfflineQueue(this.students, this.currentPage === 1);
+        } else {
+            this.allStudents = this.withOfflineQueue(this.allStudents);
+        }
+        this.refreshLocalView();
+    }
+
+    /**
+     * Đưa thao tác vào offline queue, row hiển thị trạng thái chờ đồng bộ
+     * @param {string} type - 'create', 'update' hoặc 'delete'
+     * @param {Object} student - Row hiển thị (create: row tạm với temp ID)
+     * @param {Object} options - { data, base, idempotencyKey }, xem OfflineQueueManager.enqueue()
+     */
+    async queueOffline(type, student, options = {}) {
+        const { _pending, ...row } = student;
+        const entry = await offlineQueue.enqueue(type, row, options);
+        this.upsertLocalStudent(offlineQueue.decorate(entry));
+    }
+
+    /**
+     * Rollback removeLocalStudent() - đưa student về vị trí cũ
+     * @param {Object} snapshot - Snapshot từ removeLocalStudent()
+     */
+    restoreLocalStudent(snapshot) {
+        if (!snapshot || this.findLocalStudent(snapshot.student.id)) return;
+        
+        const list = this.isServerMode() ? this.students : this.allStudents;
+        list.splice(Math.min(snapshot.index, list.length), 0, snapshot.student);
+        
+        if (snapshot.wasSelected) {
+            this.selectedStudents.add(snapshot.student.id);
+            this.selectionCache.set(snapshot.student.id, snapshot.student);
+        }
+        if (this.isServerMode()) {
+            this.totalItems++;
+            this.serverTotal++;
+        }
+        
+        this.refreshLocalView();
+    }
+
+    // =====================================================
+    // CROSS-TAB SYNC
+    // =====================================================
+    
+    /**
+     * Apply thay đổi từ tab khác (nhận qua TabSyncManager) vào local data, không reload toàn bộ
+     * @param {string} type - 'studentCreated', 'studentUpdated' hoặc 'studentDeleted'
+     * @param {Object} detail - Event detail từ tab gửi ({ student } hoặc { id })
+     */
+    applyRemoteChange(type, detail = {}) {
+        const student = detail.student;
+        const studentId = type === 'studentDeleted' ? detail.id : student?.id;
+        if (studentId === undefined || studentId === null) return;
+        
+        if (type === 'studentDeleted') {
+            if (this.findLocalStudent(studentId)) {
+                this.removeLocalStudent(studentId);
+            }
+            // Server mode: lấp chỗ trống bằng student của trang sau
+            if (this.isServerMode()) {
+                this.loadServerPage();
+            }
+        } else if (this.findLocalStudent(studentId)) {
+            this.upsertLocalStudent(student);
+        } else if (type === 'studentCreated') {
+            if (this.isServerMode()) {
+                // Student mới có thể thuộc trang khác -> chỉ reload trang hiện tại
+                this.serverTotal++;
+                this.loadServerPage();
+            } else {
+                this.upsertLocalStudent(student);
+            }
+        }
+        
+        this.warnIfEditing(type, studentId, student);
+    }
+
+    /**
+     * Cảnh báo nếu edit modal đang mở trên student vừa bị sửa/xóa ở tab khác
+     * @param {string} type - Event type
+     * @param {number} studentId - ID của student bị thay đổi
+     * @param {Object} student - Dữ liệu mới (update)
+     */
+    warnIfEditing(type, studentId, student) {
+        const isEditing = this.editingStudent &&
+            this.editingStudent.id === studentId &&
+            this.modal.modal.classList.contains('active');
+        if (!isEditing) return;
+        
+        const isDeleted = type === 'studentDeleted';
+        const message = isDeleted
+            ? 'Sinh viên này vừa bị xóa ở tab khác. Không thể lưu thay đổi.'
+            : 'Sinh viên này vừa được cập nhật ở tab khác. Lưu bây giờ sẽ ghi đè thay đổi đó.';
+        
+        this.showSyncWarning(message, isDeleted ? null : student);
+        notifications.warning(message);
+    }
+
+    /**
+     * Hiển thị cảnh báo trong edit modal
+     * @param {string} message - Nội dung cảnh báo
+     * @param {Object|null} latestStudent - Dữ liệu mới nhất (null = student đã bị xóa)
+     */
+    showSyncWarning(message, latestStudent) {
+        const warning = document.getElementById('modalSyncWarning');
+        if (!warning) return;
+        
+        this.latestEditingStudent = latestStudent;
+        warning.querySelector('.sync-warning-message').textContent = message;
+        document.getElementById('reloadEditingBtn').hidden = !latestStudent;
+        document.getElementById('saveBtn').disabled = !latestStudent;
+        warning.classList.remove('hidden');
+    }
+
+    /**
+     * Ẩn cảnh báo sync trong edit modal
+     */
+    hideSyncWarning() {
+        this.latestEditingStudent = null;
+        document.getElementById('modalSyncWarning')?.classList.add('hidden');
+        const saveBtn = document.getElementById('saveBtn');
+        if (saveBtn) saveBtn.disabled = false;
+    }
+
+    /**
+     * Load dữ liệu mới nhất (từ tab khác) vào edit form, bỏ các thay đổi đang nhập
+     */
+    reloadEditingStudent() {
+        if (!this.latestEditingStudent) return;
+        
+        this.editingStudent = this.latestEditingStudent;
+        this.form.clearForm();
+        this.form.setFormData(this.editingStudent);
+        this.hideSyncWarning();
+    }
+
+    /**
+     * Render lại table/stats từ local data (không gọi API)
+     */
+    refreshLocalView() {
+        if (this.isServerMode()) {
+            this.totalPages = Math.ceil(this.totalItems / this.pageSize);
+            this.renderStudentsTable();
+            this.renderPagination();
+            this.updateStats();
+        } else {
+            this.applyLocalFilters();
+            this.updateHometownFilter();
+            this.scheduleSnapshotSave();
+        }
+        
+        this.onSelectionChange();
+    }
+
     // =====================================================
     // FILTERING & SORTING
     // =====================================================
@@ -381,6 +1043,12 @@ class StudentsManager {
      * Hàm này filter -> sort -> paginate data từ allStudents
      */
     applyLocalFilters() {
+        // Server mode: filter/sort/paginate do server xử lý
+        if (this.isServerMode()) {
+            this.loadServerPage();
+            return;
+        }
+        
         // Start với toàn bộ students
         let filteredStudents = [...this.allStudents];
         const filters = this.filters.getFilters();
@@ -518,15 +1186,28 @@ class StudentsManager {
             return;
         }
 
+        const canEdit = authManager.can('student.edit');
+        const canDelete = authManager.can('student.delete');
+
         this.students.forEach(student => {
             const grade = calculateGrade(student.average_score);
             const gradeStyle = getGradeStyle(grade);
             const isSelected = this.selectedStudents.has(student.id);
+            const isPending = Boolean(student._pending || student._queued); // Đang chờ server xác nhận / chờ đồng bộ
+            const queueIcon = student._queued
+                ? (student._queueStatus === 'pending'
+                    ? ' <i class="fas fa-cloud-upload-alt queued-icon" title="Chờ đồng bộ"></i>'
+                    : ' <i class="fas fa-exclamation-triangle queued-icon problem" title="Thay đổi offline cần xử lý"></i>')
+                : '';
             
             const row = this.table.addRow(`
-                <td><strong>${escapeHtml(student.student_id)}</strong></td>
+                <td class="select-column">
+                    <input type="checkbox" class="student-checkbox" data-id="${student.id}" ${isSelected ? 'checked' : ''} ${isPending ? 'disabled' : ''}
+                        onchange="studentsManager.toggleStudentSelection(${student.id}, this.checked)" title="Chọn sinh viên">
+                </td>
+                <td><strong>${escapeHtml(student.student_id)}</strong>${queueIcon}</td>
                 <td>${escapeHtml(student.full_name || `${student.first_name} ${student.last_name}`)}</td>
-                <td title="${escapeHtml(student.email || '')}">${escapeHtml(student.email || '')}</td>
+                <td title="${escapeAttr(student.email || '')}">${escapeHtml(student.email || '')}</td>
                 <td>${formatDate(student.birth_date)}</td>
                 <td>${escapeHtml(student.hometown || '')}</td>
                 <td>${formatScore(student.math_score)}</td>
@@ -540,15 +1221,19 @@ class StudentsManager {
                 </td>
                 <td>
                     <div class="actions">
-                        <button class="btn btn-sm btn-warning" onclick="studentsManager.editStudent(${student.id})" title="Chỉnh sửa">
+                        ${canEdit ? `<button class="btn btn-sm btn-warning" onclick="studentsManager.editStudent(${student.id})" title="Chỉnh sửa" ${isPending ? 'disabled' : ''}>
                             <i class="fas fa-edit"></i>
-                        </button>
-                        <button class="btn btn-sm btn-danger" onclick="studentsManager.deleteStudent(${student.id})" title="Xóa">
+                        </button>` : ''}
+                        ${canDelete ? `<button class="btn btn-sm btn-danger" onclick="studentsManager.deleteStudent(${student.id})" title="Xóa" ${isPending ? 'disabled' : ''}>
                             <i class="fas fa-trash"></i>
-                        </button>
+                        </button>` : ''}
                     </div>
                 </td>
             `);
+            row.classList.toggle('selected', isSelected);
+            row.classList.toggle('pending', isPending);
+            row.classList.toggle('queued', Boolean(student._queued));
+            row.classList.toggle('queued-delete', student._queued === 'delete');
         });
 
         // Update select all checkbox state
@@ -559,39 +1244,115 @@ class StudentsManager {
         this.pagination.render(this.currentPage, this.totalPages, this.totalItems, this.pageSize);
     }
 
-    // Selection methods
+    // =====================================================
+    // SELECTION
+    // =====================================================
+    
+    /**
+     * Chọn/bỏ chọn 1 student (checkbox trên từng row)
+     * @param {number} studentId - ID của student
+     * @param {boolean} isSelected - true = chọn, false = bỏ chọn
+     */
     toggleStudentSelection(studentId, isSelected) {
         if (isSelected) {
+            const student = this.students.find(s => s.id === studentId) || this.selectionCache.get(studentId);
             this.selectedStudents.add(studentId);
+            if (student) this.selectionCache.set(studentId, student);
         } else {
             this.selectedStudents.delete(studentId);
+            this.selectionCache.delete(studentId);
         }
         
+        const row = document.querySelector(`.student-checkbox[data-id="${studentId}"]`)?.closest('tr');
+        if (row) row.classList.toggle('selected', isSelected);
+        
         this.updateSelectAllCheckbox();
-        this.updateExportSelectedButton();
+        this.onSelectionChange();
     }
 
+    /**
+     * Chọn/bỏ chọn toàn bộ students của trang hiện tại
+     * @param {boolean} selectAll - true = chọn hết, false = bỏ chọn hết
+     */
     toggleSelectAll(selectAll) {
-        const checkboxes = document.querySelectorAll('.student-checkbox');
-        
-        if (selectAll) {
-            // Select all current page students
-            this.students.forEach(student => {
+        this.students.forEach(student => {
+            if (selectAll) {
                 this.selectedStudents.add(student.id);
-            });
-        } else {
-            // Deselect all current page students
-            this.students.forEach(student => {
+                this.selectionCache.set(student.id, student);
+            } else {
                 this.selectedStudents.delete(student.id);
-            });
-        }
+                this.selectionCache.delete(student.id);
+            }
+        });
         
         // Update individual checkboxes
-        checkboxes.forEach(checkbox => {
+        document.querySelectorAll('.student-checkbox').forEach(checkbox => {
             checkbox.checked = selectAll;
+            checkbox.closest('tr')?.classList.toggle('selected', selectAll);
         });
         
-        this.updateExportSelectedButton();
+        this.updateSelectAllCheckbox();
+        this.onSelectionChange();
+    }
+
+    /**
+     * Chọn tất cả students khớp filter hiện tại (mọi trang)
+     * Server mode: tải toàn bộ kết quả filter từ server
+     */
+    async selectAllMatching() {
+        try {
+            const students = this.isServerMode()
+                ? await this.getFilteredStudents()
+                : this.filteredStudents;
+            
+            students.forEach(student => {
+                this.selectedStudents.add(student.id);
+                this.selectionCache.set(student.id, student);
+            });
+            
+            this.renderStudentsTable();
+            this.onSelectionChange();
+            notifications.info(`Đã chọn ${students.length} sinh viên khớp bộ lọc`);
+        } catch (error) {
+            console.error('Error selecting all matching students:', error);
+            notifications.error(error.message || 'Không thể chọn tất cả sinh viên');
+        }
+    }
+
+    /**
+     * Kiểm tra toàn bộ trang hiện tại đã được chọn chưa
+     * @returns {boolean}
+     */
+    isCurrentPageSelected() {
+        return this.students.length > 0 && this.students.every(s => this.selectedStudents.has(s.id));
+    }
+
+    /**
+     * Lấy danh sách student objects đang được chọn
+     * Ưu tiên data mới nhất trong allStudents (client mode), fallback về selectionCache
+     * @returns {Array} Selected students
+     */
+    getSelectedStudents() {
+        const byId = new Map(this.allStudents.map(s => [s.id, s]));
+        return Array.from(this.selectedStudents)
+            .map(id => byId.get(id) || this.selectionCache.get(id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Bỏ các ID không còn tồn tại khỏi selection (sau khi reload ở client mode)
+     */
+    pruneSelection() {
+        if (this.isServerMode() || this.selectedStudents.size === 0) return;
+        
+        const existingIds = new Set(this.allStudents.map(s => s.id));
+        this.selectedStudents.forEach(id => {
+            if (!existingIds.has(id)) {
+                this.selectedStudents.delete(id);
+                this.selectionCache.delete(id);
+            }
+        });
+        this.onSelectionChange();
     }
 
     updateSelectAllCheckbox() {
@@ -613,6 +1374,16 @@ class StudentsManager {
         }
     }
 
+    /**
+     * Thông báo selection thay đổi cho export button và bulk action bar
+     */
+    onSelectionChange() {
+        this.updateExportSelectedButton();
+        if (window.bulkActionsManager) {
+            bulkActionsManager.render();
+        }
+    }
+
     updateExportSelectedButton() {
         // Update import/export manager's export selected button
         if (window.importExportManager) {
@@ -622,18 +1393,25 @@ class StudentsManager {
 
     clearSelection() {
         this.selectedStudents.clear();
+        this.selectionCache.clear();
         this.updateSelectAllCheckbox();
-        this.updateExportSelectedButton();
+        this.onSelectionChange();
         
         // Update checkboxes
         const checkboxes = document.querySelectorAll('.student-checkbox');
         checkboxes.forEach(checkbox => {
             checkbox.checked = false;
+            checkbox.closest('tr')?.classList.remove('selected');
         });
     }
 
     async updateStats() {
         try {
+            if (this.isServerMode()) {
+                this.updateServerStats();
+                return;
+            }
+            
             const stats = {
                 totalStudents: this.allStudents.length,
                 avgMath: 0,
@@ -667,14 +1445,29 @@ class StudentsManager {
         }
     }
 
+    /**
+     * Update stats cards trong server mode (tổng từ server, điểm TB từ score-comparison)
+     */
+    updateServerStats() {
+        const averages = this.serverSubjectAverages || {};
+        const format = (value) => value !== null && value !== undefined ? Number(value).toFixed(1) : '-';
+        
+        document.getElementById('totalStudents').textContent = this.serverTotal;
+        document.getElementById('avgMath').textContent = format(averages.math);
+        document.getElementById('avgLiterature').textContent = format(averages.literature);
+        document.getElementById('avgEnglish').textContent = format(averages.english);
+    }
+
     updateHometownFilter() {
         const hometownFilter = document.getElementById('hometownFilter');
         if (!hometownFilter) return;
         
         const currentValue = hometownFilter.value;
         
-        const hometowns = [...new Set(this.allStudents
-            .map(s => s.hometown)
+        const sourceHometowns = this.isServerMode()
+            ? (this.serverHometowns || [])
+            : this.allStudents.map(s => s.hometown);
+        const hometowns = [...new Set(sourceHometowns
             .filter(h => h && h.trim())
         )].sort();
 
@@ -726,7 +1519,10 @@ class StudentsManager {
      * Mở modal để thêm student mới
      */
     openAddModal() {
+        if (!authManager.ensurePermission('student.create')) return;
+
         this.editingStudent = null;
+        this.hideSyncWarning();
         document.getElementById('modalTitle').textContent = 'Thêm sinh viên mới';
         this.form.clearForm();
         this.modal.show();
@@ -737,18 +1533,33 @@ class StudentsManager {
      * @param {string|number} studentId - ID của student cần edit
      */
     async editStudent(studentId) {
+        if (!authManager.ensurePermission('student.edit')) return;
+
         try {
             loading.show();
             // Load student data từ API
             const student = await api.getStudent(studentId);
             
             this.editingStudent = student;
+            this.hideSyncWarning();
             document.getElementById('modalTitle').textContent = 'Chỉnh sửa sinh viên';
             this.form.setFormData(student);
             this.modal.show();
 
         } catch (error) {
             console.error('Error loading student:', error);
+            
+            // Mất kết nối: sửa trên bản local, thay đổi sẽ vào offline queue
+            const local = this.findLocalStudent(studentId);
+            if (local && window.offlineQueue?.shouldQueue(error)) {
+                this.editingStudent = local;
+                this.hideSyncWarning();
+                document.getElementById('modalTitle').textContent = 'Chỉnh sửa sinh viên (offline)';
+                this.form.setFormData(local);
+                this.modal.show();
+                return;
+            }
+            
             notifications.error(error.message || 'Không thể tải thông tin sinh viên');
         } finally {
             loading.hide();
@@ -760,89 +1571,335 @@ class StudentsManager {
      * @param {string|number} studentId - ID của student cần delete
      */
     async deleteStudent(studentId) {
-        const student = this.allStudents.find(s => s.id === studentId);
+        if (!authManager.ensurePermission('student.delete')) return;
+
+        const student = this.findLocalStudent(studentId);
         if (!student) {
             notifications.error('Không tìm thấy sinh viên');
             return;
         }
 
         // Show delete confirmation popup
-        deleteModal.show(student, async (studentToDelete) => {
-            try {
-                await api.deleteStudent(studentToDelete.id);
-                notifications.success('Xóa sinh viên thành công');
-                
-                // Dispatch delete event cho cross-tab sync
-                window.dispatchEvent(new CustomEvent('studentDeleted', {
-                    detail: { id: studentToDelete.id, student: studentToDelete }
-                }));
-                
-                this.loadAllStudents(); // Refresh data từ API
-            } catch (error) {
+        deleteModal.show(student, (studentToDelete) => {
+            // Không await: modal đóng ngay, table đã cập nhật trước khi có response
+            this.performDelete(studentToDelete);
+        });
+    }
+
+    /**
+     * Xóa student (optimistic): xóa khỏi table ngay, rollback nếu API lỗi
+     * Mất kết nối: row được giữ lại và đánh dấu chờ xóa (offline queue)
+     * @param {Object} student - Student cần xóa
+     */
+    async performDelete(student) {
+        if (window.offlineQueue?.isOffline()) {
+            await this.queueOffline('delete', student, { base: student });
+            return;
+        }
+        
+        const snapshot = this.removeLocalStudent(student.id);
+        
+        try {
+            await api.deleteStudent(student.id);
+        } catch (error) {
+            if (window.offlineQueue?.shouldQueue(error)) {
+                this.restoreLocalStudent(snapshot);
+                await this.queueOffline('delete', student, { base: student });
+                return;
+            }
+            
+            // 404 = student đã bị xóa trước đó -> kết quả vẫn đúng
+            if (error.status !== 404) {
                 console.error('Error deleting student:', error);
-                notifications.error(error.message || 'Không thể xóa sinh viên');
+                this.restoreLocalStudent(snapshot);
+                notifications.error(`Không thể xóa sinh viên ${student.student_id}: ${error.message || 'Lỗi không xác định'}. Đã khôi phục dữ liệu.`);
+                return;
             }
-        });
+            // Request lỗi nên cache chưa được xóa, nhưng data trên server đã khác
+            api.invalidateCache();
+        }
+        
+        this.notifyUndoable(
+            'Xóa sinh viên thành công',
+            'delete',
+            `Xóa sinh viên ${student.student_id} - ${student.full_name || `${student.first_name} ${student.last_name}`}`,
+            [{ student }]
+        );
+        
+        // Dispatch delete event cho cross-tab sync
+        window.dispatchEvent(new CustomEvent('studentDeleted', {
+            detail: { id: student.id, student }
+        }));
+        
+        // Server mode: reload trang hiện tại để lấp chỗ trống bằng student của trang sau
+        if (this.isServerMode()) {
+            this.loadServerPage();
+        }
+    }
+
+    /**
+     * Ghi thao tác vào lịch sử undo và show notification có nút "Hoàn tác"
+     * @param {string} message - Notification message
+     * @param {string} type - 'delete' hoặc 'update'
+     * @param {string} label - Mô tả thao tác trong lịch sử
+     * @param {Array} items - Items cho UndoManager.record()
+     */
+    notifyUndoable(message, type, label, items) {
+        if (!window.undoManager) {
+            notifications.success(message);
+            return;
+        }
+        
+        const entry = undoManager.record(type, label, items);
+        undoManager.notify(message, entry);
     }
 
     /**
      * Handle form submit (Create hoặc Update student)
+     * Modal đóng và table cập nhật ngay (optimistic), rollback nếu API lỗi
      * @param {Object} formData - Form data từ user
      */
     async handleFormSubmit(formData) {
-        try {
-            const saveBtn = document.getElementById('saveBtn');
-            setButtonLoading(saveBtn, true);
+        if (this.editingStudent) {
+            await this.performUpdate(this.editingStudent, formData);
+        } else {
+            await this.performCreate(formData);
+        }
+    }
 
-            if (this.editingStudent) {
-                // Update existing student
-                await api.updateStudent(this.editingStudent.id, formData);
-                notifications.success('Cập nhật sinh viên thành công');
-                
-                // Dispatch update event
-                window.dispatchEvent(new CustomEvent('studentUpdated', {
-                    detail: { id: this.editingStudent.id, data: formData }
-                }));
+    /**
+     * Update student (optimistic), mất kết nối -> offline queue
+     * @param {Object} previous - Student trước khi sửa
+     * @param {Object} formData - Form data từ user
+     */
+    async performUpdate(previous, formData) {
+        const original = this.findLocalStudent(previous.id) || previous;
+        
+        this.modal.hide();
+        this.upsertLocalStudent(this.withComputedFields({ ...original, ...formData }));
+        
+        if (window.offlineQueue?.isOffline()) {
+            await this.queueOffline('update', this.withComputedFields({ ...original, ...formData }), { data: formData, base: previous });
+            return;
+        }
+        
+        try {
+            const preconditions = await this.getVersionPreconditions(previous);
+            const updated = await api.updateStudent(previous.id, formData, preconditions);
+            
+            // Reconcile với response (average_score, grade... do server tính)
+            const saved = updated && updated.id !== undefined
+                ? updated
+                : this.withComputedFields({ ...original, ...formData });
+            this.upsertLocalStudent(saved);
+            
+            const undoItem = window.undoManager ? undoManager.buildUpdateItem(previous, formData, saved) : null;
+            if (undoItem) {
+                this.notifyUndoable(
+                    'Cập nhật sinh viên thành công',
+                    'update',
+                    `Cập nhật sinh viên ${previous.student_id}`,
+                    [undoItem]
+                );
             } else {
-                // Create new student
-                const newStudent = await api.createStudent(formData);
-                notifications.success('Thêm sinh viên thành công');
-                
-                // Dispatch create event
-                window.dispatchEvent(new CustomEvent('studentCreated', {
-                    detail: { student: newStudent }
-                }));
+                notifications.success('Cập nhật sinh viên thành công');
             }
+            
+            // Dispatch update event
+            window.dispatchEvent(new CustomEvent('studentUpdated', {
+                detail: { id: previous.id, data: formData, student: saved }
+            }));
+            
+            // Server mode: thứ tự/filter của trang có thể thay đổi sau khi sửa
+            if (this.isServerMode()) {
+                this.loadServerPage();
+            }
+        } catch (error) {
+            if (window.offlineQueue?.shouldQueue(error)) {
+                await this.queueOffline('update', this.withComputedFields({ ...original, ...formData }), { data: formData, base: previous });
+                return;
+            }
+            
+            this.upsertLocalStudent(original);
+            
+            // Student đã bị người khác sửa sau khi mở form
+            if (error.status === 409 || error.status === 412) {
+                await this.resolveConflict(previous, formData, error.data?.latest);
+                return;
+            }
+            
+            this.handleSaveError(error, previous, formData);
+        }
+    }
 
-            this.modal.hide();
-            this.loadAllStudents(); // Refresh data từ API
+    // =====================================================
+    // CONCURRENCY CONTROL
+    // =====================================================
+    
+    /**
+     * Hash nội dung student (các fields sửa được), dùng khi server không trả version
+     * @param {Object} student - Student
+     * @returns {string} Hash
+     */
+    getContentHash(student) {
+        const values = APP_CONFIG.IMPORT_EXPORT.FIELDS.map(field => student[field] ?? null);
+        return hashString(JSON.stringify(values));
+    }
+
+    /**
+     * Điều kiện version cho PUT: server từ chối (412) nếu student đã bị sửa sau khi đọc
+     * - Có ETag: If-Match
+     * - Có updated_at: If-Unmodified-Since
+     * - Không có cả hai (backend không trả version): tải bản mới nhất và so sánh hash nội dung
+     * @param {Object} student - Student lúc mở form
+     * @returns {Promise<Object>} Options cho api.updateStudent ({ ifMatch }, { ifUnmodifiedSince } hoặc {})
+     * @throws {ApiError} 409 (kèm data.latest) nếu student đã bị sửa
+     */
+    async getVersionPreconditions(student) {
+        if (student._etag) return { ifMatch: student._etag };
+        if (student.updated_at) return { ifUnmodifiedSince: student.updated_at };
+
+        const latest = await api.getStudent(student.id, { cache: false });
+        if (this.getContentHash(latest) !== this.getContentHash(student)) {
+            throw new ApiError('Student has been modified by another user', 409, { latest });
+        }
+        return {};
+    }
 
+    /**
+     * Giải quyết conflict: so sánh từng field (ban đầu / của user / trên server) và cho user chọn
+     * @param {Object} base - Student lúc mở form
+     * @param {Object} mine - Form data của user
+     * @param {Object|null} latest - Bản mới nhất trên server (nếu đã có)
+     */
+    async resolveConflict(base, mine, latest = null) {
+        let server = latest;
+        
+        try {
+            if (!server) {
+                server = await api.getStudent(base.id, { cache: false });
+            }
         } catch (error) {
-            console.error('Error saving student:', error);
-            
-            if (error.isValidationError && error.data.errors) {
-                // Handle validation errors
-                error.data.errors.forEach(err => {
-                    const field = this.form.form.querySelector(`[name="${err.field}"]`);
-                    if (field) {
-                        field.classList.add('error');
-                        
-                        let errorElement = field.parentNode.querySelector('.form-error');
-                        if (!errorElement) {
-                            errorElement = document.createElement('div');
-                            errorElement.className = 'form-error';
-                            field.parentNode.appendChild(errorElement);
-                        }
-                        errorElement.textContent = err.message;
-                    }
-                });
-                notifications.error('Vui lòng kiểm tra lại thông tin đã nhập');
+            if (error.status === 404) {
+                this.removeLocalStudent(base.id);
+                notifications.error('Sinh viên đã bị người khác xóa. Không thể lưu thay đổi.');
             } else {
-                notifications.error(error.message || 'Không thể lưu thông tin sinh viên');
+                notifications.error(error.message || 'Không thể tải dữ liệu mới nhất của sinh viên');
             }
-        } finally {
-            const saveBtn = document.getElementById('saveBtn');
-            setButtonLoading(saveBtn, false);
+            return;
+        }
+        
+        // Table hiển thị dữ liệu mới nhất trong lúc user quyết định
+        this.upsertLocalStudent(server);
+        
+        const rows = APP_CONFIG.IMPORT_EXPORT.FIELDS.map(field => {
+            // Field không có trong form data = user không gửi -> coi như giữ nguyên
+            const mineValue = field in mine ? mine[field] : base[field];
+            return {
+                field,
+                label: STUDENT_FIELD_LABELS[field] || field,
+                base: base[field],
+                mine: mineValue,
+                server: server[field],
+                conflict: !isSameFieldValue(field, mineValue, base[field]) &&
+                    !isSameFieldValue(field, server[field], base[field])
+            };
+        }).filter(row => !isSameFieldValue(row.field, row.mine, row.server));
+        
+        if (rows.length === 0) {
+            notifications.info('Dữ liệu trên server đã giống với thay đổi của bạn');
+            return;
+        }
+        
+        const resolution = await conflictModal.show(rows);
+        if (!resolution || resolution.action === 'server') {
+            notifications.info('Đã giữ dữ liệu trên server, thay đổi của bạn không được lưu');
+            return;
+        }
+        
+        const data = { ...mine };
+        rows.forEach(row => {
+            if (resolution.choices[row.field] === 'server') {
+                data[row.field] = row.server ?? null;
+            }
+        });
+        
+        // Lưu lại với version mới nhất (có thể conflict tiếp nếu server lại thay đổi)
+        await this.performUpdate(server, data);
+    }
+
+    /**
+     * Create student (optimistic) - hiển thị row tạm với temp ID cho tới khi server trả về
+     * Mất kết nối: row tạm được giữ lại trong offline queue
+     * @param {Object} formData - Form data từ user
+     */
+    async performCreate(formData) {
+        const tempId = -Date.now();
+        // Cùng key cho request này và lần replay từ offline queue -> server không tạo trùng
+        const idempotencyKey = generateId();
+        const pendingStudent = this.withComputedFields({ ...formData, id: tempId, _pending: true });
+        
+        this.modal.hide();
+        this.upsertLocalStudent(pendingStudent);
+        
+        if (window.offlineQueue?.isOffline()) {
+            await this.queueOffline('create', pendingStudent, { data: formData, idempotencyKey });
+            return;
+        }
+        
+        try {
+            const newStudent = await api.createStudent(formData, { idempotencyKey });
+            
+            if (newStudent && newStudent.id !== undefined) {
+                this.upsertLocalStudent(newStudent, tempId);
+            } else {
+                // Response không có student -> reload để lấy ID thật
+                this.removeLocalStudent(tempId);
+                this.loadAllStudents();
+            }
+            
+            notifications.success('Thêm sinh viên thành công');
+            
+            // Dispatch create event
+            window.dispatchEvent(new CustomEvent('studentCreated', {
+                detail: { student: newStudent }
+            }));
+        } catch (error) {
+            if (window.offlineQueue?.shouldQueue(error)) {
+                await this.queueOffline('create', pendingStudent, { data: formData, idempotencyKey });
+                return;
+            }
+            
+            this.removeLocalStudent(tempId);
+            this.handleSaveError(error, null, formData);
+        }
+    }
+
+    /**
+     * Handle lỗi khi lưu student (sau khi đã rollback local data)
+     * Validation error: mở lại form với dữ liệu user đã nhập, lỗi hiển thị dưới từng field
+     * (lỗi không gắn với field nào hiển thị trên banner đầu form)
+     * @param {Error} error - Error từ API
+     * @param {Object|null} editingStudent - Student đang sửa (null nếu tạo mới)
+     * @param {Object} formData - Form data user đã nhập
+     */
+    handleSaveError(error, editingStudent, formData) {
+        console.error('Error saving student:', error);
+        
+        if (error.isValidationError) {
+            this.editingStudent = editingStudent;
+            document.getElementById('modalTitle').textContent = editingStudent ? 'Chỉnh sửa sinh viên' : 'Thêm sinh viên mới';
+            this.form.clearErrors();
+            this.form.setFormData(formData);
+            this.modal.show();
+            
+            const formErrors = error.formErrors.length > 0 || Object.keys(error.fieldErrors).length > 0
+                ? error.formErrors
+                : [error.message];
+            this.form.showServerErrors(error.fieldErrors, formErrors, STUDENT_FIELD_LABELS);
+            notifications.error('Vui lòng kiểm tra lại thông tin đã nhập');
+        } else {
+            notifications.error(`${error.message || 'Không thể lưu thông tin sinh viên'}. Thay đổi đã được hoàn lại.`);
         }
     }
 }
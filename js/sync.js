@@ -0,0 +1,117 @@
+// =====================================================
+// CROSS-TAB SYNC MODULE
+// =====================================================
+// Module broadcasts student changes and crawl completion to other open tabs
+// Uses BroadcastChannel, with a localStorage 'storage' event fallback
+// Local changes are picked up from the window CustomEvents that the other
+// modules already dispatch (studentCreated, studentUpdated, ...)
+
+/**
+ * Window events được broadcast sang các tab khác
+ */
+const SYNC_EVENTS = ['studentCreated', 'studentUpdated', 'studentDeleted', 'studentsUpdated', 'crawlCompleted'];
+
+class TabSyncManager {
+    constructor() {
+        this.tabId = generateId();   // ID của tab hiện tại (bỏ qua message do chính tab này gửi)
+        this.channel = null;         // BroadcastChannel (null nếu dùng storage fallback)
+
+        this.connect();
+        this.bindLocalEvents();
+    }
+
+    /**
+     * Mở BroadcastChannel, fallback về 'storage' event nếu browser không hỗ trợ
+     */
+    connect() {
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(APP_CONFIG.SYNC.CHANNEL_NAME);
+            this.channel.addEventListener('message', (e) => this.handleMessage(e.data));
+            return;
+        }
+
+        window.addEventListener('storage', (e) => {
+            if (e.key !== APP_CONFIG.SYNC.STORAGE_KEY || !e.newValue) return;
+
+            try {
+                this.handleMessage(JSON.parse(e.newValue));
+            } catch (error) {
+                console.warn('Invalid sync message:', error);
+            }
+        });
+    }
+
+    /**
+     * Lắng nghe window events của tab hiện tại để broadcast
+     */
+    bindLocalEvents() {
+        SYNC_EVENTS.forEach(type => {
+            window.addEventListener(type, (e) => this.broadcast(type, e.detail));
+        });
+    }
+
+    /**
+     * Gửi 1 message tới các tab khác
+     * @param {string} type - Event type
+     * @param {Object} detail - Event detail
+     */
+    broadcast(type, detail) {
+        const message = {
+            type,
+            // JSON round-trip: chỉ gửi plain data (cả BroadcastChannel và localStorage đều cần serializable)
+            detail: JSON.parse(JSON.stringify(detail ?? {})),
+            tabId: this.tabId,
+            timestamp: Date.now()
+        };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                // Set rồi remove ngay: các tab khác nhận 'storage' event với newValue = message
+                localStorage.setItem(APP_CONFIG.SYNC.STORAGE_KEY, JSON.stringify(message));
+                localStorage.removeItem(APP_CONFIG.SYNC.STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('Could not broadcast sync message:', error);
+        }
+    }
+
+    /**
+     * Handle message từ tab khác
+     * @param {Object} message - { type, detail, tabId, timestamp }
+     */
+    handleMessage(message) {
+        if (!message || message.tabId === this.tabId || !window.studentsManager) return;
+
+        console.log(`Sync message from another tab: ${message.type}`);
+
+        // Data trên server đã đổi bởi tab khác -> response đã cache ở tab này có thể đã cũ
+        api.invalidateCache();
+
+        switch (message.type) {
+            case 'studentCreated':
+            case 'studentUpdated':
+            case 'studentDeleted':
+                studentsManager.applyRemoteChange(message.type, message.detail);
+                break;
+            case 'studentsUpdated':
+                // Bulk/import/undo: không biết chính xác các thay đổi -> tải lại
+                studentsManager.loadAllStudents();
+                break;
+            case 'crawlCompleted':
+                notifications.info('Crawl ở tab khác đã hoàn thành. Đang cập nhật dữ liệu...');
+                studentsManager.loadAllStudents();
+                break;
+        }
+    }
+}
+
+// Initialize tab sync manager
+let tabSync;
+
+document.addEventListener('DOMContentLoaded', () => {
+    tabSync = new TabSyncManager();
+    // Export globally
+    window.tabSync = tabSync;
+});
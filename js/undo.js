@@ -0,0 +1,425 @@
+// =====================================================
+// UNDO MODULE
+// =====================================================
+// Module keeps a session-level history of delete/update operations
+// and reverts them: deleted students are recreated via api.createStudent(),
+// updated students get their previous field values back via api.updateStudent()
+// History is stored in sessionStorage (survives reload, cleared when the tab closes)
+
+class UndoManager {
+    constructor() {
+        // State
+        this.history = this.loadHistory();   // Entries mới nhất ở đầu
+        this.isUndoing = false;              // Đang chạy 1 undo
+
+        // DOM Elements
+        this.historyBtn = document.getElementById('historyBtn');
+        this.historyList = document.getElementById('historyList');
+        this.clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        this.modal = document.getElementById('historyModal') ? new ModalManager('historyModal') : null;
+
+        this.bindEvents();
+        this.updateHistoryButton();
+    }
+
+    /**
+     * Bind event handlers cho history button và history panel
+     */
+    bindEvents() {
+        if (this.historyBtn) {
+            this.historyBtn.addEventListener('click', () => this.openPanel());
+        }
+
+        if (this.clearHistoryBtn) {
+            this.clearHistoryBtn.addEventListener('click', () => this.clearHistory());
+        }
+
+        // Undo buttons trong panel (delegation)
+        if (this.historyList) {
+            this.historyList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-undo-id]');
+                if (button && !button.disabled) {
+                    this.undo(button.dataset.undoId);
+                }
+            });
+        }
+    }
+
+    // =====================================================
+    // HISTORY
+    // =====================================================
+
+    /**
+     * Load history từ sessionStorage
+     * @returns {Array} History entries
+     */
+    loadHistory() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(APP_CONFIG.UNDO.STORAGE_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('Could not load operation history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Lưu history vào sessionStorage
+     */
+    saveHistory() {
+        try {
+            sessionStorage.setItem(APP_CONFIG.UNDO.STORAGE_KEY, JSON.stringify(this.history));
+        } catch (error) {
+            console.warn('Could not save operation history:', error);
+        }
+    }
+
+    /**
+     * Ghi 1 thao tác vào history (chỉ giữ HISTORY_SIZE entries gần nhất)
+     * @param {string} type - 'delete' hoặc 'update'
+     * @param {string} label - Mô tả thao tác
+     * @param {Array} items - delete: [{ student }], update: [{ studentId, student_id, name, before, after }]
+     * @returns {Object} Entry vừa ghi
+     */
+    record(type, label, items) {
+        const entry = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            type,
+            label,
+            items,
+            timestamp: new Date().toISOString(),
+            undone: false
+        };
+
+        this.history.unshift(entry);
+        this.history = this.history.slice(0, APP_CONFIG.UNDO.HISTORY_SIZE);
+        this.saveHistory();
+        this.updateHistoryButton();
+        this.renderHistory();
+
+        return entry;
+    }
+
+    /**
+     * Show notification có nút "Hoàn tác" cho 1 entry
+     * @param {string} message - Message hiển thị
+     * @param {Object} entry - Entry từ record()
+     * @param {string} type - Notification type
+     */
+    notify(message, entry, type = 'success') {
+        notifications.show(message, type, APP_CONFIG.UNDO.ACTION_DURATION, {
+            label: 'Hoàn tác',
+            onClick: () => this.undo(entry.id)
+        });
+    }
+
+    /**
+     * Tạo update item từ student trước khi sửa và các thay đổi đã gửi lên API
+     * Chỉ giữ các fields thực sự thay đổi
+     * @param {Object} student - Student trước khi update
+     * @param {Object} changes - Payload đã gửi cho api.updateStudent()
+     * @param {Object} saved - Student server trả về sau khi update; version của nó được gửi kèm
+     *                         khi hoàn tác để không ghi đè thay đổi mới hơn (tab/user khác)
+     * @returns {Object|null} Update item, null nếu không có field nào thay đổi
+     */
+    buildUpdateItem(student, changes, saved = null) {
+        const before = {};
+        const after = {};
+
+        Object.entries(changes).forEach(([field, value]) => {
+            const previous = student[field] ?? null;
+            if (!isSameFieldValue(field, previous, value)) {
+                before[field] = previous;
+                after[field] = value;
+            }
+        });
+
+        if (Object.keys(before).length === 0) return null;
+
+        return {
+            studentId: student.id,
+            student_id: student.student_id,
+            name: student.full_name || `${student.first_name || ''} ${student.last_name || ''}`.trim(),
+            before,
+            after,
+            saved: saved && saved.id !== undefined ? this.toVersionSnapshot(saved) : null
+        };
+    }
+
+    /**
+     * Phần của student cần để kiểm tra version khi hoàn tác (lưu cùng history)
+     * @param {Object} student - Student server trả về
+     * @returns {Object} { id, _etag, updated_at, ...fields }
+     */
+    toVersionSnapshot(student) {
+        const snapshot = { id: student.id };
+        if (student._etag) snapshot._etag = student._etag;
+        if (student.updated_at) snapshot.updated_at = student.updated_at;
+        APP_CONFIG.IMPORT_EXPORT.FIELDS.forEach(field => {
+            snapshot[field] = student[field] ?? null;
+        });
+        return snapshot;
+    }
+
+    /**
+     * Tìm entry theo ID
+     * @param {string} entryId - Entry ID
+     * @returns {Object|undefined}
+     */
+    getEntry(entryId) {
+        return this.history.find(entry => entry.id === entryId);
+    }
+
+    /**
+     * Lấy các student IDs bị ảnh hưởng bởi 1 entry
+     * @param {Object} entry - History entry
+     * @returns {Array<number>}
+     */
+    getAffectedIds(entry) {
+        return entry.items.map(item => entry.type === 'delete' ? item.student.id : item.studentId);
+    }
+
+    /**
+     * Xóa toàn bộ history
+     */
+    clearHistory() {
+        this.history = [];
+        this.saveHistory();
+        this.updateHistoryButton();
+        this.renderHistory();
+    }
+
+    // =====================================================
+    // UNDO
+    // =====================================================
+
+    /**
+     * Hoàn tác 1 entry
+     * Không cho hoàn tác nếu có thao tác mới hơn (chưa hoàn tác) trên cùng sinh viên,
+     * vì restore giá trị cũ sẽ ghi đè các thay đổi mới hơn
+     * @param {string} entryId - Entry ID
+     */
+    async undo(entryId) {
+        const entry = this.getEntry(entryId);
+        if (!entry || entry.undone) {
+            notifications.warning('Thao tác này đã được hoàn tác hoặc không còn trong lịch sử');
+            return;
+        }
+        if (this.isUndoing) {
+            notifications.warning('Đang hoàn tác thao tác khác, vui lòng đợi');
+            return;
+        }
+
+        const affectedIds = new Set(this.getAffectedIds(entry));
+        const index = this.history.indexOf(entry);
+        const hasNewerConflict = this.history.slice(0, index).some(newer =>
+            !newer.undone && this.getAffectedIds(newer).some(id => affectedIds.has(id))
+        );
+        if (hasNewerConflict) {
+            notifications.warning('Có thao tác mới hơn trên sinh viên này. Hãy hoàn tác thao tác mới hơn trước.');
+            return;
+        }
+
+        this.isUndoing = true;
+        this.renderHistory();
+
+        const failedItems = [];
+        const errors = [];
+        const conflicts = [];  // Student đã bị sửa ở nơi khác sau thao tác -> user tự quyết định
+
+        try {
+            loading.show();
+
+            for (const item of entry.items) {
+                try {
+                    await this.undoItem(entry.type, item);
+                } catch (error) {
+                    if (error.status === 409 || error.status === 412) {
+                        conflicts.push({ item, latest: error.data?.latest || null });
+                        continue;
+                    }
+                    console.error('Undo failed:', error);
+                    failedItems.push(item);
+                    errors.push(error.message || 'Lỗi không xác định');
+                }
+            }
+        } finally {
+            loading.hide();
+            this.isUndoing = false;
+        }
+
+        const restoredCount = entry.items.length - failedItems.length - conflicts.length;
+
+        if (failedItems.length === 0) {
+            entry.undone = true;
+            entry.undoneAt = new Date().toISOString();
+            if (conflicts.length === 0) {
+                notifications.success(`Đã hoàn tác: ${entry.label}`);
+            } else {
+                notifications.warning(`${conflicts.length} sinh viên đã bị sửa ở nơi khác sau thao tác này, hãy chọn giá trị cần giữ`);
+            }
+        } else {
+            // Giữ lại các items lỗi để có thể thử hoàn tác lại
+            entry.items = failedItems;
+            notifications.error(`Không thể hoàn tác ${failedItems.length} sinh viên: ${errors[0]}`);
+        }
+
+        this.saveHistory();
+        this.updateHistoryButton();
+        this.renderHistory();
+
+        if (restoredCount > 0) {
+            window.dispatchEvent(new CustomEvent('studentsUpdated', {
+                detail: { source: 'undo', entryId }
+            }));
+        }
+
+        // Giá trị cũ (before) là "thay đổi của user", so với bản hiện tại trên server
+        for (const { item, latest } of conflicts) {
+            await studentsManager.resolveConflict(item.saved || { id: item.studentId, ...item.after }, item.before, latest);
+        }
+    }
+
+    /**
+     * Hoàn tác 1 item
+     * - delete: tạo lại student (cùng student_id, điểm...) - server cấp ID mới
+     * - update: ghi lại các giá trị cũ, kèm version đã lưu lúc sửa (item.saved)
+     * @param {string} type - Entry type
+     * @param {Object} item - Entry item
+     * @throws {ApiError} 409/412 nếu student đã bị sửa ở tab/user khác sau thao tác
+     */
+    async undoItem(type, item) {
+        if (type === 'delete') {
+            const created = await api.createStudent(this.toCreatePayload(item.student));
+            if (created && created.id !== undefined && created.id !== item.student.id) {
+                this.remapStudentId(item.student.id, created.id);
+            }
+            return;
+        }
+
+        const preconditions = item.saved ? await studentsManager.getVersionPreconditions(item.saved) : {};
+        await api.updateStudent(item.studentId, item.before, preconditions);
+    }
+
+    /**
+     * Tạo payload để tạo lại student đã xóa
+     * @param {Object} student - Student snapshot
+     * @returns {Object} Payload cho api.createStudent()
+     */
+    toCreatePayload(student) {
+        const payload = {};
+        APP_CONFIG.IMPORT_EXPORT.FIELDS.forEach(field => {
+            payload[field] = field === 'birth_date'
+                ? formatDateForInput(student[field])
+                : student[field];
+        });
+        return cleanFormData(payload);
+    }
+
+    /**
+     * Student được tạo lại có ID mới -> cập nhật các entries khác tham chiếu ID cũ
+     * @param {number} oldId - ID trước khi xóa
+     * @param {number} newId - ID sau khi tạo lại
+     */
+    remapStudentId(oldId, newId) {
+        this.history.forEach(entry => {
+            entry.items.forEach(item => {
+                if (entry.type === 'delete' && item.student.id === oldId) {
+                    item.student = { ...item.student, id: newId };
+                } else if (item.studentId === oldId) {
+                    item.studentId = newId;
+                }
+            });
+        });
+    }
+
+    // =====================================================
+    // PANEL
+    // =====================================================
+
+    /**
+     * Mở panel lịch sử thao tác
+     */
+    openPanel() {
+        this.renderHistory();
+        if (this.modal) {
+            this.modal.show();
+        }
+    }
+
+    /**
+     * Update số thao tác có thể hoàn tác trên history button
+     */
+    updateHistoryButton() {
+        const countEl = this.historyBtn?.querySelector('.history-count');
+        if (countEl) {
+            countEl.textContent = this.history.filter(entry => !entry.undone).length;
+        }
+    }
+
+    /**
+     * Render danh sách thao tác trong panel
+     */
+    renderHistory() {
+        if (!this.historyList) return;
+
+        if (this.history.length === 0) {
+            this.historyList.innerHTML = '<p class="history-empty">Chưa có thao tác nào trong phiên làm việc này</p>';
+            return;
+        }
+
+        this.historyList.innerHTML = this.history.map(entry => `
+            <div class="history-item ${entry.undone ? 'undone' : ''}">
+                <div class="history-item-icon ${entry.type}">
+                    <i class="fas ${entry.type === 'delete' ? 'fa-trash' : 'fa-edit'}"></i>
+                </div>
+                <div class="history-item-info">
+                    <div class="history-item-label">${escapeHtml(entry.label)}</div>
+                    <div class="history-item-time">${new Date(entry.timestamp).toLocaleString('vi-VN')}</div>
+                    ${this.renderEntryDetails(entry)}
+                </div>
+                ${entry.undone
+                    ? '<span class="history-item-status">Đã hoàn tác</span>'
+                    : `<button type="button" class="btn btn-sm btn-secondary" data-undo-id="${entry.id}" ${this.isUndoing ? 'disabled' : ''}>
+                            <i class="fas fa-undo"></i> Hoàn tác
+                        </button>`
+                }
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render chi tiết thay đổi của 1 entry (tối đa vài sinh viên đầu tiên)
+     * @param {Object} entry - History entry
+     * @returns {string} HTML
+     */
+    renderEntryDetails(entry) {
+        const previewCount = 3;
+
+        const lines = entry.items.slice(0, previewCount).map(item => {
+            if (entry.type === 'delete') {
+                return `${escapeHtml(item.student.student_id)} - ${escapeHtml(item.student.full_name || '')}`;
+            }
+
+            const changes = Object.keys(item.before).map(field =>
+                `${STUDENT_FIELD_LABELS[field] || field}: ${formatFieldValue(field, item.before[field])} → ${formatFieldValue(field, item.after[field])}`
+            ).join(', ');
+            return `${escapeHtml(item.student_id)}: ${escapeHtml(changes)}`;
+        });
+
+        if (entry.items.length > previewCount) {
+            lines.push(`và ${entry.items.length - previewCount} sinh viên khác`);
+        }
+
+        return `<ul class="history-item-details">${lines.map(line => `<li>${line}</li>`).join('')}</ul>`;
+    }
+}
+
+// Initialize undo manager
+let undoManager;
+
+document.addEventListener('DOMContentLoaded', () => {
+    undoManager = new UndoManager();
+    // Export globally
+    window.undoManager = undoManager;
+});
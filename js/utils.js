@@ -46,6 +46,49 @@ function formatDate(dateString) {
     return date.toLocaleDateString('vi-VN');
 }
 
+/**
+ * Format duration (ms) thành text dễ đọc
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration (e.g., "1 phút 5 giây")
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) return `${hours} giờ ${minutes} phút`;
+    if (minutes > 0) return `${minutes} phút ${seconds} giây`;
+    return `${seconds} giây`;
+}
+
+/**
+ * Key của dữ liệu lưu trên thiết bị (IndexedDB 'snapshots'): mỗi user trên mỗi máy chủ backend có bản riêng
+ * @param {string} name - 'students' hoặc 'analytics'
+ * @returns {string} '<name>:<username>@<baseURL>' (username rỗng khi không bật đăng nhập)
+ */
+function getSnapshotKey(name) {
+    const username = window.authManager?.getUser()?.username || '';
+    return `${name}:${username}@${api.baseURL}`;
+}
+
+/**
+ * Hiển thị thời điểm đồng bộ lần cuối (element chứa <i> và .last-synced-time)
+ * @param {HTMLElement|null} element - Container
+ * @param {string|null} syncedAt - Thời điểm đồng bộ (ISO string), null = chưa đồng bộ lần nào
+ * @param {boolean} isSyncing - Đang tải lại từ server ở nền
+ */
+function renderLastSynced(element, syncedAt, isSyncing = false) {
+    if (!element) return;
+
+    element.classList.toggle('hidden', !syncedAt && !isSyncing);
+    element.classList.toggle('syncing', isSyncing);
+    element.querySelector('i').className = isSyncing ? 'fas fa-sync-alt fa-spin' : 'fas fa-cloud';
+    element.querySelector('.last-synced-time').textContent = syncedAt
+        ? new Date(syncedAt).toLocaleString('vi-VN')
+        : 'chưa có';
+}
+
 /**
  * Format date for input type="date" (yyyy-mm-dd)
  * @param {string} dateString - Date string
@@ -184,6 +227,23 @@ function validateBirthDate(birthDate) {
     return null;
 }
 
+/**
+ * Validate http(s) URL
+ * @param {string} url - URL to validate
+ * @param {string} fieldName - Field name for error message
+ * @returns {string|null} Error message or null if valid
+ */
+function validateUrl(url, fieldName) {
+    if (!url) return `${fieldName} is required`;
+    try {
+        const { protocol } = new URL(url);
+        if (protocol === 'http:' || protocol === 'https:') return null;
+    } catch {
+        // Invalid URL
+    }
+    return `${fieldName} must be a valid http(s) URL`;
+}
+
 /**
  * Validate entire student form data
  * @param {Object} formData - Form data to validate
@@ -261,6 +321,22 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * Escape text for use inside an HTML attribute value (quoted with " or ')
+ * escapeHtml() does not encode quotes, so it is not safe in attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeAttr(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Deep clone object (deep copy, no reference)
  * @param {any} obj - Object to clone
@@ -306,6 +382,48 @@ function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+/**
+ * Hash string (djb2) - dùng để so sánh nhanh 2 bản ghi
+ * @param {string} text - Text to hash
+ * @returns {string} Hash (base 36)
+ */
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * So sánh giá trị 1 field của student (score so sánh số, date so sánh yyyy-mm-dd)
+ * @param {string} field - Field name
+ * @param {*} a - Value 1
+ * @param {*} b - Value 2
+ * @returns {boolean} true nếu 2 giá trị tương đương
+ */
+function isSameFieldValue(field, a, b) {
+    const isBlank = (value) => value === null || value === undefined || value === '';
+    if (isBlank(a) || isBlank(b)) return isBlank(a) && isBlank(b);
+
+    if (field.includes('score')) return Number(a) === Number(b);
+    if (field === 'birth_date') return formatDateForInput(a) === formatDateForInput(b);
+    return String(a).trim() === String(b).trim();
+}
+
+/**
+ * Format giá trị 1 field của student để hiển thị
+ * @param {string} field - Field name
+ * @param {*} value - Value
+ * @returns {string} Formatted value ('(trống)' nếu không có giá trị)
+ */
+function formatFieldValue(field, value) {
+    if (value === null || value === undefined || value === '') return '(trống)';
+    if (field.includes('score')) return formatScore(value);
+    if (field === 'birth_date') return formatDate(value);
+    return String(value);
+}
+
 /**
  * Capitalize first letter of string
  * @param {string} text - Text to capitalize
@@ -316,6 +434,20 @@ function capitalize(text) {
     return text.charAt(0).toUpperCase() + text.slice(1);
 }
 
+/**
+ * Remove Vietnamese accents (e.g., "Điểm Toán" -> "Diem Toan")
+ * @param {string} text - Text to normalize
+ * @returns {string} Text without diacritics
+ */
+function removeAccents(text) {
+    if (typeof text !== 'string') return text;
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd')
+        .replace(/Đ/g, 'D');
+}
+
 // =====================================================
 // FILE UTILITIES
 // =====================================================
@@ -358,6 +490,81 @@ function formatFileSize(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+/**
+ * Parse CSV text to array of rows (supports quoted values, "" escapes, CRLF)
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Column delimiter
+ * @param {boolean} skipEmptyLines - Drop lines with no values
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+function parseCSV(text, delimiter = ',', skipEmptyLines = true) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    // Strip UTF-8 BOM (added by Excel when saving CSV)
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    // Last row (file without trailing newline)
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    // Skip completely empty lines (kept when the caller needs the original line numbers)
+    if (!skipEmptyLines) return rows;
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Convert array of objects to CSV text
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<string>} columns - Column keys (also used as header)
+ * @returns {string} CSV text
+ */
+function toCSV(rows, columns) {
+    const escapeCell = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(escapeCell).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => escapeCell(row[column])).join(','));
+    });
+    return lines.join('\r\n');
+}
+
 // =====================================================
 // DOM UTILITIES
 // =====================================================
@@ -423,26 +630,69 @@ function updateQueryParams(params) {
 /**
  * Retry function with exponential backoff
  * Automatically retries if failed, with increasing delay
- * @param {Function} fn - Async function to retry
+ * @param {Function} fn - Async function to retry, receives the attempt number (1-based)
  * @param {number} maxAttempts - Maximum number of retry attempts
  * @param {number} baseDelay - Base delay (ms)
+ * @param {Object} options - Optional settings
+ * @param {Function} options.shouldRetry - (error, attempt) => boolean, retry mọi lỗi nếu không truyền
+ * @param {Function} options.getDelay - (error, attempt, delay) => delay (vd: theo Retry-After header)
+ * @param {Function} options.onRetry - (error, attempt, delay) => void, gọi trước khi chờ để thử lại
+ * @param {boolean} options.jitter - Random delay trong khoảng [delay/2, delay] để các clients không retry cùng lúc
+ * @param {number} options.maxDelay - Delay tối đa (ms)
+ * @param {AbortSignal} options.signal - Dừng chờ ngay khi signal abort (không thử lại nữa)
  * @returns {Promise} Result from function
+ * @throws {*} Error của lần thử cuối, hoặc signal.reason nếu signal abort trong lúc chờ
  */
-async function retry(fn, maxAttempts = 3, baseDelay = 1000) {
+async function retry(fn, maxAttempts = 3, baseDelay = 1000, options = {}) {
+    const {
+        shouldRetry = () => true,
+        getDelay = null,
+        onRetry = null,
+        jitter = false,
+        maxDelay = Infinity,
+        signal = null
+    } = options;
     let attempt = 1;
     
     while (attempt <= maxAttempts) {
         try {
-            return await fn(); // Return immediately if successful
+            return await fn(attempt); // Return immediately if successful
         } catch (error) {
             // Throw error if no more attempts left
-            if (attempt === maxAttempts) {
+            if (attempt === maxAttempts || !shouldRetry(error, attempt)) {
                 throw error;
             }
             
             // Calculate delay with exponential backoff (1s, 2s, 4s, ...)
-            const delay = baseDelay * Math.pow(2, attempt - 1);
-            await new Promise(resolve => setTimeout(resolve, delay));
+            let delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+            if (jitter) {
+                delay = delay / 2 + Math.random() * delay / 2;
+            }
+            if (getDelay) {
+                delay = getDelay(error, attempt, delay);
+            }
+            if (onRetry) {
+                onRetry(error, attempt, delay);
+            }
+            
+            // Chờ hết delay; signal abort -> dừng chờ và reject (caller đã hủy, không thử lại)
+            // Hết delay thì gỡ listener để không dồn lại trên signal dùng lâu (group signal)
+            await new Promise((resolve, reject) => {
+                const abortReason = () => signal.reason ?? new DOMException('The operation was aborted.', 'AbortError');
+                if (signal?.aborted) {
+                    reject(abortReason());
+                    return;
+                }
+                const onAbort = () => {
+                    clearTimeout(timeoutId);
+                    reject(abortReason());
+                };
+                const timeoutId = setTimeout(() => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                }, delay);
+                signal?.addEventListener('abort', onAbort, { once: true });
+            });
             attempt++;
         }
     }
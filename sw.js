@@ -0,0 +1,213 @@
+// =====================================================
+// SERVICE WORKER
+// =====================================================
+// - App shell (index.html, scripts, styles, CDN libraries) is precached so the
+//   app starts without a network connection
+// - Fonts and other CDN assets requested at runtime are cached on first use
+// - GET requests for the student list and analytics go to the network first;
+//   the last successful response is kept and served (marked with the
+//   X-Offline-Cache header) when the backend cannot be reached. The page
+//   clears these responses whenever the session ends or the user changes
+//   (CLEAR_DATA), and only the most recent MAX_DATA_ENTRIES are kept
+//
+// Bump CACHE_VERSION on every deploy: the browser then installs the new
+// worker and the page shows the "update available" prompt (PwaManager).
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `app-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `runtime-${CACHE_VERSION}`;
+const DATA_CACHE = 'api-data';   // Không theo version: dữ liệu offline giữ qua các lần update
+const MAX_DATA_ENTRIES = 50;     // Số responses API tối đa giữ lại (bỏ các response lưu lâu nhất)
+
+// Header đánh dấu response lấy từ cache (giá trị: thời điểm lưu, ISO string)
+const OFFLINE_CACHE_HEADER = 'X-Offline-Cache';
+
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    'favicon.svg',
+    'manifest.webmanifest',
+    'styles/main.css',
+    'js/config.js',
+    'js/api.js',
+    'js/mock-api.js',
+    'js/utils.js',
+    'js/local-db.js',
+    'js/components.js',
+    'js/auth.js',
+    'js/settings.js',
+    'js/students.js',
+    'js/analytics.js',
+    'js/import-export.js',
+    'js/bulk-actions.js',
+    'js/undo.js',
+    'js/offline-queue.js',
+    'js/sync.js',
+    'js/crawl-report.js',
+    'js/crawl.js',
+    'js/pwa.js',
+    'js/app.js'
+];
+
+// CDN libraries: precache nếu tải được, không làm hỏng install khi CDN lỗi
+const CDN_ASSETS = [
+    'https://cdn.jsdelivr.net/npm/chart.js',
+    'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
+];
+
+// Hosts có assets (font files...) được cache khi dùng lần đầu
+const RUNTIME_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// API endpoints được phục vụ từ cache khi offline (chỉ đọc)
+const DATA_PATTERNS = [/\/students(\/[^/]+)?$/, /\/analytics\/[^/]+$/];
+
+// =====================================================
+// LIFECYCLE
+// =====================================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_ASSETS);
+        await Promise.all(CDN_ASSETS.map(url => cache.add(url).catch(error => {
+            console.warn(`Could not precache ${url}:`, error);
+        })));
+    })());
+    // Không skipWaiting(): version mới chờ user xác nhận (message SKIP_WAITING)
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, RUNTIME_CACHE, DATA_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    switch (event.data?.type) {
+        case 'SKIP_WAITING':
+            self.skipWaiting();
+            break;
+        case 'CLEAR_DATA':
+            // Hết session / đổi user: không giữ dữ liệu sinh viên trên thiết bị
+            event.waitUntil(caches.delete(DATA_CACHE));
+            break;
+    }
+});
+
+// =====================================================
+// FETCH
+// =====================================================
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        event.respondWith(serveShell(request, 'index.html'));
+    } else if (url.origin === self.location.origin && isShellAsset(url)) {
+        event.respondWith(serveShell(request));
+    } else if (DATA_PATTERNS.some(pattern => pattern.test(url.pathname))) {
+        event.respondWith(networkFirst(request));
+    } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * File của app shell (so sánh theo path, bỏ query string)
+ * @param {URL} url - Request URL
+ * @returns {boolean}
+ */
+function isShellAsset(url) {
+    const scope = new URL(self.registration.scope);
+    const path = url.pathname.slice(scope.pathname.length);
+    return SHELL_ASSETS.includes(path);
+}
+
+/**
+ * App shell: cache trước, network nếu chưa có trong cache
+ * @param {Request} request - Request
+ * @param {string} fallback - Cache key thay thế (navigation -> index.html)
+ * @returns {Promise<Response>}
+ */
+async function serveShell(request, fallback = null) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(fallback || request, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+/**
+ * Assets runtime (fonts...): cache trước, lưu lại lần tải đầu tiên
+ * @param {Request} request - Request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * API data: network trước, lưu response thành công; mất kết nối -> response đã lưu
+ * Chỉ lỗi network mới dùng cache (4xx/5xx của server được trả về nguyên vẹn)
+ * @param {Request} request - Request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, await markCached(response.clone()));
+            await trimCache(cache, MAX_DATA_ENTRIES);
+        }
+        return response;
+    } catch (error) {
+        // Token (Authorization) đổi sau mỗi lần refresh -> bỏ qua Vary khi tìm
+        // (cache chỉ chứa responses của user hiện tại, xem CLEAR_DATA)
+        const cached = await cache.match(request, { ignoreVary: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Giữ tối đa maxEntries responses, xóa các response lưu lâu nhất
+ * (cache.keys() theo thứ tự lưu, put() lại 1 request đưa nó xuống cuối)
+ * @param {Cache} cache - Cache
+ * @param {number} maxEntries - Số entries tối đa
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+/**
+ * Copy response kèm header thời điểm lưu (đọc lại bởi ApiService)
+ * @param {Response} response - Response từ network
+ * @returns {Promise<Response>}
+ */
+async function markCached(response) {
+    const headers = new Headers(response.headers);
+    headers.set(OFFLINE_CACHE_HEADER, new Date().toISOString());
+
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}